@@ -0,0 +1,147 @@
+"use strict";
+
+const { randomUUID } = require("node:crypto");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_VALUE_CHARS = 300;
+const MAX_LIST_ITEMS = 100;
+const AUDIT_OUTCOMES = new Set(["ok", "denied", "failed", "error"]);
+
+function getRequestId(req) {
+  const fromHeader = String((req && req.headers && req.headers["x-vercel-id"]) || "").trim();
+  return fromHeader || randomUUID();
+}
+
+// Keeps audit rows small: primitives are kept, lists are truncated and nested objects flattened one level.
+function summarizeForAudit(value) {
+  const summary = {};
+  if (!value || typeof value !== "object") return summary;
+  for (const [key, entry] of Object.entries(value)) {
+    if (entry === null || entry === undefined) continue;
+    if (typeof entry === "number" || typeof entry === "boolean") {
+      summary[key] = entry;
+    } else if (typeof entry === "string") {
+      summary[key] = entry.slice(0, MAX_VALUE_CHARS);
+    } else if (Array.isArray(entry)) {
+      summary[key] = entry
+        .filter((item) => ["string", "number", "boolean"].includes(typeof item))
+        .slice(0, MAX_LIST_ITEMS)
+        .map((item) => (typeof item === "string" ? item.slice(0, MAX_VALUE_CHARS) : item));
+    } else if (typeof entry === "object") {
+      for (const [nestedKey, nested] of Object.entries(entry)) {
+        if (["string", "number", "boolean"].includes(typeof nested)) {
+          summary[`${key}.${nestedKey}`] = typeof nested === "string" ? nested.slice(0, MAX_VALUE_CHARS) : nested;
+        }
+      }
+    }
+  }
+  return summary;
+}
+
+async function recordAdminAction(sql, req, entry) {
+  const action = String(entry && entry.action ? entry.action : "").trim();
+  if (!sql || !action) return false;
+  const outcome = AUDIT_OUTCOMES.has(entry.outcome) ? entry.outcome : "ok";
+
+  try {
+    await sql`
+      INSERT INTO admin_audit_log (actor_email, action, outcome, params_json, result_json, request_id)
+      VALUES (
+        ${String(entry.actor || "").trim().toLowerCase()},
+        ${action},
+        ${outcome},
+        ${JSON.stringify(summarizeForAudit(entry.params))},
+        ${JSON.stringify(summarizeForAudit(entry.result))},
+        ${getRequestId(req)}
+      )
+    `;
+    return true;
+  } catch (error) {
+    // An audit write failure must not undo or hide the action itself.
+    console.error("admin-audit failure", {
+      action,
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return false;
+  }
+}
+
+function rowToAuditEntry(row) {
+  let params = {};
+  let result = {};
+  try {
+    params = JSON.parse(String(row.params_json || "{}"));
+  } catch {}
+  try {
+    result = JSON.parse(String(row.result_json || "{}"));
+  } catch {}
+  return {
+    id: String(row.id),
+    actor: String(row.actor_email || ""),
+    action: String(row.action || ""),
+    outcome: String(row.outcome || ""),
+    params,
+    result,
+    requestId: String(row.request_id || ""),
+    createdAt: row.created_at
+  };
+}
+
+function parseAuditQuery(searchParams) {
+  const params = searchParams instanceof URLSearchParams ? searchParams : new URLSearchParams();
+  const limitRaw = Number.parseInt(String(params.get("limit") || ""), 10);
+  const before = String(params.get("before") || "").trim();
+  if (before && !/^\d{1,18}$/.test(before)) return { ok: false, error: "Invalid before cursor." };
+  return {
+    ok: true,
+    query: {
+      actor: String(params.get("actor") || "").trim().toLowerCase().slice(0, 320),
+      action: String(params.get("action") || "").trim().slice(0, 80),
+      before,
+      limit: Number.isFinite(limitRaw) ? Math.min(MAX_PAGE_SIZE, Math.max(1, limitRaw)) : DEFAULT_PAGE_SIZE
+    }
+  };
+}
+
+async function listAuditLog(sql, query) {
+  const clauses = [];
+  const values = [];
+  function add(value) {
+    values.push(value);
+    return `$${values.length}`;
+  }
+  if (query.actor) clauses.push(`actor_email = ${add(query.actor)}`);
+  if (query.action) clauses.push(`action = ${add(query.action)}`);
+  if (query.before) clauses.push(`id < ${add(query.before)}::BIGINT`);
+  const limitParam = add(query.limit + 1);
+
+  const rows = await sql(
+    `
+      SELECT id, actor_email, action, outcome, params_json, result_json, request_id, created_at
+      FROM admin_audit_log
+      ${clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""}
+      ORDER BY id DESC
+      LIMIT ${limitParam}
+    `,
+    values
+  );
+  const hasMore = rows.length > query.limit;
+  const pageRows = hasMore ? rows.slice(0, query.limit) : rows;
+  return {
+    items: pageRows.map(rowToAuditEntry),
+    paging: {
+      limit: query.limit,
+      hasMore,
+      nextBefore: hasMore ? String(pageRows[pageRows.length - 1].id) : null
+    }
+  };
+}
+
+module.exports = {
+  getRequestId,
+  summarizeForAudit,
+  recordAdminAction,
+  parseAuditQuery,
+  listAuditLog
+};
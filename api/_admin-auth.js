@@ -1,17 +1,23 @@
 "use strict";
 
-const { createHmac, timingSafeEqual } = require("node:crypto");
+const { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } = require("node:crypto");
+const { createSqlClient, ensureStoreReady } = require("./_link-store");
+const { getBootstrapOwnerEmails, getAdminRole, roleHasPermission, permissionsForRole } = require("./_admin-roles");
+const { createSessionRecord, isSessionActive, revokeSession, revokeSessionsForEmail } = require("./_admin-sessions");
+const { getGoogleClientId, verifyGoogleIdToken } = require("./_google-id-token");
+const { getPublicBaseUrl, getIdentityProvider, listEnabledProviders } = require("./_identity-providers");
+const { MAGIC_LINK_TTL_SECONDS, recordMagicLink, consumeMagicLink, sendMagicLinkEmail } = require("./_magic-link");
+const { recordAdminAction } = require("./_admin-audit");
 
 const SESSION_COOKIE_NAME = "aicenghub_admin_session";
 const SESSION_TTL_SECONDS_DEFAULT = 60 * 60 * 12;
-const GOOGLE_TOKENINFO_URL = "https://oauth2.googleapis.com/tokeninfo";
-
-const DEFAULT_ALLOWED_ADMIN_EMAILS = [
-  "senaprasena@gmail.com",
-  "ashmeeishwar@gmail.com",
-  "julehaautomata@gmail.com",
-  "suhuaiceng@gmail.com"
-];
+const OAUTH_STATE_COOKIE_NAME = "aicenghub_admin_oauth";
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CSRF_COOKIE_NAME = "aicenghub_admin_csrf";
+const CSRF_HEADER_NAME = "x-csrf-token";
+const RECENT_AUTH_SECONDS_DEFAULT = 10 * 60;
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
 
 function setNoStoreHeaders(res) {
   res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, private");
@@ -23,25 +29,24 @@ function normalizeEmail(value) {
   return String(value || "").trim().toLowerCase();
 }
 
-function splitCsv(value) {
-  return String(value || "")
-    .split(",")
-    .map((item) => normalizeEmail(item))
-    .filter(Boolean);
+async function openAdminStore(options = {}) {
+  if (options.sql) return options.sql;
+  const sql = createSqlClient();
+  await ensureStoreReady(sql);
+  return sql;
 }
 
-function getAllowedAdminEmails() {
-  const configured = splitCsv(process.env.ADMIN_ALLOWED_EMAILS || "");
-  if (configured.length) return configured;
-  return [...DEFAULT_ALLOWED_ADMIN_EMAILS];
-}
+// Bootstrap owners resolve without a role lookup; everyone else is looked up in admin_users.
+async function resolveAdminUser(rawEmail, options = {}) {
+  const email = normalizeEmail(rawEmail);
+  if (!email) return null;
 
-function getAllowedAdminSet() {
-  return new Set(getAllowedAdminEmails());
-}
-
-function isAllowedAdminEmail(value) {
-  return getAllowedAdminSet().has(normalizeEmail(value));
+  let role = getBootstrapOwnerEmails().includes(email) ? "owner" : "";
+  if (!role) {
+    role = await getAdminRole(await openAdminStore(options), email);
+  }
+  if (!role) return null;
+  return { email, role, permissions: permissionsForRole(role) };
 }
 
 function toBase64Url(input) {
@@ -71,6 +76,12 @@ function getSessionTtlSeconds() {
   return SESSION_TTL_SECONDS_DEFAULT;
 }
 
+function getRecentAuthSeconds() {
+  const parsed = Number.parseInt(String(process.env.ADMIN_RECENT_AUTH_SECONDS || ""), 10);
+  if (Number.isFinite(parsed) && parsed > 0) return parsed;
+  return RECENT_AUTH_SECONDS_DEFAULT;
+}
+
 function shouldUseSecureCookies(req) {
   const nodeEnv = String(process.env.NODE_ENV || "").trim().toLowerCase();
   if (nodeEnv === "production") return true;
@@ -95,7 +106,9 @@ function safeCompare(left, right) {
   return timingSafeEqual(leftBuffer, rightBuffer);
 }
 
-function verifySessionToken(token, secret) {
+// Checks signature and expiry only. Session, magic-link and OAuth-state tokens share the format and
+// are told apart by `purpose` (absent on session tokens).
+function readSignedToken(token, secret) {
   if (!token || !secret) return null;
   const parts = String(token).split(".");
   if (parts.length !== 3) return null;
@@ -105,15 +118,31 @@ function verifySessionToken(token, secret) {
   const expectedSignature = toBase64Url(createHmac("sha256", secret).update(signingInput).digest());
   if (!safeCompare(signaturePart, expectedSignature)) return null;
 
+  let payload;
   try {
-    const payload = JSON.parse(fromBase64Url(payloadPart).toString("utf8"));
-    const exp = Number(payload && payload.exp ? payload.exp : 0);
-    if (!Number.isFinite(exp) || exp <= 0) return null;
-    if (exp * 1000 <= Date.now()) return null;
-    return payload;
+    payload = JSON.parse(fromBase64Url(payloadPart).toString("utf8"));
   } catch {
     return null;
   }
+  const exp = Number(payload && payload.exp ? payload.exp : 0);
+  if (!Number.isFinite(exp) || exp <= 0) return null;
+  if (exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+// A valid signature is not enough: the token's jti must match an unrevoked admin_sessions row.
+async function verifySessionToken(token, secret, options = {}) {
+  const payload = readSignedToken(token, secret);
+  if (!payload || payload.purpose || !payload.jti) return null;
+
+  const active = await isSessionActive(await openAdminStore(options), payload.jti, payload.email);
+  return active ? payload : null;
+}
+
+function hashUserAgent(req, secret) {
+  const userAgent = String((req && req.headers && req.headers["user-agent"]) || "");
+  if (!userAgent) return "";
+  return createHmac("sha256", secret).update(`user-agent:${userAgent}`).digest("hex").slice(0, 16);
 }
 
 function parseCookies(req) {
@@ -128,32 +157,105 @@ function parseCookies(req) {
   }, {});
 }
 
-function authorizeWithSession(req) {
+async function authorizeWithSession(req, options) {
   const secret = getSessionSecret();
   if (!secret) return null;
 
   const cookies = parseCookies(req);
   const token = String(cookies[SESSION_COOKIE_NAME] || "").trim();
-  const payload = verifySessionToken(token, secret);
+  if (!token) return null;
+
+  const sql = await openAdminStore(options);
+  const payload = await verifySessionToken(token, secret, { sql });
   if (!payload) return null;
 
-  const email = normalizeEmail(payload.email);
-  if (!email || !isAllowedAdminEmail(email)) return null;
+  const adminUser = await resolveAdminUser(payload.email, { sql });
+  if (!adminUser) {
+    // The email lost its role since sign-in: end every session it still has.
+    await revokeSessionsForEmail(sql, payload.email, "access-removed");
+    return null;
+  }
 
   return {
-    email,
-    role: "admin",
-    authMethod: "session"
+    ...adminUser,
+    authMethod: "session",
+    sessionId: String(payload.jti),
+    authenticatedAt: Number(payload.iat) || 0
   };
 }
 
-function authorizeAdminRequest(req) {
-  const sessionUser = authorizeWithSession(req);
-  if (sessionUser) return { ok: true, user: sessionUser };
-  return { ok: false, user: null };
+// The token is derived from the session id, so a cookie planted from a sibling subdomain doesn't match.
+function csrfTokenForSession(sessionId, secret) {
+  return createHmac("sha256", secret).update(`csrf:${sessionId}`).digest("base64url");
+}
+
+function hasValidCsrfToken(req, sessionId) {
+  const expected = csrfTokenForSession(sessionId, getSessionSecret());
+  const headerToken = String((req && req.headers && req.headers[CSRF_HEADER_NAME]) || "").trim();
+  const cookieToken = String(parseCookies(req)[CSRF_COOKIE_NAME] || "").trim();
+  return safeCompare(headerToken, expected) && safeCompare(cookieToken, expected);
+}
+
+// Double submit: the token goes out both as a cookie and in the response body, and state-changing
+// requests must echo it in the X-CSRF-Token header.
+function issueCsrfToken(res, req, user) {
+  const token = csrfTokenForSession(user.sessionId, getSessionSecret());
+  const parts = [
+    `${CSRF_COOKIE_NAME}=${encodeURIComponent(token)}`,
+    `Max-Age=${getSessionTtlSeconds()}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict"
+  ];
+  if (shouldUseSecureCookies(req)) parts.push("Secure");
+  appendSetCookie(res, parts.join("; "));
+  return token;
 }
 
-function setSessionCookie(res, req, user) {
+// Without a permission any admin role is accepted. Failures carry the HTTP status and a stable `code`
+// to answer with. Requests other than GET/HEAD/OPTIONS need the session's CSRF token, and
+// `options.recentAuth` additionally requires a sign-in within ADMIN_RECENT_AUTH_SECONDS.
+async function authorizeAdminRequest(req, permission = "", options = {}) {
+  let sessionUser;
+  try {
+    sessionUser = await authorizeWithSession(req, options);
+  } catch (error) {
+    console.error("admin-auth failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return { ok: false, status: 503, code: "auth_unavailable", error: "Admin authorization is unavailable.", user: null };
+  }
+
+  if (!sessionUser) return { ok: false, status: 401, code: "unauthorized", error: "Unauthorized.", user: null };
+  const method = String((req && req.method) || "GET").toUpperCase();
+  if (!SAFE_METHODS.has(method) && !hasValidCsrfToken(req, sessionUser.sessionId)) {
+    return { ok: false, status: 403, code: "csrf_invalid", error: "Missing or invalid CSRF token.", user: sessionUser };
+  }
+  if (!roleHasPermission(sessionUser.role, permission)) {
+    return { ok: false, status: 403, code: "permission_denied", error: "Your role does not allow this action.", user: sessionUser };
+  }
+  if (options.recentAuth && Math.floor(Date.now() / 1000) - sessionUser.authenticatedAt > getRecentAuthSeconds()) {
+    return { ok: false, status: 403, code: "reauth_required", error: "Sign in again to confirm this action.", user: sessionUser };
+  }
+  return { ok: true, user: sessionUser };
+}
+
+// Signing out needs only a session cookie that verifies: a forged request can do no more than sign
+// the admin out, and a tab that lost its CSRF token must still be able to end its session. Ending
+// every session (`scope` "all") also needs the CSRF token; without it only the current session is
+// revoked and the CSRF failure is returned alongside the result.
+async function endAdminSession(req, scope, options = {}) {
+  const auth = await authorizeAdminRequest(req, "", options);
+  if (!auth.user) return { ...auth, result: { revokedCount: 0 } };
+
+  const sql = await openAdminStore(options);
+  const result = scope === "all" && auth.ok
+    ? await revokeSessionsForEmail(sql, auth.user.email, "logout-everywhere")
+    : await revokeSession(sql, auth.user.sessionId, "logout");
+  return { ...auth, result };
+}
+
+async function setSessionCookie(res, req, user, options = {}) {
   const secret = getSessionSecret();
   if (!secret) return false;
 
@@ -162,10 +264,14 @@ function setSessionCookie(res, req, user) {
   const payload = {
     sub: String(user && user.sub ? user.sub : ""),
     email: normalizeEmail(user && user.email),
-    role: "admin",
+    jti: randomUUID(),
     iat: nowSeconds,
     exp: nowSeconds + ttlSeconds
   };
+  await createSessionRecord(await openAdminStore(options), {
+    ...payload,
+    userAgentHash: hashUserAgent(req, secret)
+  });
 
   const token = buildSessionToken(payload, secret);
   const secure = shouldUseSecureCookies(req);
@@ -177,94 +283,180 @@ function setSessionCookie(res, req, user) {
     "SameSite=Strict"
   ];
   if (secure) parts.push("Secure");
-  res.setHeader("Set-Cookie", parts.join("; "));
+  appendSetCookie(res, parts.join("; "));
   return true;
 }
 
 function clearSessionCookie(res, req) {
   const secure = shouldUseSecureCookies(req);
-  const parts = [
-    `${SESSION_COOKIE_NAME}=`,
-    "Max-Age=0",
-    "Path=/",
-    "HttpOnly",
-    "SameSite=Strict"
-  ];
-  if (secure) parts.push("Secure");
-  res.setHeader("Set-Cookie", parts.join("; "));
+  [SESSION_COOKIE_NAME, CSRF_COOKIE_NAME].forEach((name) => {
+    const parts = [
+      `${name}=`,
+      "Max-Age=0",
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Strict"
+    ];
+    if (secure) parts.push("Secure");
+    appendSetCookie(res, parts.join("; "));
+  });
 }
 
-function getGoogleClientId() {
-  return String(process.env.GOOGLE_OAUTH_CLIENT_ID || "").trim();
+function appendSetCookie(res, cookie) {
+  const existing = typeof res.getHeader === "function" ? res.getHeader("Set-Cookie") : undefined;
+  if (!existing) {
+    res.setHeader("Set-Cookie", cookie);
+    return;
+  }
+  res.setHeader("Set-Cookie", [...(Array.isArray(existing) ? existing : [existing]), cookie]);
 }
 
-async function verifyGoogleIdToken(idToken) {
-  const token = String(idToken || "").trim();
-  if (!token) {
-    return { ok: false, reason: "missing_token" };
+// Shared by every provider: only emails with an admin role get a session, and both outcomes are audited.
+async function completeAdminLogin(res, req, identity, method, options = {}) {
+  const sql = await openAdminStore(options);
+  const email = normalizeEmail(identity && identity.email);
+  const adminUser = await resolveAdminUser(email, { sql });
+  if (!adminUser) {
+    await recordAdminAction(sql, req, { actor: email, action: "login", outcome: "denied", params: { method } });
+    return { ok: false, status: 403, error: "Account is not authorized for admin access." };
   }
 
-  const googleClientId = getGoogleClientId();
-  if (!googleClientId) {
-    return { ok: false, reason: "missing_client_id" };
+  const cookieSet = await setSessionCookie(res, req, identity, { sql });
+  if (!cookieSet) {
+    return { ok: false, status: 500, error: "Auth session is not configured." };
   }
+  await recordAdminAction(sql, req, { actor: email, action: "login", params: { method }, result: { role: adminUser.role } });
+  return { ok: true, user: adminUser };
+}
 
-  const requestUrl = `${GOOGLE_TOKENINFO_URL}?id_token=${encodeURIComponent(token)}`;
-  let response;
-  try {
-    response = await fetch(requestUrl, {
-      method: "GET",
-      headers: { Accept: "application/json" }
-    });
-  } catch {
-    return { ok: false, reason: "google_request_failed" };
+// Providers whose flow is "credential" (a Google ID token) or "email" (a magic-link token) sign in
+// through POST /api/admin-login; "redirect" providers go through /api/admin-oauth.
+async function verifyLoginCredential(providerId, credential, options = {}) {
+  const provider = getIdentityProvider(providerId);
+  if (provider && provider.flow() === "credential") {
+    return provider.verifyCredential(credential, options);
   }
-
-  const payload = await response.json().catch(() => ({}));
-  if (!response.ok) {
-    return { ok: false, reason: "invalid_google_token", detail: payload };
+  if (provider && provider.flow() === "email") {
+    return verifyMagicLinkToken(credential, options);
   }
+  return { ok: false, reason: "unsupported_provider" };
+}
 
-  const aud = String(payload.aud || "").trim();
-  if (aud !== googleClientId) {
-    return { ok: false, reason: "aud_mismatch" };
-  }
+function base64UrlRandom(bytes) {
+  return randomBytes(bytes).toString("base64url");
+}
 
-  const issuer = String(payload.iss || "").trim();
-  const validIssuer = issuer === "accounts.google.com" || issuer === "https://accounts.google.com";
-  if (!validIssuer) {
-    return { ok: false, reason: "issuer_invalid" };
-  }
+function startOAuthLogin(res, req, providerId) {
+  const secret = getSessionSecret();
+  const provider = getIdentityProvider(providerId);
+  if (!secret || !provider || provider.flow() !== "redirect") return null;
 
-  const email = normalizeEmail(payload.email);
-  const emailVerified = String(payload.email_verified || "").toLowerCase() === "true";
-  if (!email || !emailVerified) {
-    return { ok: false, reason: "email_not_verified" };
-  }
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const state = base64UrlRandom(16);
+  const codeVerifier = base64UrlRandom(32);
+  const token = buildSessionToken({
+    purpose: "oauth-state",
+    provider: provider.id,
+    state,
+    codeVerifier,
+    exp: nowSeconds + OAUTH_STATE_TTL_SECONDS
+  }, secret);
+
+  // Lax, not Strict: the cookie has to come back on the provider's cross-site redirect.
+  const parts = [
+    `${OAUTH_STATE_COOKIE_NAME}=${encodeURIComponent(token)}`,
+    `Max-Age=${OAUTH_STATE_TTL_SECONDS}`,
+    "Path=/api/admin-oauth",
+    "HttpOnly",
+    "SameSite=Lax"
+  ];
+  if (shouldUseSecureCookies(req)) parts.push("Secure");
+  appendSetCookie(res, parts.join("; "));
+
+  const codeChallenge = createHash("sha256").update(codeVerifier).digest("base64url");
+  return provider.authorizationUrl({ state, codeChallenge });
+}
 
-  const exp = Number.parseInt(String(payload.exp || "0"), 10);
-  if (!Number.isFinite(exp) || exp * 1000 <= Date.now()) {
-    return { ok: false, reason: "token_expired" };
+async function finishOAuthLogin(res, req, query, options = {}) {
+  const parts = [`${OAUTH_STATE_COOKIE_NAME}=`, "Max-Age=0", "Path=/api/admin-oauth", "HttpOnly", "SameSite=Lax"];
+  if (shouldUseSecureCookies(req)) parts.push("Secure");
+  appendSetCookie(res, parts.join("; "));
+
+  const stored = readSignedToken(parseCookies(req)[OAUTH_STATE_COOKIE_NAME], getSessionSecret());
+  if (!stored || stored.purpose !== "oauth-state" || !safeCompare(stored.state, query.state)) {
+    return { ok: false, reason: "state_mismatch" };
   }
+  if (query.error) return { ok: false, reason: "provider_denied" };
+
+  const provider = getIdentityProvider(stored.provider);
+  if (!provider || provider.flow() !== "redirect") return { ok: false, reason: "unsupported_provider" };
+
+  const verified = await provider.exchangeCode({ code: query.code, codeVerifier: stored.codeVerifier }, options);
+  if (!verified.ok) return verified;
+
+  const login = await completeAdminLogin(res, req, verified.user, provider.id, options);
+  return login.ok ? login : { ok: false, reason: login.status === 403 ? "not_authorized" : "login_failed" };
+}
+
+// Answers the same way whether or not the address belongs to an admin, so it cannot be used to probe for admins.
+async function requestMagicLink(req, rawEmail, options = {}) {
+  const secret = getSessionSecret();
+  const provider = getIdentityProvider("magic-link");
+  const email = normalizeEmail(rawEmail);
+  if (!secret || !provider) return { ok: false, reason: "unsupported_provider" };
+  if (!EMAIL_PATTERN.test(email) || email.length > 320) return { ok: false, reason: "invalid_email" };
 
+  const sql = await openAdminStore(options);
+  if (!(await resolveAdminUser(email, { sql }))) return { ok: true, sent: false };
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const payload = {
+    purpose: "magic-link",
+    email,
+    jti: randomUUID(),
+    iat: nowSeconds,
+    exp: nowSeconds + MAGIC_LINK_TTL_SECONDS
+  };
+  if (!(await recordMagicLink(sql, payload))) return { ok: true, sent: false, reason: "rate_limited" };
+
+  const url = `${getPublicBaseUrl()}/admin.html?magic=${encodeURIComponent(buildSessionToken(payload, secret))}`;
+  const sent = await sendMagicLinkEmail(email, url, options);
+  await recordAdminAction(sql, req, {
+    actor: email,
+    action: "magic-link.request",
+    outcome: sent.ok ? "ok" : "error",
+    result: { sent: sent.ok }
+  });
+  return { ok: true, sent: sent.ok };
+}
+
+async function verifyMagicLinkToken(token, options = {}) {
+  const payload = readSignedToken(String(token || "").trim(), getSessionSecret());
+  if (!payload || payload.purpose !== "magic-link" || !payload.jti) {
+    return { ok: false, reason: "invalid_magic_link" };
+  }
+  const consumed = await consumeMagicLink(await openAdminStore(options), payload.jti, payload.email);
+  if (!consumed) return { ok: false, reason: "magic_link_used_or_expired" };
   return {
     ok: true,
-    user: {
-      sub: String(payload.sub || ""),
-      email,
-      name: String(payload.name || ""),
-      picture: String(payload.picture || "")
-    }
+    user: { sub: `email:${normalizeEmail(payload.email)}`, email: normalizeEmail(payload.email), name: "", picture: "" }
   };
 }
 
 module.exports = {
   setNoStoreHeaders,
   getGoogleClientId,
-  getAllowedAdminEmails,
-  isAllowedAdminEmail,
+  listEnabledProviders,
+  resolveAdminUser,
   verifyGoogleIdToken,
+  verifyLoginCredential,
+  completeAdminLogin,
+  startOAuthLogin,
+  finishOAuthLogin,
+  requestMagicLink,
   setSessionCookie,
   clearSessionCookie,
-  authorizeAdminRequest
+  issueCsrfToken,
+  authorizeAdminRequest,
+  endAdminSession
 };
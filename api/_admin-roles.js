@@ -0,0 +1,163 @@
+"use strict";
+
+const { revokeSessionsForEmail } = require("./_admin-sessions");
+
+const ADMIN_ROLES = ["viewer", "moderator", "owner"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const VIEWER_PERMISSIONS = ["admin.read"];
+const MODERATOR_PERMISSIONS = [...VIEWER_PERMISSIONS, "candidates.moderate"];
+const OWNER_PERMISSIONS = [...MODERATOR_PERMISSIONS, "catalog.maintain", "admins.manage"];
+
+const ROLE_PERMISSIONS = {
+  viewer: new Set(VIEWER_PERMISSIONS),
+  moderator: new Set(MODERATOR_PERMISSIONS),
+  owner: new Set(OWNER_PERMISSIONS)
+};
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function normalizeRole(value) {
+  const role = String(value || "").trim().toLowerCase();
+  return ADMIN_ROLES.includes(role) ? role : "";
+}
+
+function roleHasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[normalizeRole(role)];
+  if (!permissions) return false;
+  return !permission || permissions.has(permission);
+}
+
+function permissionsForRole(role) {
+  const permissions = ROLE_PERMISSIONS[normalizeRole(role)];
+  return permissions ? [...permissions] : [];
+}
+
+// Owners listed in the environment always keep access, so a fresh database
+// (or a bad edit in the admin UI) cannot lock everyone out.
+function getBootstrapOwnerEmails() {
+  const raw = process.env.ADMIN_OWNER_EMAILS !== undefined
+    ? process.env.ADMIN_OWNER_EMAILS
+    : process.env.ADMIN_ALLOWED_EMAILS;
+  return String(raw || "")
+    .split(",")
+    .map((item) => normalizeEmail(item))
+    .filter(Boolean);
+}
+
+async function getAdminRole(sql, rawEmail) {
+  const email = normalizeEmail(rawEmail);
+  if (!email) return "";
+  if (getBootstrapOwnerEmails().includes(email)) return "owner";
+  const rows = await sql`
+    SELECT role
+    FROM admin_users
+    WHERE email = ${email}
+    LIMIT 1
+  `;
+  return rows.length ? normalizeRole(rows[0].role) : "";
+}
+
+async function listAdminUsers(sql) {
+  const rows = await sql`
+    SELECT email, role, created_by, created_at, updated_by, updated_at
+    FROM admin_users
+    ORDER BY email ASC
+  `;
+  const bootstrapOwners = getBootstrapOwnerEmails();
+  const users = rows
+    .filter((row) => !bootstrapOwners.includes(String(row.email)))
+    .map((row) => ({
+      email: String(row.email),
+      role: normalizeRole(row.role),
+      source: "database",
+      createdBy: String(row.created_by || ""),
+      createdAt: row.created_at,
+      updatedBy: String(row.updated_by || ""),
+      updatedAt: row.updated_at
+    }));
+  return [
+    ...bootstrapOwners.map((email) => ({ email, role: "owner", source: "env" })),
+    ...users
+  ];
+}
+
+function validateAdminChange(rawEmail, actor) {
+  const email = normalizeEmail(rawEmail);
+  if (!EMAIL_PATTERN.test(email) || email.length > 320) {
+    return { ok: false, error: "A valid email is required." };
+  }
+  if (email === normalizeEmail(actor)) {
+    return { ok: false, error: "You cannot change your own role." };
+  }
+  if (getBootstrapOwnerEmails().includes(email)) {
+    return { ok: false, error: "This owner is configured in ADMIN_OWNER_EMAILS and cannot be changed here." };
+  }
+  return { ok: true, email };
+}
+
+// An owner row is only demoted or removed while another owner remains.
+async function saveAdminUser(sql, input, actor) {
+  const validated = validateAdminChange(input && input.email, actor);
+  if (!validated.ok) return validated;
+  const role = normalizeRole(input && input.role);
+  if (!role) return { ok: false, error: `Role must be one of: ${ADMIN_ROLES.join(", ")}.` };
+
+  const { email } = validated;
+  const hasBootstrapOwner = getBootstrapOwnerEmails().length > 0;
+  const rows = await sql`
+    INSERT INTO admin_users (email, role, created_by, updated_by)
+    VALUES (${email}, ${role}, ${normalizeEmail(actor)}, ${normalizeEmail(actor)})
+    ON CONFLICT (email) DO UPDATE SET
+      role = EXCLUDED.role,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    WHERE EXCLUDED.role = 'owner'
+      OR admin_users.role <> 'owner'
+      OR ${hasBootstrapOwner}
+      OR (SELECT COUNT(*) FROM admin_users WHERE role = 'owner') > 1
+    RETURNING email, role
+  `;
+  if (!rows.length) return { ok: false, error: "At least one owner must remain." };
+  return { ok: true, user: { email, role } };
+}
+
+async function removeAdminUser(sql, rawEmail, actor) {
+  const validated = validateAdminChange(rawEmail, actor);
+  if (!validated.ok) return validated;
+
+  const { email } = validated;
+  const hasBootstrapOwner = getBootstrapOwnerEmails().length > 0;
+  const rows = await sql`
+    DELETE FROM admin_users
+    WHERE email = ${email}
+      AND (
+        role <> 'owner'
+        OR ${hasBootstrapOwner}
+        OR (SELECT COUNT(*) FROM admin_users WHERE role = 'owner') > 1
+      )
+    RETURNING email
+  `;
+  if (rows.length) {
+    const { revokedCount } = await revokeSessionsForEmail(sql, email, "access-removed");
+    return { ok: true, email, revokedCount };
+  }
+
+  const existing = await sql`SELECT role FROM admin_users WHERE email = ${email} LIMIT 1`;
+  if (!existing.length) return { ok: false, reason: "not_found", error: "Admin not found." };
+  return { ok: false, error: "At least one owner must remain." };
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  normalizeRole,
+  roleHasPermission,
+  permissionsForRole,
+  getBootstrapOwnerEmails,
+  getAdminRole,
+  listAdminUsers,
+  saveAdminUser,
+  removeAdminUser
+};
@@ -0,0 +1,93 @@
+"use strict";
+
+const EXPIRED_RETENTION_DAYS = 7;
+const MAX_LISTED_SESSIONS = 200;
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function toIsoSeconds(epochSeconds) {
+  return new Date(Number(epochSeconds) * 1000).toISOString();
+}
+
+// Also prunes rows that expired more than a week ago, so the table stays small without a cron job.
+async function createSessionRecord(sql, session) {
+  await sql.transaction([
+    sql`
+      DELETE FROM admin_sessions
+      WHERE expires_at < NOW() - (${EXPIRED_RETENTION_DAYS} * INTERVAL '1 day')
+    `,
+    sql`
+      INSERT INTO admin_sessions (jti, email, user_agent_hash, issued_at, expires_at)
+      VALUES (
+        ${String(session.jti)},
+        ${normalizeEmail(session.email)},
+        ${String(session.userAgentHash || "")},
+        ${toIsoSeconds(session.iat)}::TIMESTAMPTZ,
+        ${toIsoSeconds(session.exp)}::TIMESTAMPTZ
+      )
+    `
+  ]);
+}
+
+async function isSessionActive(sql, jti, email) {
+  const rows = await sql`
+    SELECT 1
+    FROM admin_sessions
+    WHERE jti = ${String(jti || "")}
+      AND email = ${normalizeEmail(email)}
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    LIMIT 1
+  `;
+  return rows.length > 0;
+}
+
+async function revokeSession(sql, jti, reason) {
+  const rows = await sql`
+    UPDATE admin_sessions
+    SET revoked_at = NOW(), revoked_reason = ${String(reason || "")}
+    WHERE jti = ${String(jti || "")}
+      AND revoked_at IS NULL
+    RETURNING jti
+  `;
+  return { revokedCount: rows.length };
+}
+
+async function revokeSessionsForEmail(sql, email, reason) {
+  const rows = await sql`
+    UPDATE admin_sessions
+    SET revoked_at = NOW(), revoked_reason = ${String(reason || "")}
+    WHERE email = ${normalizeEmail(email)}
+      AND revoked_at IS NULL
+    RETURNING jti
+  `;
+  return { revokedCount: rows.length };
+}
+
+async function listActiveSessions(sql) {
+  const rows = await sql`
+    SELECT jti, email, user_agent_hash, issued_at, expires_at
+    FROM admin_sessions
+    WHERE revoked_at IS NULL
+      AND expires_at > NOW()
+    ORDER BY issued_at DESC
+    LIMIT ${MAX_LISTED_SESSIONS}
+  `;
+  return rows.map((row) => ({
+    id: String(row.jti),
+    email: String(row.email),
+    userAgentHash: String(row.user_agent_hash || ""),
+    issuedAt: row.issued_at,
+    expiresAt: row.expires_at
+  }));
+}
+
+module.exports = {
+  createSessionRecord,
+  isSessionActive,
+  revokeSession,
+  revokeSessionsForEmail,
+  listActiveSessions
+};
@@ -0,0 +1,146 @@
+"use strict";
+
+// Kept free of _link-store imports: the store and the VPS worker both call into this module.
+
+const MAX_SCORE = 100;
+const RECENT_VERIFICATION_DAYS = 30;
+const PLACEHOLDER_DESCRIPTIONS = new Set([
+  "pending enrichment while live tools were unavailable.",
+  "ai tool discovered by juleha candidate pipeline."
+]);
+
+function parseJson(value, fallback) {
+  try {
+    const parsed = JSON.parse(String(value || ""));
+    return parsed === null || parsed === undefined ? fallback : parsed;
+  } catch {
+    return fallback;
+  }
+}
+
+function countEvidenceSources(evidence) {
+  if (!evidence || typeof evidence !== "object") return 0;
+  if (Array.isArray(evidence.checkedSources)) {
+    return evidence.checkedSources.filter((source) => source && source.ok).length;
+  }
+  return Array.isArray(evidence.sources) ? evidence.sources.length : 0;
+}
+
+function candidateSignalsFromRow(row) {
+  const confidence = row.latest_confidence === null || row.latest_confidence === undefined
+    ? NaN
+    : Number(row.latest_confidence);
+  return {
+    discoveredCount: Number(row.discovered_count || 0),
+    distinctSubmitters: Array.isArray(row.submitter_ip_hashes) ? row.submitter_ip_hashes.length : 0,
+    httpStatus: Number(row.http_status || 0),
+    verifiedAt: row.verified_at || null,
+    evidenceSourceCount: countEvidenceSources(parseJson(row.evidence_json, {})),
+    abilityCount: Array.isArray(row.abilities) ? row.abilities.length : 0,
+    description: String(row.description || ""),
+    pendingEnrichment: Boolean(row.pending_enrichment),
+    confidence: Number.isFinite(confidence) ? confidence : null
+  };
+}
+
+function httpStatusPoints(status) {
+  if (status >= 200 && status < 300) return 15;
+  if (status >= 300 && status < 400) return 5;
+  if (status >= 400 && status < 500) return -20;
+  if (status >= 500) return -10;
+  return 0;
+}
+
+function scoreCandidate(signals, now = Date.now()) {
+  const reasons = [];
+  function add(signal, points, detail) {
+    if (points) reasons.push({ signal, points, detail });
+  }
+
+  const extraDiscoveries = Math.max(0, signals.discoveredCount - 1);
+  add("discoveries", Math.min(20, extraDiscoveries * 4), `discovered ${signals.discoveredCount} times`);
+
+  const extraSubmitters = Math.max(0, signals.distinctSubmitters - 1);
+  add("submitters", Math.min(15, extraSubmitters * 5), `${signals.distinctSubmitters} distinct submitters`);
+
+  add("http-status", httpStatusPoints(signals.httpStatus), `HTTP ${signals.httpStatus}`);
+
+  const verifiedMs = signals.verifiedAt ? new Date(signals.verifiedAt).getTime() : NaN;
+  if (Number.isFinite(verifiedMs)) {
+    const ageDays = Math.floor((now - verifiedMs) / 86400000);
+    const recent = ageDays <= RECENT_VERIFICATION_DAYS;
+    add("verified", recent ? 10 : 4, recent ? `verified ${Math.max(0, ageDays)}d ago` : `verified ${ageDays}d ago (stale)`);
+  }
+
+  add("evidence", Math.min(10, signals.evidenceSourceCount * 5), `${signals.evidenceSourceCount} evidence source(s)`);
+  add("abilities", Math.min(12, signals.abilityCount * 4), `${signals.abilityCount} inferred abilit${signals.abilityCount === 1 ? "y" : "ies"}`);
+
+  const description = signals.description.trim().toLowerCase();
+  if (description.length >= 20 && !PLACEHOLDER_DESCRIPTIONS.has(description)) {
+    add("description", 5, "has a real description");
+  }
+
+  if (signals.confidence !== null) {
+    add("confidence", Math.round(Math.max(0, Math.min(1, signals.confidence)) * 15), `worker confidence ${signals.confidence.toFixed(2)}`);
+  }
+
+  if (signals.pendingEnrichment) add("pending-enrichment", -5, "waiting for enrichment");
+
+  const total = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return {
+    score: Math.max(0, Math.min(MAX_SCORE, total)),
+    reasons: reasons.sort((left, right) => Math.abs(right.points) - Math.abs(left.points))
+  };
+}
+
+async function refreshCandidateScores(sql, rawIds) {
+  const ids = Array.isArray(rawIds)
+    ? [...new Set(rawIds.map((id) => String(id ?? "").trim()).filter((id) => /^\d{1,18}$/.test(id)))]
+    : null;
+  if (ids && !ids.length) return { updatedCount: 0 };
+
+  const selectSql = `
+    SELECT
+      candidate.id,
+      candidate.discovered_count,
+      candidate.submitter_ip_hashes,
+      candidate.http_status,
+      candidate.verified_at,
+      candidate.evidence_json,
+      candidate.abilities,
+      candidate.description,
+      candidate.pending_enrichment,
+      latest_check.confidence AS latest_confidence
+    FROM ai_candidate_links AS candidate
+    LEFT JOIN LATERAL (
+      SELECT confidence
+      FROM tool_checks
+      WHERE tool_checks.candidate_id = candidate.id AND confidence IS NOT NULL
+      ORDER BY checked_at DESC
+      LIMIT 1
+    ) AS latest_check ON TRUE
+    ${ids ? "WHERE candidate.id = ANY($1::BIGINT[])" : "WHERE candidate.status = 'pending'"}
+  `;
+  const rows = await sql(selectSql, ids ? [ids] : []);
+  if (!rows.length) return { updatedCount: 0 };
+
+  const scored = rows.map((row) => ({ id: String(row.id), ...scoreCandidate(candidateSignalsFromRow(row)) }));
+  await sql`
+    UPDATE ai_candidate_links AS candidate
+    SET quality_score = scored.score, score_reasons_json = scored.reasons
+    FROM unnest(
+      ${scored.map((entry) => entry.id)}::BIGINT[],
+      ${scored.map((entry) => entry.score)}::INT[],
+      ${scored.map((entry) => JSON.stringify(entry.reasons))}::TEXT[]
+    ) AS scored(id, score, reasons)
+    WHERE candidate.id = scored.id
+  `;
+  return { updatedCount: scored.length };
+}
+
+module.exports = {
+  MAX_SCORE,
+  candidateSignalsFromRow,
+  scoreCandidate,
+  refreshCandidateScores
+};
@@ -0,0 +1,279 @@
+"use strict";
+
+const { rowToCandidate } = require("./_link-store");
+
+const DEFAULT_PAGE_SIZE = 40;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_CHARS = 120;
+const MAX_FILTER_CHARS = 60;
+const CANDIDATE_STATUSES = ["pending", "merged", "rejected"];
+const HTTP_STATUS_CLASSES = {
+  none: "http_status = 0",
+  "2xx": "http_status BETWEEN 200 AND 299",
+  "3xx": "http_status BETWEEN 300 AND 399",
+  "4xx": "http_status BETWEEN 400 AND 499",
+  "5xx": "http_status BETWEEN 500 AND 599"
+};
+
+const SORT_SPECS = {
+  quality_score: {
+    keys: ["quality_score", "id"],
+    orderBy: "quality_score DESC, id DESC",
+    after: (p) => `(quality_score, id) < (${p[0]}::INT, ${p[1]}::BIGINT)`
+  },
+  newest: {
+    keys: ["created_key", "id"],
+    orderBy: "created_at DESC, id DESC",
+    after: (p) => `(created_at, id) < (${p[0]}::TIMESTAMPTZ, ${p[1]}::BIGINT)`
+  },
+  discovered_count: {
+    keys: ["discovered_count", "id"],
+    orderBy: "discovered_count DESC, id DESC",
+    after: (p) => `(discovered_count, id) < (${p[0]}::INT, ${p[1]}::BIGINT)`
+  },
+  last_seen_at: {
+    keys: ["last_seen_key", "id"],
+    orderBy: "last_seen_at DESC, id DESC",
+    after: (p) => `(last_seen_at, id) < (${p[0]}::TIMESTAMPTZ, ${p[1]}::BIGINT)`
+  }
+};
+
+function normalizeParam(value, maxChars) {
+  return String(value || "").trim().toLowerCase().replace(/\s+/g, " ").slice(0, maxChars);
+}
+
+function parseBooleanParam(value) {
+  const normalized = normalizeParam(value, 5);
+  if (["1", "true", "yes"].includes(normalized)) return true;
+  if (["0", "false", "no"].includes(normalized)) return false;
+  return null;
+}
+
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, k: values })).toString("base64url");
+}
+
+function decodeCursor(rawCursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(rawCursor), "base64url").toString("utf8"));
+    if (!decoded || decoded.s !== sort || !Array.isArray(decoded.k)) return null;
+    if (decoded.k.length !== SORT_SPECS[sort].keys.length) return null;
+    if (decoded.k.some((value) => typeof value !== "string" && typeof value !== "number")) return null;
+    return decoded.k;
+  } catch {
+    return null;
+  }
+}
+
+function parseCandidateQuery(searchParams) {
+  const params = searchParams instanceof URLSearchParams ? searchParams : new URLSearchParams();
+
+  const status = normalizeParam(params.get("status"), MAX_FILTER_CHARS);
+  if (status && status !== "all" && !CANDIDATE_STATUSES.includes(status)) {
+    return { ok: false, error: `Unsupported status. Use one of: all, ${CANDIDATE_STATUSES.join(", ")}.` };
+  }
+
+  const httpStatus = normalizeParam(params.get("http_status"), MAX_FILTER_CHARS);
+  if (httpStatus && !HTTP_STATUS_CLASSES[httpStatus]) {
+    return { ok: false, error: `Unsupported http_status. Use one of: ${Object.keys(HTTP_STATUS_CLASSES).join(", ")}.` };
+  }
+
+  const rawPendingEnrichment = params.get("pending_enrichment");
+  const pendingEnrichment = rawPendingEnrichment ? parseBooleanParam(rawPendingEnrichment) : null;
+  if (rawPendingEnrichment && pendingEnrichment === null) {
+    return { ok: false, error: "pending_enrichment must be true or false." };
+  }
+
+  const sort = normalizeParam(params.get("sort"), MAX_FILTER_CHARS) || "newest";
+  if (!SORT_SPECS[sort]) {
+    return { ok: false, error: `Unsupported sort. Use one of: ${Object.keys(SORT_SPECS).join(", ")}.` };
+  }
+
+  const limitRaw = Number.parseInt(String(params.get("limit") || ""), 10);
+  const limit = Number.isFinite(limitRaw) ? Math.min(MAX_PAGE_SIZE, Math.max(1, limitRaw)) : DEFAULT_PAGE_SIZE;
+
+  const rawCursor = String(params.get("cursor") || "").trim();
+  let cursor = null;
+  if (rawCursor) {
+    cursor = decodeCursor(rawCursor, sort);
+    if (!cursor) return { ok: false, error: "Invalid cursor." };
+  }
+
+  return {
+    ok: true,
+    query: {
+      q: normalizeParam(params.get("q"), MAX_QUERY_CHARS),
+      status: status === "all" ? "" : status,
+      discoveredBy: normalizeParam(params.get("discovered_by"), MAX_FILTER_CHARS),
+      captureReason: normalizeParam(params.get("capture_reason"), MAX_FILTER_CHARS),
+      pendingEnrichment,
+      httpStatus,
+      sort,
+      limit,
+      cursor
+    }
+  };
+}
+
+function escapeLike(value) {
+  return String(value || "").replace(/[\\%_]/g, (match) => `\\${match}`);
+}
+
+function createParamList() {
+  const values = [];
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return `$${values.length}`;
+    }
+  };
+}
+
+function buildFilterClauses(query, params) {
+  const clauses = [];
+  if (query.status) clauses.push(`status = ${params.add(query.status)}`);
+  if (query.discoveredBy) clauses.push(`lower(discovered_by) = ${params.add(query.discoveredBy)}`);
+  if (query.captureReason) clauses.push(`lower(capture_reason) = ${params.add(query.captureReason)}`);
+  if (query.pendingEnrichment !== null) clauses.push(`pending_enrichment = ${params.add(query.pendingEnrichment)}`);
+  if (query.httpStatus) clauses.push(HTTP_STATUS_CLASSES[query.httpStatus]);
+  if (query.q) {
+    const pattern = params.add(`%${escapeLike(query.q)}%`);
+    clauses.push(`(lower(name) LIKE ${pattern} OR lower(url) LIKE ${pattern})`);
+  }
+  return clauses;
+}
+
+function parseScoreReasons(value) {
+  try {
+    const parsed = JSON.parse(String(value || "[]"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function whereSql(clauses) {
+  return clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+}
+
+function countsByValue(rows, facet) {
+  return Object.fromEntries(
+    rows.filter((row) => row.facet === facet).map((row) => [String(row.value || ""), Number(row.candidate_count || 0)])
+  );
+}
+
+async function getCandidateFacets(sql) {
+  const rows = await sql`
+    SELECT 'status' AS facet, status AS value, COUNT(*)::INT AS candidate_count
+    FROM ai_candidate_links
+    GROUP BY status
+    UNION ALL
+    SELECT 'discovered_by' AS facet, lower(discovered_by) AS value, COUNT(*)::INT AS candidate_count
+    FROM ai_candidate_links
+    GROUP BY lower(discovered_by)
+    UNION ALL
+    SELECT 'capture_reason' AS facet, lower(capture_reason) AS value, COUNT(*)::INT AS candidate_count
+    FROM ai_candidate_links
+    GROUP BY lower(capture_reason)
+  `;
+  return {
+    statuses: {
+      ...Object.fromEntries(CANDIDATE_STATUSES.map((status) => [status, 0])),
+      ...countsByValue(rows, "status")
+    },
+    discoveredBy: countsByValue(rows, "discovered_by"),
+    captureReasons: countsByValue(rows, "capture_reason")
+  };
+}
+
+async function searchCandidates(sql, query) {
+  const spec = SORT_SPECS[query.sort];
+  const params = createParamList();
+  const filterClauses = buildFilterClauses(query, params);
+  const cursorClause = query.cursor ? [spec.after(query.cursor.map((value) => params.add(value)))] : [];
+  const limitParam = params.add(query.limit + 1);
+
+  const rows = await sql(
+    `
+      SELECT
+        id,
+        name,
+        url,
+        final_url,
+        description,
+        abilities,
+        pricing_tier,
+        tags,
+        status,
+        discovered_count,
+        discovered_by,
+        capture_reason,
+        http_status,
+        pending_enrichment,
+        quality_score,
+        score_reasons_json,
+        rejection_reason,
+        reviewed_by,
+        reviewed_at,
+        last_seen_at,
+        created_at,
+        updated_at,
+        created_at::TEXT AS created_key,
+        last_seen_at::TEXT AS last_seen_key
+      FROM ai_candidate_links
+      ${whereSql([...filterClauses, ...cursorClause])}
+      ORDER BY ${spec.orderBy}
+      LIMIT ${limitParam}
+    `,
+    params.values
+  );
+
+  const countParams = createParamList();
+  const countRows = await sql(
+    `SELECT COUNT(*)::INT AS count FROM ai_candidate_links ${whereSql(buildFilterClauses(query, countParams))}`,
+    countParams.values
+  );
+
+  const hasMore = rows.length > query.limit;
+  const pageRows = hasMore ? rows.slice(0, query.limit) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore && lastRow
+    ? encodeCursor(query.sort, spec.keys.map((key) => (key === "id" ? String(lastRow.id) : lastRow[key])))
+    : null;
+
+  return {
+    items: pageRows.map((row) => ({
+      ...rowToCandidate(row),
+      finalUrl: String(row.final_url || ""),
+      discoveredBy: String(row.discovered_by || ""),
+      captureReason: String(row.capture_reason || ""),
+      httpStatus: Number(row.http_status || 0),
+      pendingEnrichment: Boolean(row.pending_enrichment),
+      qualityScore: Number(row.quality_score || 0),
+      scoreReasons: parseScoreReasons(row.score_reasons_json),
+      lastSeenAt: row.last_seen_at || null
+    })),
+    paging: {
+      limit: query.limit,
+      sort: query.sort,
+      nextCursor,
+      hasMore,
+      total: Number(countRows[0] && countRows[0].count ? countRows[0].count : 0)
+    }
+  };
+}
+
+module.exports = {
+  CANDIDATE_STATUSES,
+  HTTP_STATUS_CLASSES,
+  parseCandidateQuery,
+  getCandidateFacets,
+  searchCandidates,
+  _internals: {
+    buildFilterClauses,
+    createParamList,
+    encodeCursor,
+    decodeCursor
+  }
+};
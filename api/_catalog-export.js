@@ -0,0 +1,113 @@
+"use strict";
+
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  atom: { contentType: "application/atom+xml; charset=utf-8", extension: "atom" }
+};
+
+const CSV_COLUMNS = [
+  ["name", (link) => link.name],
+  ["url", (link) => link.url],
+  ["description", (link) => link.description],
+  ["abilities", (link) => link.abilities.join(";")],
+  ["pricing", (link) => link.pricing],
+  ["tags", (link) => link.tags.join(";")],
+  ["pricing_text", (link) => link.pricingText],
+  ["last_checked_at", (link) => (link.lastCheckedAt ? new Date(link.lastCheckedAt).toISOString() : "")]
+];
+
+function toSeedEntry(link) {
+  return {
+    name: link.name,
+    url: link.url,
+    description: link.description,
+    abilities: link.abilities,
+    pricing: link.pricing,
+    tags: link.tags
+  };
+}
+
+function renderJsonExport(links) {
+  return `${JSON.stringify(links.map(toSeedEntry), null, 2)}\n`;
+}
+
+function escapeCsvCell(value) {
+  let text = String(value ?? "");
+  // Leading =, +, - or @ would be evaluated as a formula by spreadsheet apps.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsvExport(links) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(",")];
+  for (const link of links) {
+    lines.push(CSV_COLUMNS.map(([, read]) => escapeCsvCell(read(link))).join(","));
+  }
+  // The BOM makes Excel read the file as UTF-8.
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[<>&'"]/g, (match) => ({
+    "<": "&lt;",
+    ">": "&gt;",
+    "&": "&amp;",
+    "'": "&apos;",
+    "\"": "&quot;"
+  })[match]);
+}
+
+function toIsoString(value, fallback) {
+  const date = new Date(value || fallback);
+  return Number.isNaN(date.getTime()) ? new Date(fallback).toISOString() : date.toISOString();
+}
+
+function renderAtomFeed(links, options) {
+  const siteUrl = String(options.siteUrl || "").replace(/\/+$/, "");
+  const updatedAt = toIsoString(options.updatedAt, 0);
+  const entries = links.map((link) => {
+    const toolUrl = `${siteUrl}/tool/${encodeURIComponent(link.slug)}`;
+    const categories = [...link.abilities, link.pricing]
+      .map((term) => `    <category term="${escapeXml(term)}"/>`);
+    return [
+      "  <entry>",
+      `    <id>${escapeXml(toolUrl)}</id>`,
+      `    <title>${escapeXml(link.name)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(toolUrl)}"/>`,
+      `    <link rel="related" href="${escapeXml(link.url)}"/>`,
+      `    <published>${toIsoString(link.createdAt, 0)}</published>`,
+      `    <updated>${toIsoString(link.createdAt, 0)}</updated>`,
+      `    <summary>${escapeXml(link.description)}</summary>`,
+      ...categories,
+      "  </entry>"
+    ].join("\n");
+  });
+
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<feed xmlns=\"http://www.w3.org/2005/Atom\">",
+    `  <id>${escapeXml(`${siteUrl}/`)}</id>`,
+    "  <title>AICENGHUB: recently added AI tools</title>",
+    `  <link rel="alternate" type="text/html" href="${escapeXml(`${siteUrl}/`)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${siteUrl}/api/catalog-export?format=atom`)}"/>`,
+    `  <updated>${updatedAt}</updated>`,
+    "  <author><name>AICENGHUB</name></author>",
+    ...entries,
+    "</feed>",
+    ""
+  ].join("\n");
+}
+
+function buildExportFileName(format, date) {
+  const day = toIsoString(date, Date.now()).slice(0, 10);
+  return `aicenghub-catalog-${day}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderJsonExport,
+  renderCsvExport,
+  renderAtomFeed,
+  buildExportFileName
+};
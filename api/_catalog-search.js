@@ -0,0 +1,336 @@
+"use strict";
+
+const {
+  normalizeAbilities,
+  normalizePricing,
+  resolveTagKey,
+  rowToLink
+} = require("./_link-store");
+
+const DEFAULT_PAGE_SIZE = 48;
+const MAX_PAGE_SIZE = 200;
+const MAX_QUERY_CHARS = 120;
+const MAX_QUERY_TOKENS = 8;
+const ALLOWED_PRICING_TIERS = new Set(["free", "trial", "paid"]);
+
+const ABILITY_SEARCH_ALIASES = {
+  text: ["text", "teks", "chat", "tulis", "writing"],
+  image: ["image", "gambar", "photo", "foto", "visual", "art"],
+  video: ["video", "vid", "film", "klip", "clip"],
+  audio: ["audio", "musik", "music", "song", "suara", "voice"],
+  code: ["code", "kode", "coding", "programming", "developer", "dev"],
+  automation: ["automation", "otomasi", "workflow", "agent", "integrasi", "integration"],
+  learning: ["learning", "belajar", "tutorial", "research", "edukasi", "education"]
+};
+
+const PRICING_SEARCH_ALIASES = {
+  free: ["free", "gratis", "no-cost", "tanpa-biaya"],
+  trial: ["trial", "freemium", "coba", "uji-coba"],
+  paid: ["paid", "berbayar", "premium", "pro-only"]
+};
+
+const ABILITY_KEYS = Object.keys(ABILITY_SEARCH_ALIASES);
+const PRICING_KEYS = Object.keys(PRICING_SEARCH_ALIASES);
+
+const PRICING_RANK_SQL = "CASE pricing_tier WHEN 'free' THEN 0 WHEN 'trial' THEN 1 WHEN 'paid' THEN 2 ELSE 1 END";
+
+const SORT_SPECS = {
+  pricing: {
+    keys: ["pricing_rank", "name_key", "id"],
+    orderBy: "pricing_rank ASC, name_key ASC, id ASC",
+    after: (p) => `(pricing_rank, name_key, id) > (${p[0]}::INT, ${p[1]}::TEXT, ${p[2]}::BIGINT)`
+  },
+  name: {
+    keys: ["name_key", "id"],
+    orderBy: "name_key ASC, id ASC",
+    after: (p) => `(name_key, id) > (${p[0]}::TEXT, ${p[1]}::BIGINT)`
+  },
+  newest: {
+    keys: ["created_key", "id"],
+    orderBy: "created_at DESC, id DESC",
+    after: (p) => `(created_at, id) < (${p[0]}::TIMESTAMPTZ, ${p[1]}::BIGINT)`
+  },
+  relevance: {
+    keys: ["relevance_score", "pricing_rank", "name_key", "id"],
+    orderBy: "relevance_score DESC, pricing_rank ASC, name_key ASC, id ASC",
+    after: (p) => `(
+      relevance_score < ${p[0]}::INT
+      OR (relevance_score = ${p[0]}::INT AND (pricing_rank, name_key, id) > (${p[1]}::INT, ${p[2]}::TEXT, ${p[3]}::BIGINT))
+    )`
+  }
+};
+
+function invertAliases(aliasTable) {
+  return Object.entries(aliasTable).reduce((accumulator, [key, aliases]) => {
+    aliases.forEach((alias) => {
+      accumulator[alias] = key;
+    });
+    return accumulator;
+  }, {});
+}
+
+const SEARCH_TOKEN_TO_ABILITY = invertAliases(ABILITY_SEARCH_ALIASES);
+const SEARCH_TOKEN_TO_PRICING = invertAliases(PRICING_SEARCH_ALIASES);
+
+function normalizeSearchText(value) {
+  return String(value || "").trim().toLowerCase().replace(/\s+/g, " ").slice(0, MAX_QUERY_CHARS);
+}
+
+function tokenizeSearchQuery(query) {
+  const tokens = normalizeSearchText(query).split(" ").filter(Boolean);
+  return [...new Set(tokens)].slice(0, MAX_QUERY_TOKENS);
+}
+
+function resolveAbilityParam(rawValue) {
+  const value = normalizeSearchText(rawValue);
+  if (!value || value === "all") return "";
+  return normalizeAbilities([SEARCH_TOKEN_TO_ABILITY[value] || value])[0] || "";
+}
+
+function resolvePricingParam(rawValue) {
+  const value = normalizeSearchText(rawValue).replace(/\s+/g, "-");
+  if (!value) return "";
+  if (SEARCH_TOKEN_TO_PRICING[value]) return SEARCH_TOKEN_TO_PRICING[value];
+  const normalized = normalizePricing(value);
+  return ALLOWED_PRICING_TIERS.has(value) || normalized !== "trial" ? normalized : "";
+}
+
+function resolveTagParam(rawValue) {
+  const value = normalizeSearchText(rawValue).replace(/\s+/g, "-");
+  if (!value) return "";
+  return resolveTagKey(value);
+}
+
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, k: values })).toString("base64url");
+}
+
+function decodeCursor(rawCursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(rawCursor), "base64url").toString("utf8"));
+    const spec = SORT_SPECS[sort];
+    if (!decoded || decoded.s !== sort || !Array.isArray(decoded.k)) return null;
+    if (decoded.k.length !== spec.keys.length) return null;
+    if (decoded.k.some((value) => typeof value !== "string" && typeof value !== "number")) return null;
+    return decoded.k;
+  } catch {
+    return null;
+  }
+}
+
+function parseCatalogQuery(searchParams) {
+  const params = searchParams instanceof URLSearchParams ? searchParams : new URLSearchParams();
+  const q = normalizeSearchText(params.get("q"));
+  const tokens = tokenizeSearchQuery(q);
+
+  const requestedSort = normalizeSearchText(params.get("sort"));
+  if (requestedSort && !SORT_SPECS[requestedSort]) {
+    return { ok: false, error: `Unsupported sort. Use one of: ${Object.keys(SORT_SPECS).join(", ")}.` };
+  }
+  let sort = requestedSort || (tokens.length ? "relevance" : "pricing");
+  if (sort === "relevance" && !tokens.length) sort = "pricing";
+
+  const limitRaw = Number.parseInt(String(params.get("limit") || ""), 10);
+  const limit = Number.isFinite(limitRaw) ? Math.min(MAX_PAGE_SIZE, Math.max(1, limitRaw)) : DEFAULT_PAGE_SIZE;
+
+  const rawCursor = String(params.get("cursor") || "").trim();
+  let cursor = null;
+  if (rawCursor) {
+    cursor = decodeCursor(rawCursor, sort);
+    if (!cursor) return { ok: false, error: "Invalid cursor." };
+  }
+
+  return {
+    ok: true,
+    query: {
+      q,
+      tokens,
+      ability: resolveAbilityParam(params.get("ability")),
+      pricing: resolvePricingParam(params.get("pricing")),
+      tag: resolveTagParam(params.get("tag")),
+      sort,
+      limit,
+      cursor
+    }
+  };
+}
+
+function escapeLike(value) {
+  return String(value || "").replace(/[\\%_]/g, (match) => `\\${match}`);
+}
+
+function createParamList() {
+  const values = [];
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return `$${values.length}`;
+    }
+  };
+}
+
+function buildFilterClauses(query, params) {
+  const clauses = [];
+  if (query.ability) {
+    clauses.push(`abilities @> ARRAY[${params.add(query.ability)}]::TEXT[]`);
+  }
+  if (query.pricing) {
+    clauses.push(`pricing_tier = ${params.add(query.pricing)}`);
+  }
+  if (query.tag) {
+    clauses.push(`tags @> ARRAY[${params.add(query.tag)}]::TEXT[]`);
+  }
+
+  if (query.tokens.length) {
+    const tokenClauses = [];
+    for (const token of query.tokens) {
+      tokenClauses.push(`search_text LIKE ${params.add(`%${escapeLike(token)}%`)}`);
+
+      const mappedAbility = SEARCH_TOKEN_TO_ABILITY[token];
+      if (mappedAbility) {
+        tokenClauses.push(`abilities @> ARRAY[${params.add(mappedAbility)}]::TEXT[]`);
+      }
+      const mappedTag = resolveTagKey(token);
+      if (mappedTag) {
+        tokenClauses.push(`tags @> ARRAY[${params.add(mappedTag)}]::TEXT[]`);
+      }
+      const mappedPricing = SEARCH_TOKEN_TO_PRICING[token];
+      if (mappedPricing) {
+        tokenClauses.push(`pricing_tier = ${params.add(mappedPricing)}`);
+      }
+    }
+    clauses.push(`(${tokenClauses.join(" OR ")})`);
+  }
+
+  return clauses;
+}
+
+function whereSql(clauses) {
+  return clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+}
+
+async function getCatalogFacets(sql) {
+  const rows = await sql`
+    SELECT 'ability' AS facet, ability AS value, COUNT(*)::INT AS link_count
+    FROM ai_main_links, unnest(abilities) AS ability
+    GROUP BY ability
+    UNION ALL
+    SELECT 'pricing' AS facet, pricing_tier AS value, COUNT(*)::INT AS link_count
+    FROM ai_main_links
+    GROUP BY pricing_tier
+  `;
+  const facets = {
+    abilities: Object.fromEntries(ABILITY_KEYS.map((ability) => [ability, 0])),
+    pricing: Object.fromEntries(PRICING_KEYS.map((tier) => [tier, 0]))
+  };
+  for (const row of rows) {
+    const bucket = row.facet === "ability" ? facets.abilities : facets.pricing;
+    const value = String(row.value || "");
+    if (Object.prototype.hasOwnProperty.call(bucket, value)) {
+      bucket[value] = Number(row.link_count || 0);
+    }
+  }
+  return facets;
+}
+
+async function searchCatalog(sql, query) {
+  const spec = SORT_SPECS[query.sort];
+
+  const params = createParamList();
+  const filterClauses = buildFilterClauses(query, params);
+  let relevanceSql = "0";
+  if (query.q) {
+    const qParam = params.add(query.q);
+    relevanceSql = `ROUND((similarity(lower(name), ${qParam}) * 2 + word_similarity(${qParam}, search_text)) * 1000)::INT`;
+  }
+  const cursorSql = query.cursor
+    ? `WHERE ${spec.after(query.cursor.map((value) => params.add(value)))}`
+    : "";
+  const limitParam = params.add(query.limit + 1);
+
+  const rows = await sql(
+    `
+      SELECT *
+      FROM (
+        SELECT
+          id,
+          name,
+          url,
+          description,
+          slug,
+          abilities,
+          pricing_tier,
+          tags,
+          features_json,
+          is_free,
+          has_trial,
+          is_paid,
+          pricing_text,
+          favicon_url,
+          thumbnail_url,
+          pending_enrichment,
+          last_checked_at,
+          created_at,
+          created_at::TEXT AS created_key,
+          ${PRICING_RANK_SQL} AS pricing_rank,
+          lower(name) AS name_key,
+          ${relevanceSql} AS relevance_score
+        FROM ai_main_links
+        ${whereSql(filterClauses)}
+      ) AS matches
+      ${cursorSql}
+      ORDER BY ${spec.orderBy}
+      LIMIT ${limitParam}
+    `,
+    params.values
+  );
+
+  const countParams = createParamList();
+  const countRows = await sql(
+    `
+      SELECT
+        (SELECT COUNT(*)::INT FROM ai_main_links ${whereSql(buildFilterClauses(query, countParams))}) AS match_count,
+        COUNT(*)::INT AS catalog_count
+      FROM ai_main_links
+    `,
+    countParams.values
+  );
+  const countRow = countRows[0] || {};
+  const facets = await getCatalogFacets(sql);
+
+  const hasMore = rows.length > query.limit;
+  const pageRows = hasMore ? rows.slice(0, query.limit) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore && lastRow
+    ? encodeCursor(query.sort, spec.keys.map((key) => (key === "id" ? String(lastRow.id) : lastRow[key])))
+    : null;
+
+  return {
+    items: pageRows.map((row) => ({ id: String(row.id), slug: String(row.slug || ""), ...rowToLink(row) })),
+    paging: {
+      limit: query.limit,
+      sort: query.sort,
+      nextCursor,
+      hasMore,
+      total: Number(countRow.match_count || 0),
+      catalogTotal: Number(countRow.catalog_count || 0)
+    },
+    facets
+  };
+}
+
+module.exports = {
+  ABILITY_SEARCH_ALIASES,
+  PRICING_SEARCH_ALIASES,
+  parseCatalogQuery,
+  getCatalogFacets,
+  searchCatalog,
+  _internals: {
+    tokenizeSearchQuery,
+    buildFilterClauses,
+    createParamList,
+    encodeCursor,
+    decodeCursor
+  }
+};
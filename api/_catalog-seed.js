@@ -0,0 +1,147 @@
+"use strict";
+
+const {
+  normalizeUrl,
+  normalizeAbilities,
+  normalizePricing,
+  normalizeTags,
+  toTextArray,
+  generateUniqueSlug
+} = require("./_link-store");
+
+const MAX_SEED_NAME_LENGTH = 120;
+const MAX_SEED_DESCRIPTION_LENGTH = 1000;
+
+function prepareSeedEntries(rawEntries) {
+  const entries = [];
+  const invalid = [];
+  const indexByUrl = new Map();
+
+  if (!Array.isArray(rawEntries)) {
+    return { entries, invalid: [{ index: -1, name: "", reason: "Seed file must contain a JSON array." }] };
+  }
+
+  rawEntries.forEach((raw, index) => {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const name = String(source.name || "").trim();
+    const url = normalizeUrl(source.url);
+    const abilities = normalizeAbilities(Array.isArray(source.abilities) ? source.abilities : []);
+
+    let reason = "";
+    if (!name || name.length > MAX_SEED_NAME_LENGTH) {
+      reason = `name is required (max ${MAX_SEED_NAME_LENGTH} characters)`;
+    } else if (!url) {
+      reason = "url must be an absolute http(s) URL";
+    } else if (indexByUrl.has(url)) {
+      reason = `duplicate url, already defined by entry ${indexByUrl.get(url)}`;
+    } else if (!abilities.length) {
+      reason = "no recognised abilities";
+    }
+    if (reason) {
+      invalid.push({ index, name: name || String(source.url || ""), reason });
+      return;
+    }
+
+    indexByUrl.set(url, index);
+    entries.push({
+      index,
+      name,
+      url,
+      description: String(source.description || "").trim().slice(0, MAX_SEED_DESCRIPTION_LENGTH),
+      abilities,
+      pricing: normalizePricing(source.pricing),
+      tags: normalizeTags(Array.isArray(source.tags) ? source.tags : [])
+    });
+  });
+
+  return { entries, invalid };
+}
+
+function seedEntryMatchesRow(entry, row) {
+  return (
+    String(row.name || "") === entry.name &&
+    String(row.description || "") === entry.description &&
+    String(row.pricing_tier || "") === entry.pricing &&
+    toTextArray(row.abilities).join(",") === entry.abilities.join(",") &&
+    toTextArray(row.tags).join(",") === entry.tags.join(",")
+  );
+}
+
+async function importSeedLinks(sql, rawEntries, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const { entries, invalid } = prepareSeedEntries(rawEntries);
+
+  const urls = entries.map((entry) => entry.url);
+  const existingRows = urls.length
+    ? await sql`
+      SELECT url, name, description, abilities, pricing_tier, tags
+      FROM ai_main_links
+      WHERE url = ANY(${urls}::TEXT[])
+    `
+    : [];
+  const existingByUrl = new Map(existingRows.map((row) => [String(row.url), row]));
+
+  const inserted = [];
+  const updated = [];
+  const unchanged = [];
+
+  for (const entry of entries) {
+    const existing = existingByUrl.get(entry.url);
+    if (existing && seedEntryMatchesRow(entry, existing)) {
+      unchanged.push(entry.url);
+      continue;
+    }
+
+    (existing ? updated : inserted).push(entry.url);
+    if (dryRun) continue;
+
+    if (existing) {
+      await sql`
+        UPDATE ai_main_links
+        SET
+          name = ${entry.name},
+          description = ${entry.description},
+          abilities = ${entry.abilities}::TEXT[],
+          pricing_tier = ${entry.pricing},
+          tags = ${entry.tags}::TEXT[],
+          source = 'seed',
+          updated_at = NOW()
+        WHERE url = ${entry.url}
+      `;
+      continue;
+    }
+
+    const slug = await generateUniqueSlug(sql, entry.name);
+    await sql`
+      INSERT INTO ai_main_links (name, slug, url, description, abilities, pricing_tier, tags, source, updated_at)
+      VALUES (
+        ${entry.name},
+        ${slug},
+        ${entry.url},
+        ${entry.description},
+        ${entry.abilities}::TEXT[],
+        ${entry.pricing},
+        ${entry.tags}::TEXT[],
+        'seed',
+        NOW()
+      )
+    `;
+  }
+
+  return {
+    dryRun,
+    totalCount: Array.isArray(rawEntries) ? rawEntries.length : 0,
+    insertedCount: inserted.length,
+    updatedCount: updated.length,
+    unchangedCount: unchanged.length,
+    invalidCount: invalid.length,
+    inserted,
+    updated,
+    invalid
+  };
+}
+
+module.exports = {
+  prepareSeedEntries,
+  importSeedLinks
+};
@@ -0,0 +1,137 @@
+"use strict";
+
+const { BlockList, isIP } = require("node:net");
+
+const UNKNOWN_CLIENT_IP = "0.0.0.0";
+// Loopback and private ranges: a reverse proxy on the same host or network.
+const DEFAULT_TRUSTED_PROXIES = [
+  "127.0.0.0/8",
+  "10.0.0.0/8",
+  "172.16.0.0/12",
+  "192.168.0.0/16",
+  "::1/128",
+  "fc00::/7"
+];
+const IPV6_BUCKET_PREFIX = 64;
+
+let cachedTrustedSource = null;
+let cachedTrustedList = null;
+
+function readHeader(req, name) {
+  const value = req && req.headers ? req.headers[name] : "";
+  return String(Array.isArray(value) ? value.join(",") : value || "").trim();
+}
+
+// Accepts "1.2.3.4", "1.2.3.4:5678", "[2001:db8::1]:443", "fe80::1%eth0" and IPv4-mapped IPv6;
+// returns the bare address, or "" when the value is not an IP.
+function normalizeIp(value) {
+  let candidate = String(value || "").trim();
+  const bracketed = candidate.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) candidate = bracketed[1];
+  else if (/^[\d.]+:\d+$/.test(candidate)) candidate = candidate.slice(0, candidate.lastIndexOf(":"));
+  candidate = candidate.replace(/%.*$/, "").toLowerCase();
+
+  const mapped = candidate.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) candidate = mapped[1];
+  return isIP(candidate) ? candidate : "";
+}
+
+function parseTrustedProxies(value) {
+  const list = new BlockList();
+  const entries = String(value || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const [rawAddress, rawPrefix] = entry.split("/");
+    const address = normalizeIp(rawAddress);
+    if (!address) continue;
+    const type = isIP(address) === 6 ? "ipv6" : "ipv4";
+    const maxPrefix = type === "ipv6" ? 128 : 32;
+    const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) continue;
+    list.addSubnet(address, prefix, type);
+  }
+  return list;
+}
+
+// TRUSTED_PROXIES lists the IPs and CIDRs of proxies allowed to report a client address, replacing
+// the loopback/private default.
+function getTrustedProxies() {
+  const configured = String(process.env.TRUSTED_PROXIES || "").trim();
+  const source = configured || DEFAULT_TRUSTED_PROXIES.join(",");
+  if (source !== cachedTrustedSource) {
+    cachedTrustedSource = source;
+    cachedTrustedList = parseTrustedProxies(source);
+  }
+  return cachedTrustedList;
+}
+
+function isTrustedProxy(address, trusted) {
+  return trusted.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+// Hops in the order they were added: X-Forwarded-For left to right, then the address the last proxy
+// saw. On Vercel that is the edge's x-vercel-forwarded-for (else x-real-ip), and the socket peer is
+// left out because the function never sees the client connection. Elsewhere the edge headers are
+// ignored, since nothing strips them, and x-real-ip only counts when a trusted proxy sent it.
+function collectHops(req, trusted) {
+  const hops = readHeader(req, "x-forwarded-for").split(",").map(normalizeIp).filter(Boolean);
+  const added = [];
+  if (process.env.VERCEL) {
+    added.push(normalizeIp(readHeader(req, "x-vercel-forwarded-for").split(",")[0]) ||
+      normalizeIp(readHeader(req, "x-real-ip")));
+  } else {
+    const peer = normalizeIp(req && req.socket ? req.socket.remoteAddress : "");
+    if (peer && isTrustedProxy(peer, trusted)) added.push(normalizeIp(readHeader(req, "x-real-ip")));
+    added.push(peer);
+  }
+
+  for (const address of added) {
+    if (address && hops[hops.length - 1] !== address) hops.push(address);
+  }
+  return hops;
+}
+
+// The right-most hop that is not a trusted proxy: anything left of it was written by the client
+// and can't be believed. When every hop is trusted, the left-most one is the client.
+function getClientIp(req, options = {}) {
+  const trusted = options.trustedProxies ? parseTrustedProxies(options.trustedProxies) : getTrustedProxies();
+  const hops = collectHops(req, trusted);
+  for (let index = hops.length - 1; index >= 0; index -= 1) {
+    if (!isTrustedProxy(hops[index], trusted)) return hops[index];
+  }
+  return hops[0] || UNKNOWN_CLIENT_IP;
+}
+
+function expandIpv6(address) {
+  let source = address;
+  const embedded = source.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const octets = embedded[1].split(".").map(Number);
+    const tail = [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]].map((part) => part.toString(16));
+    source = `${source.slice(0, -embedded[1].length)}${tail.join(":")}`;
+  }
+  const [head, rest] = source.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const restGroups = rest ? rest.split(":") : [];
+  const missing = rest === undefined ? 0 : 8 - headGroups.length - restGroups.length;
+  return [...headGroups, ...Array(missing).fill("0"), ...restGroups].map((group) => group.padStart(4, "0"));
+}
+
+// One household or server usually gets a whole IPv6 /64, so rate limits and audit hashes use the
+// prefix; IPv4 addresses are used as they are.
+function clientKeyForIp(address) {
+  const ip = normalizeIp(address) || UNKNOWN_CLIENT_IP;
+  if (isIP(ip) !== 6) return ip;
+  const groups = expandIpv6(ip).slice(0, IPV6_BUCKET_PREFIX / 16).map((group) => group.replace(/^0+(?=.)/, ""));
+  return `${groups.join(":")}::/${IPV6_BUCKET_PREFIX}`;
+}
+
+function getClientKey(req, options = {}) {
+  return clientKeyForIp(getClientIp(req, options));
+}
+
+module.exports = {
+  normalizeIp,
+  getClientIp,
+  getClientKey,
+  clientKeyForIp
+};
@@ -0,0 +1,318 @@
+"use strict";
+
+const { normalizeUrl } = require("./_link-store");
+const { refreshCandidateScores } = require("./_candidate-score");
+
+const TRACKING_PARAM_PATTERNS = [
+  /^utm_/,
+  /^ref$/,
+  /^ref_src$/,
+  /^referrer$/,
+  /^via$/,
+  /^fbclid$/,
+  /^gclid$/,
+  /^dclid$/,
+  /^msclkid$/,
+  /^yclid$/,
+  /^igshid$/,
+  /^mc_cid$/,
+  /^mc_eid$/,
+  /^_hsenc$/,
+  /^_hsmi$/
+];
+
+// A short list of multi-label suffixes instead of the full Public Suffix List.
+// Hosting platforms are included so two apps on vercel.app are not "the same domain".
+const MULTI_LABEL_SUFFIXES = new Set([
+  "co.uk",
+  "org.uk",
+  "com.au",
+  "co.id",
+  "or.id",
+  "ac.id",
+  "web.id",
+  "my.id",
+  "co.jp",
+  "com.br",
+  "co.in",
+  "com.sg",
+  "github.io",
+  "gitlab.io",
+  "vercel.app",
+  "netlify.app",
+  "pages.dev",
+  "workers.dev",
+  "hf.space",
+  "streamlit.app",
+  "notion.site",
+  "web.app",
+  "firebaseapp.com",
+  "herokuapp.com"
+]);
+
+// Many unrelated tools live on these hosts, so the first path segments identify the tool.
+const SHARED_HOST_PATH_DEPTH = {
+  "github.com": 2,
+  "gitlab.com": 2,
+  "huggingface.co": 3,
+  "chrome.google.com": 3,
+  "chromewebstore.google.com": 3,
+  "apps.apple.com": 3,
+  "play.google.com": 0,
+  "openai.com": 1,
+  "google.com": 1
+};
+
+const NAME_STOPWORDS = new Set(["ai", "app", "the", "official", "tool", "tools", "online", "by"]);
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const MAX_DUPLICATE_MATCHES = 3;
+const DUPLICATE_TARGET_KINDS = new Set(["main", "candidate"]);
+
+const REASON_WEIGHT = {
+  "same-url": 4,
+  "same-final-url": 3,
+  "same-domain": 2,
+  "similar-name": 1
+};
+
+function stripTrackingParams(rawUrl) {
+  const normalized = normalizeUrl(rawUrl);
+  if (!normalized) return "";
+  const parsed = new URL(normalized);
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAM_PATTERNS.some((pattern) => pattern.test(key.toLowerCase()))) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  return normalizeUrl(parsed.href);
+}
+
+function registrableDomain(hostname) {
+  const labels = String(hostname || "").toLowerCase().replace(/\.$/, "").split(".").filter(Boolean);
+  if (labels.length <= 2) return labels.join(".");
+  const lastTwo = labels.slice(-2).join(".");
+  const keep = MULTI_LABEL_SUFFIXES.has(lastTwo) ? 3 : 2;
+  return labels.slice(-keep).join(".");
+}
+
+function domainKey(rawUrl) {
+  const cleanUrl = stripTrackingParams(rawUrl);
+  if (!cleanUrl) return "";
+  const parsed = new URL(cleanUrl);
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const sharedDepth = SHARED_HOST_PATH_DEPTH[host] ?? SHARED_HOST_PATH_DEPTH[registrableDomain(host)];
+  if (sharedDepth === undefined) return registrableDomain(host);
+
+  // play.google.com identifies apps by ?id= rather than by path.
+  if (host === "play.google.com") {
+    const appId = parsed.searchParams.get("id");
+    return appId ? `${host}?id=${appId.toLowerCase()}` : "";
+  }
+  const segments = parsed.pathname.split("/").filter(Boolean).slice(0, sharedDepth);
+  return segments.length ? `${host}/${segments.join("/").toLowerCase()}` : "";
+}
+
+function nameKey(rawName) {
+  const tokens = String(rawName || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const meaningful = tokens.filter((token) => !NAME_STOPWORDS.has(token));
+  return (meaningful.length ? meaningful : tokens).join("");
+}
+
+function bigrams(value) {
+  const grams = [];
+  for (let index = 0; index < value.length - 1; index += 1) grams.push(value.slice(index, index + 2));
+  return grams;
+}
+
+function nameSimilarity(left, right) {
+  const a = nameKey(left);
+  const b = nameKey(right);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (!gramsA.length || !gramsB.length) return 0;
+
+  const counts = new Map();
+  gramsA.forEach((gram) => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let overlap = 0;
+  for (const gram of gramsB) {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      overlap += 1;
+      counts.set(gram, count - 1);
+    }
+  }
+  return (2 * overlap) / (gramsA.length + gramsB.length);
+}
+
+function describeEntry(entry) {
+  const url = String(entry.url || "");
+  const finalUrl = String(entry.finalUrl || "");
+  return {
+    kind: entry.kind,
+    id: String(entry.id),
+    name: String(entry.name || ""),
+    url,
+    cleanUrls: [...new Set([stripTrackingParams(url), stripTrackingParams(finalUrl)].filter(Boolean))],
+    domain: domainKey(finalUrl || url),
+    urlDomain: domainKey(url)
+  };
+}
+
+function createDuplicateIndex(entries) {
+  return (Array.isArray(entries) ? entries : []).map(describeEntry);
+}
+
+function compareEntries(subject, other) {
+  const reasons = [];
+  const subjectPrimary = subject.cleanUrls[0];
+  const otherPrimary = other.cleanUrls[0];
+  if (subjectPrimary && subjectPrimary === otherPrimary) {
+    reasons.push("same-url");
+  } else if (subject.cleanUrls.some((url) => other.cleanUrls.includes(url))) {
+    reasons.push("same-final-url");
+  }
+  const subjectDomains = [subject.domain, subject.urlDomain].filter(Boolean);
+  if (subjectDomains.some((domain) => domain === other.domain || domain === other.urlDomain)) {
+    reasons.push("same-domain");
+  }
+  if (nameSimilarity(subject.name, other.name) >= NAME_SIMILARITY_THRESHOLD) {
+    reasons.push("similar-name");
+  }
+  return reasons;
+}
+
+function findDuplicates(candidate, index) {
+  const subject = describeEntry({ ...candidate, kind: "candidate" });
+  const matches = [];
+  for (const other of index) {
+    if (other.kind === "candidate" && other.id === subject.id) continue;
+    const reasons = compareEntries(subject, other);
+    if (!reasons.length) continue;
+    matches.push({
+      kind: other.kind,
+      id: other.id,
+      name: other.name,
+      url: other.url,
+      reasons,
+      weight: reasons.reduce((sum, reason) => sum + REASON_WEIGHT[reason], 0)
+    });
+  }
+
+  return matches
+    .sort((left, right) => right.weight - left.weight || (left.kind === "main" ? -1 : 1) - (right.kind === "main" ? -1 : 1))
+    .slice(0, MAX_DUPLICATE_MATCHES)
+    .map(({ weight, ...match }) => match);
+}
+
+async function loadDuplicateIndex(sql) {
+  const mainRows = await sql`SELECT id, name, url FROM ai_main_links`;
+  const candidateRows = await sql`
+    SELECT id, name, url, final_url
+    FROM ai_candidate_links
+    WHERE status = 'pending'
+  `;
+  return createDuplicateIndex([
+    ...mainRows.map((row) => ({ kind: "main", id: row.id, name: row.name, url: row.url })),
+    ...candidateRows.map((row) => ({ kind: "candidate", id: row.id, name: row.name, url: row.url, finalUrl: row.final_url }))
+  ]);
+}
+
+function parseCandidateId(rawId) {
+  const id = String(rawId ?? "").trim();
+  return /^\d{1,18}$/.test(id) ? id : "";
+}
+
+async function mergeDuplicateCandidate(sql, rawSourceId, rawTarget, reviewer = "") {
+  const sourceId = parseCandidateId(rawSourceId);
+  const target = rawTarget && typeof rawTarget === "object" ? rawTarget : {};
+  const targetKind = String(target.kind || "").trim();
+  const targetId = parseCandidateId(target.id);
+  if (!sourceId || !targetId || !DUPLICATE_TARGET_KINDS.has(targetKind)) {
+    return { ok: false, error: "A candidate id and a target { kind: \"main\" | \"candidate\", id } are required." };
+  }
+  if (targetKind === "candidate" && targetId === sourceId) {
+    return { ok: false, error: "A candidate cannot be merged into itself." };
+  }
+
+  const notPending = { ok: false, reason: "not_found", error: "Pending candidate not found." };
+  const sourceRows = await sql`
+    SELECT id
+    FROM ai_candidate_links
+    WHERE id = ${sourceId} AND status = 'pending'
+  `;
+  if (!sourceRows[0]) return notPending;
+
+  const targetRows = targetKind === "main"
+    ? await sql`SELECT id, name FROM ai_main_links WHERE id = ${targetId}`
+    : await sql`SELECT id, name FROM ai_candidate_links WHERE id = ${targetId} AND status = 'pending'`;
+  const targetRow = targetRows[0];
+  if (!targetRow) return { ok: false, reason: "not_found", error: "Duplicate target not found." };
+
+  const reviewedBy = String(reviewer || "");
+  if (targetKind === "main") {
+    // Main links do not track discoveries; the candidate is rejected as already listed, the same
+    // shape as a candidate-to-candidate merge, so it stays visible under the rejected filter.
+    const reason = `Duplicate of listed tool "${String(targetRow.name || "")}" (#${targetId}).`.slice(0, 500);
+    const rows = await sql`
+      UPDATE ai_candidate_links
+      SET
+        status = 'rejected',
+        rejection_reason = ${reason},
+        reviewed_by = ${reviewedBy},
+        reviewed_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${sourceId} AND status = 'pending'
+      RETURNING id
+    `;
+    if (!rows.length) return notPending;
+    return { ok: true, target: { kind: targetKind, id: targetId }, mergedDiscoveredCount: 0 };
+  }
+
+  // One statement, so a second moderator merging the same source finds it no longer pending and
+  // adds nothing to the target.
+  const reason = `Duplicate of candidate "${String(targetRow.name || "")}" (#${targetId}).`.slice(0, 500);
+  const rows = await sql`
+    WITH source AS (
+      UPDATE ai_candidate_links
+      SET
+        status = 'rejected',
+        rejection_reason = ${reason},
+        reviewed_by = ${reviewedBy},
+        reviewed_at = NOW(),
+        updated_at = NOW()
+      WHERE id = ${sourceId}
+        AND status = 'pending'
+        AND EXISTS (SELECT 1 FROM ai_candidate_links WHERE id = ${targetId} AND status = 'pending')
+      RETURNING discovered_count, last_seen_at
+    )
+    UPDATE ai_candidate_links AS target
+    SET
+      discovered_count = target.discovered_count + source.discovered_count,
+      last_seen_at = GREATEST(target.last_seen_at, source.last_seen_at),
+      updated_at = NOW()
+    FROM source
+    WHERE target.id = ${targetId} AND target.status = 'pending'
+    RETURNING source.discovered_count AS merged_count
+  `;
+  if (!rows.length) return notPending;
+  await refreshCandidateScores(sql, [targetId]);
+  return { ok: true, target: { kind: targetKind, id: targetId }, mergedDiscoveredCount: Number(rows[0].merged_count || 0) };
+}
+
+module.exports = {
+  stripTrackingParams,
+  registrableDomain,
+  domainKey,
+  nameSimilarity,
+  createDuplicateIndex,
+  findDuplicates,
+  loadDuplicateIndex,
+  mergeDuplicateCandidate
+};
@@ -0,0 +1,193 @@
+"use strict";
+
+const { createPublicKey, verify } = require("node:crypto");
+
+const GOOGLE_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const JWKS_TIMEOUT_MS = 5000;
+const JWKS_DEFAULT_MAX_AGE_SECONDS = 60 * 60;
+// An unknown kid triggers a refetch (Google rotated its keys), but at most this often.
+const JWKS_MIN_REFETCH_SECONDS = 60;
+const CLOCK_SKEW_SECONDS = 60;
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(String(segment || ""), "base64url").toString("utf8"));
+}
+
+function readMaxAgeSeconds(cacheControl) {
+  const match = /max-age=(\d+)/i.exec(String(cacheControl || ""));
+  return match ? Number.parseInt(match[1], 10) : JWKS_DEFAULT_MAX_AGE_SECONDS;
+}
+
+function importJwks(jwks) {
+  const keys = new Map();
+  for (const jwk of Array.isArray(jwks && jwks.keys) ? jwks.keys : []) {
+    if (!jwk || jwk.kty !== "RSA" || !jwk.kid) continue;
+    if (jwk.use && jwk.use !== "sig") continue;
+    try {
+      keys.set(String(jwk.kid), createPublicKey({ key: jwk, format: "jwk" }));
+    } catch {}
+  }
+  return keys;
+}
+
+// Keys live for the response's max-age. Pass `fetchJwks` to serve keys from a local fake issuer.
+function createJwksKeySource(options = {}) {
+  const url = options.url || GOOGLE_JWKS_URL;
+  const now = options.now || (() => Date.now());
+  const fetchJwks = options.fetchJwks || (async () => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), JWKS_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        method: "GET",
+        headers: { Accept: "application/json" },
+        signal: controller.signal
+      });
+      if (!response.ok) throw new Error(`JWKS request failed with HTTP ${response.status}`);
+      return {
+        jwks: await response.json(),
+        maxAgeSeconds: readMaxAgeSeconds(response.headers.get("cache-control"))
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  });
+
+  let keys = new Map();
+  let expiresAt = 0;
+  let fetchedAt = 0;
+  let pending = null;
+
+  async function refresh() {
+    if (!pending) {
+      pending = (async () => {
+        const { jwks, maxAgeSeconds } = await fetchJwks();
+        keys = importJwks(jwks);
+        fetchedAt = now();
+        expiresAt = fetchedAt + Math.max(0, Number(maxAgeSeconds) || 0) * 1000;
+      })().finally(() => {
+        pending = null;
+      });
+    }
+    await pending;
+  }
+
+  return {
+    async getKey(kid) {
+      if (now() >= expiresAt) {
+        await refresh();
+      } else if (!keys.has(kid) && now() - fetchedAt >= JWKS_MIN_REFETCH_SECONDS * 1000) {
+        await refresh();
+      }
+      return keys.get(kid) || null;
+    }
+  };
+}
+
+async function verifyGoogleIdTokenWithKeys(idToken, options) {
+  const { audience, keySource } = options;
+  const nowSeconds = Math.floor((options.now ? options.now() : Date.now()) / 1000);
+
+  const parts = String(idToken || "").split(".");
+  if (parts.length !== 3) return { ok: false, reason: "invalid_google_token" };
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch {
+    return { ok: false, reason: "invalid_google_token" };
+  }
+  if (!header || header.alg !== "RS256" || !header.kid || !payload || typeof payload !== "object") {
+    return { ok: false, reason: "invalid_google_token" };
+  }
+
+  let key;
+  try {
+    key = await keySource.getKey(String(header.kid));
+  } catch {
+    return { ok: false, reason: "google_keys_unavailable" };
+  }
+  if (!key) return { ok: false, reason: "unknown_signing_key" };
+
+  const signatureValid = verify(
+    "RSA-SHA256",
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!signatureValid) return { ok: false, reason: "signature_invalid" };
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.map((value) => String(value || "")).includes(audience)) {
+    return { ok: false, reason: "aud_mismatch" };
+  }
+
+  if (!GOOGLE_ISSUERS.includes(String(payload.iss || ""))) {
+    return { ok: false, reason: "issuer_invalid" };
+  }
+
+  const exp = Number(payload.exp);
+  if (!Number.isFinite(exp) || exp + CLOCK_SKEW_SECONDS <= nowSeconds) {
+    return { ok: false, reason: "token_expired" };
+  }
+  const iat = Number(payload.iat);
+  if (Number.isFinite(iat) && iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+    return { ok: false, reason: "token_not_yet_valid" };
+  }
+
+  const email = String(payload.email || "").trim().toLowerCase();
+  if (!email || !(payload.email_verified === true || payload.email_verified === "true")) {
+    return { ok: false, reason: "email_not_verified" };
+  }
+
+  return { ok: true, payload: { ...payload, email } };
+}
+
+function getGoogleClientId() {
+  return String(process.env.GOOGLE_OAUTH_CLIENT_ID || "").trim();
+}
+
+let googleKeySource = null;
+
+// The key source is shared across warm invocations so JWKS is fetched once per max-age, not per login.
+async function verifyGoogleIdToken(idToken, options = {}) {
+  const token = String(idToken || "").trim();
+  if (!token) {
+    return { ok: false, reason: "missing_token" };
+  }
+
+  const googleClientId = getGoogleClientId();
+  if (!googleClientId) {
+    return { ok: false, reason: "missing_client_id" };
+  }
+
+  if (!options.keySource && !googleKeySource) googleKeySource = createJwksKeySource();
+  const verified = await verifyGoogleIdTokenWithKeys(token, {
+    audience: googleClientId,
+    keySource: options.keySource || googleKeySource,
+    now: options.now
+  });
+  if (!verified.ok) return verified;
+
+  const { payload } = verified;
+  return {
+    ok: true,
+    user: {
+      sub: String(payload.sub || ""),
+      email: payload.email,
+      name: String(payload.name || ""),
+      picture: String(payload.picture || "")
+    }
+  };
+}
+
+module.exports = {
+  GOOGLE_JWKS_URL,
+  getGoogleClientId,
+  verifyGoogleIdToken,
+  createJwksKeySource,
+  verifyGoogleIdTokenWithKeys
+};
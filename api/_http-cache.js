@@ -0,0 +1,49 @@
+"use strict";
+
+const crypto = require("crypto");
+
+function buildStrongEtag(parts) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("base64url")
+    .slice(0, 32);
+  return `"${digest}"`;
+}
+
+function stripWeakPrefix(tag) {
+  return tag.startsWith("W/") ? tag.slice(2) : tag;
+}
+
+// If-None-Match uses the weak comparison function (RFC 9110 13.1.2).
+function ifNoneMatchSatisfied(req, etag) {
+  const header = req && req.headers ? req.headers["if-none-match"] : "";
+  const raw = Array.isArray(header) ? header.join(",") : String(header || "");
+  if (!raw.trim() || !etag) return false;
+  if (raw.trim() === "*") return true;
+
+  const target = stripWeakPrefix(etag);
+  return raw
+    .split(",")
+    .map((tag) => stripWeakPrefix(tag.trim()))
+    .some((tag) => tag === target);
+}
+
+function setPublicCacheHeaders(res, { etag, lastModified, sMaxAge, staleWhileRevalidate }) {
+  res.setHeader("Cache-Control", `public, max-age=0, must-revalidate, s-maxage=${sMaxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+  if (etag) res.setHeader("ETag", etag);
+  if (lastModified instanceof Date && !Number.isNaN(lastModified.getTime())) {
+    res.setHeader("Last-Modified", lastModified.toUTCString());
+  }
+}
+
+function sendNotModified(res) {
+  return res.status(304).end();
+}
+
+module.exports = {
+  buildStrongEtag,
+  ifNoneMatchSatisfied,
+  setPublicCacheHeaders,
+  sendNotModified
+};
@@ -0,0 +1,179 @@
+"use strict";
+
+const { getGoogleClientId, verifyGoogleIdToken } = require("./_google-id-token");
+
+const GOOGLE_AUTHORIZE_URL = "https://accounts.google.com/o/oauth2/v2/auth";
+const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const GITHUB_AUTHORIZE_URL = "https://github.com/login/oauth/authorize";
+const GITHUB_TOKEN_URL = "https://github.com/login/oauth/access_token";
+const GITHUB_API_URL = "https://api.github.com";
+const PROVIDER_TIMEOUT_MS = 8000;
+
+function readEnv(name) {
+  return String(process.env[name] || "").trim();
+}
+
+// Redirect and email flows put this origin into URLs, so it comes from config, never from the Host header.
+function getPublicBaseUrl() {
+  return readEnv("ADMIN_PUBLIC_BASE_URL").replace(/\/+$/g, "");
+}
+
+function getOAuthRedirectUri() {
+  return `${getPublicBaseUrl()}/api/admin-oauth`;
+}
+
+async function requestJson(url, init, options = {}) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT_MS);
+  try {
+    const response = await fetchImpl(url, { ...init, signal: controller.signal });
+    const payload = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, payload };
+  } catch {
+    return { ok: false, status: 0, payload: {} };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+const googleProvider = {
+  id: "google",
+  label: "Google",
+  // With a client secret Google uses the server-side authorization-code flow; without one, the
+  // Google Identity Services button posts an ID token to /api/admin-login.
+  flow() {
+    if (!getGoogleClientId()) return "";
+    return readEnv("GOOGLE_OAUTH_CLIENT_SECRET") && getPublicBaseUrl() ? "redirect" : "credential";
+  },
+  authorizationUrl({ state, codeChallenge }) {
+    const params = new URLSearchParams({
+      client_id: getGoogleClientId(),
+      redirect_uri: getOAuthRedirectUri(),
+      response_type: "code",
+      scope: "openid email profile",
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+      prompt: "select_account"
+    });
+    return `${GOOGLE_AUTHORIZE_URL}?${params.toString()}`;
+  },
+  async exchangeCode({ code, codeVerifier }, options = {}) {
+    const token = await requestJson(GOOGLE_TOKEN_URL, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        client_id: getGoogleClientId(),
+        client_secret: readEnv("GOOGLE_OAUTH_CLIENT_SECRET"),
+        code: String(code || ""),
+        code_verifier: String(codeVerifier || ""),
+        grant_type: "authorization_code",
+        redirect_uri: getOAuthRedirectUri()
+      }).toString()
+    }, options);
+    if (!token.ok || !token.payload.id_token) return { ok: false, reason: "code_exchange_failed" };
+    return verifyGoogleIdToken(token.payload.id_token, options);
+  },
+  verifyCredential(credential, options = {}) {
+    return verifyGoogleIdToken(credential, options);
+  }
+};
+
+const githubProvider = {
+  id: "github",
+  label: "GitHub",
+  flow() {
+    const configured = readEnv("GITHUB_OAUTH_CLIENT_ID") && readEnv("GITHUB_OAUTH_CLIENT_SECRET") && getPublicBaseUrl();
+    return configured ? "redirect" : "";
+  },
+  authorizationUrl({ state }) {
+    const params = new URLSearchParams({
+      client_id: readEnv("GITHUB_OAUTH_CLIENT_ID"),
+      redirect_uri: getOAuthRedirectUri(),
+      scope: "read:user user:email",
+      state,
+      allow_signup: "false"
+    });
+    return `${GITHUB_AUTHORIZE_URL}?${params.toString()}`;
+  },
+  // Only the primary, verified email counts, so an unverified address added to a GitHub account cannot sign in.
+  async exchangeCode({ code }, options = {}) {
+    const token = await requestJson(GITHUB_TOKEN_URL, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        client_id: readEnv("GITHUB_OAUTH_CLIENT_ID"),
+        client_secret: readEnv("GITHUB_OAUTH_CLIENT_SECRET"),
+        code: String(code || ""),
+        redirect_uri: getOAuthRedirectUri()
+      }).toString()
+    }, options);
+    const accessToken = token.ok ? String(token.payload.access_token || "") : "";
+    if (!accessToken) return { ok: false, reason: "code_exchange_failed" };
+
+    const apiInit = {
+      method: "GET",
+      headers: {
+        Accept: "application/vnd.github+json",
+        Authorization: `Bearer ${accessToken}`,
+        "User-Agent": "aicenghub-admin"
+      }
+    };
+    const [profile, emails] = await Promise.all([
+      requestJson(`${GITHUB_API_URL}/user`, apiInit, options),
+      requestJson(`${GITHUB_API_URL}/user/emails`, apiInit, options)
+    ]);
+    if (!profile.ok || !emails.ok || !Array.isArray(emails.payload)) {
+      return { ok: false, reason: "github_request_failed" };
+    }
+
+    const primary = emails.payload.find((entry) => entry && entry.primary && entry.verified);
+    if (!primary || !primary.email) return { ok: false, reason: "email_not_verified" };
+    return {
+      ok: true,
+      user: {
+        sub: `github:${profile.payload.id}`,
+        email: String(primary.email).trim().toLowerCase(),
+        name: String(profile.payload.name || profile.payload.login || ""),
+        picture: String(profile.payload.avatar_url || "")
+      }
+    };
+  }
+};
+
+const magicLinkProvider = {
+  id: "magic-link",
+  label: "Email link",
+  flow() {
+    const configured = readEnv("ADMIN_SESSION_SECRET") && readEnv("RESEND_API_KEY") &&
+      readEnv("ADMIN_MAGIC_LINK_FROM") && getPublicBaseUrl();
+    return configured ? "email" : "";
+  }
+};
+
+const IDENTITY_PROVIDERS = [googleProvider, githubProvider, magicLinkProvider];
+
+function getIdentityProvider(id) {
+  const provider = IDENTITY_PROVIDERS.find((entry) => entry.id === String(id || "").trim());
+  return provider && provider.flow() ? provider : null;
+}
+
+function listEnabledProviders() {
+  return IDENTITY_PROVIDERS
+    .filter((provider) => provider.flow())
+    .map((provider) => ({ id: provider.id, label: provider.label, flow: provider.flow() }));
+}
+
+module.exports = {
+  getPublicBaseUrl,
+  requestJson,
+  getIdentityProvider,
+  listEnabledProviders
+};
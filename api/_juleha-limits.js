@@ -0,0 +1,69 @@
+"use strict";
+
+const { consumeRateLimit, peekRateLimit, setRateLimitHeaders } = require("./_rate-limit");
+
+const CHAT_LIMIT_COUNT = 30;
+const CHAT_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const URL_LIMIT_COUNT = 10;
+const URL_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+
+function chatBucket(clientKey) {
+  return { key: `chat:${clientKey}`, limit: CHAT_LIMIT_COUNT, windowMs: CHAT_LIMIT_WINDOW_MS };
+}
+
+function urlBucket(clientKey) {
+  return { key: `url:${clientKey}`, limit: URL_LIMIT_COUNT, windowMs: URL_LIMIT_WINDOW_MS };
+}
+
+function consumeChatRateLimit(clientKey) {
+  return consumeRateLimit({ ...chatBucket(clientKey), weight: 1 });
+}
+
+function consumeUrlRateLimit(clientKey, weight) {
+  return consumeRateLimit({ ...urlBucket(clientKey), weight });
+}
+
+function peekChatRateLimit(clientKey) {
+  return peekRateLimit(chatBucket(clientKey));
+}
+
+function peekUrlRateLimit(clientKey) {
+  return peekRateLimit(urlBucket(clientKey));
+}
+
+// The chat bucket fills RateLimit-Limit/-Remaining/-Reset, since that is the one every message uses.
+function setJulehaRateLimitHeaders(res, chat, url) {
+  setRateLimitHeaders(res, [
+    { name: "chat", limit: CHAT_LIMIT_COUNT, windowMs: CHAT_LIMIT_WINDOW_MS, result: chat },
+    { name: "url", limit: URL_LIMIT_COUNT, windowMs: URL_LIMIT_WINDOW_MS, result: url }
+  ]);
+}
+
+function describeBucket(result, limit, windowMs) {
+  return {
+    limit,
+    remaining: result.remaining,
+    resetAt: new Date(result.resetAt).toISOString(),
+    windowSec: Math.ceil(windowMs / 1000)
+  };
+}
+
+async function getJulehaQuota(clientKey) {
+  const [chat, url] = await Promise.all([peekChatRateLimit(clientKey), peekUrlRateLimit(clientKey)]);
+  return {
+    chat,
+    url,
+    summary: {
+      chat: describeBucket(chat, CHAT_LIMIT_COUNT, CHAT_LIMIT_WINDOW_MS),
+      url: describeBucket(url, URL_LIMIT_COUNT, URL_LIMIT_WINDOW_MS)
+    }
+  };
+}
+
+module.exports = {
+  consumeChatRateLimit,
+  consumeUrlRateLimit,
+  peekUrlRateLimit,
+  setJulehaRateLimitHeaders,
+  getJulehaQuota
+};
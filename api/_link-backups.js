@@ -0,0 +1,237 @@
+"use strict";
+
+const {
+  normalizeUrl,
+  normalizeAbilities,
+  normalizePricing,
+  normalizeTags,
+  getMainLinks,
+  pickUniqueSlug,
+  reserveBackupNumber,
+  buildBackupQueries,
+  backupFileName,
+  getCatalogVersion
+} = require("./_link-store");
+
+// lastCheckedAt moves on every enrichment run, so it is left out of diffs.
+const DIFF_FIELDS = [
+  "name",
+  "description",
+  "abilities",
+  "pricing",
+  "tags",
+  "features",
+  "pricingText",
+  "pricingFlags",
+  "faviconUrl",
+  "thumbnailUrl",
+  "pendingEnrichment"
+];
+
+function rowToBackupSummary(row) {
+  const number = Number(row.backup_number || 0);
+  return {
+    backupNumber: number,
+    backupFileName: backupFileName(number),
+    createdAt: row.created_at,
+    sizeBytes: Number(row.size_bytes || 0),
+    linkCount: Number(row.link_count || 0)
+  };
+}
+
+async function listBackups(sql) {
+  const rows = await sql`
+    SELECT
+      backup_number,
+      created_at,
+      octet_length(snapshot_json)::INT AS size_bytes,
+      json_array_length(snapshot_json::JSON)::INT AS link_count
+    FROM ai_link_backups
+    ORDER BY created_at DESC, id DESC
+  `;
+  return rows.map(rowToBackupSummary);
+}
+
+async function getBackup(sql, backupNumber) {
+  const rows = await sql`
+    SELECT
+      backup_number,
+      created_at,
+      snapshot_json,
+      octet_length(snapshot_json)::INT AS size_bytes,
+      json_array_length(snapshot_json::JSON)::INT AS link_count
+    FROM ai_link_backups
+    WHERE backup_number = ${backupNumber}
+  `;
+  const row = rows[0];
+  if (!row) return null;
+
+  let links = [];
+  try {
+    const parsed = JSON.parse(String(row.snapshot_json || "[]"));
+    links = Array.isArray(parsed) ? parsed : [];
+  } catch {
+    links = [];
+  }
+  return { ...rowToBackupSummary(row), links };
+}
+
+function indexLinksByUrl(links) {
+  const byUrl = new Map();
+  for (const link of Array.isArray(links) ? links : []) {
+    const url = normalizeUrl(link && link.url);
+    if (url && !byUrl.has(url)) byUrl.set(url, link);
+  }
+  return byUrl;
+}
+
+function diffLinkSnapshots(backupLinks, liveLinks) {
+  const backupByUrl = indexLinksByUrl(backupLinks);
+  const liveByUrl = indexLinksByUrl(liveLinks);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  for (const [url, live] of liveByUrl) {
+    const backup = backupByUrl.get(url);
+    if (!backup) {
+      added.push({ url, name: String(live.name || "") });
+      continue;
+    }
+
+    const fields = DIFF_FIELDS
+      .filter((field) => JSON.stringify(backup[field] ?? null) !== JSON.stringify(live[field] ?? null))
+      .map((field) => ({ field, backup: backup[field] ?? null, live: live[field] ?? null }));
+    if (fields.length) {
+      changed.push({ url, name: String(live.name || ""), fields });
+    } else {
+      unchangedCount += 1;
+    }
+  }
+
+  for (const [url, backup] of backupByUrl) {
+    if (!liveByUrl.has(url)) removed.push({ url, name: String(backup.name || "") });
+  }
+
+  return { added, removed, changed, unchangedCount };
+}
+
+async function restoreBackup(sql, rawBackupNumber) {
+  const backupNumber = Number.parseInt(String(rawBackupNumber ?? ""), 10);
+  if (!Number.isFinite(backupNumber) || backupNumber < 1) {
+    return { ok: false, error: "A valid backupNumber is required." };
+  }
+
+  const backup = await getBackup(sql, backupNumber);
+  if (!backup) return { ok: false, reason: "not_found", error: "Backup not found." };
+
+  const restoreLinks = [...indexLinksByUrl(backup.links)].map(([url, link]) => ({ ...link, url }));
+  if (!restoreLinks.length) return { ok: false, error: "Backup is empty; refusing to clear the main list." };
+
+  const currentLinks = await getMainLinks(sql);
+  const currentRows = await sql`SELECT url, slug FROM ai_main_links`;
+  const restoreUrls = restoreLinks.map((link) => link.url);
+  const restoreUrlSet = new Set(restoreUrls);
+  const slugByUrl = new Map(currentRows.map((row) => [String(row.url), String(row.slug)]));
+  const takenSlugs = new Set(
+    currentRows.filter((row) => restoreUrlSet.has(String(row.url))).map((row) => String(row.slug))
+  );
+
+  const safetyBackupNumber = await reserveBackupNumber(sql, { skip: backupNumber });
+  const queries = [
+    ...buildBackupQueries(sql, safetyBackupNumber, currentLinks),
+    sql`DELETE FROM ai_main_links WHERE NOT (url = ANY(${restoreUrls}::TEXT[]))`
+  ];
+
+  for (const link of restoreLinks) {
+    const name = String(link.name || "").trim() || link.url;
+    let slug = slugByUrl.get(link.url);
+    if (!slug) {
+      slug = pickUniqueSlug(name, takenSlugs);
+      takenSlugs.add(slug);
+    }
+    const flags = link.pricingFlags && typeof link.pricingFlags === "object" ? link.pricingFlags : {};
+
+    queries.push(sql`
+      INSERT INTO ai_main_links (
+        name,
+        slug,
+        url,
+        description,
+        abilities,
+        pricing_tier,
+        tags,
+        features_json,
+        is_free,
+        has_trial,
+        is_paid,
+        pricing_text,
+        favicon_url,
+        thumbnail_url,
+        pending_enrichment,
+        last_checked_at,
+        source,
+        updated_at
+      )
+      VALUES (
+        ${name},
+        ${slug},
+        ${link.url},
+        ${String(link.description || "").trim()},
+        ${normalizeAbilities(Array.isArray(link.abilities) ? link.abilities : [])}::TEXT[],
+        ${normalizePricing(link.pricing)},
+        ${normalizeTags(Array.isArray(link.tags) ? link.tags : [])}::TEXT[],
+        ${JSON.stringify(link.features && typeof link.features === "object" ? link.features : {})},
+        ${Boolean(flags.isFree)},
+        ${Boolean(flags.hasTrial)},
+        ${Boolean(flags.isPaid)},
+        ${String(link.pricingText || "")},
+        ${String(link.faviconUrl || "")},
+        ${String(link.thumbnailUrl || "")},
+        ${Boolean(link.pendingEnrichment)},
+        ${link.lastCheckedAt || null}::timestamptz,
+        'backup-restore',
+        NOW()
+      )
+      ON CONFLICT (url) DO UPDATE SET
+        name = EXCLUDED.name,
+        description = EXCLUDED.description,
+        abilities = EXCLUDED.abilities,
+        pricing_tier = EXCLUDED.pricing_tier,
+        tags = EXCLUDED.tags,
+        features_json = EXCLUDED.features_json,
+        is_free = EXCLUDED.is_free,
+        has_trial = EXCLUDED.has_trial,
+        is_paid = EXCLUDED.is_paid,
+        pricing_text = EXCLUDED.pricing_text,
+        favicon_url = EXCLUDED.favicon_url,
+        thumbnail_url = EXCLUDED.thumbnail_url,
+        pending_enrichment = EXCLUDED.pending_enrichment,
+        last_checked_at = EXCLUDED.last_checked_at,
+        updated_at = NOW()
+    `);
+  }
+
+  await sql.transaction(queries);
+
+  const diff = diffLinkSnapshots(currentLinks, restoreLinks);
+  const catalog = await getCatalogVersion(sql);
+  return {
+    ok: true,
+    restoredBackupNumber: backupNumber,
+    safetyBackup: { backupNumber: safetyBackupNumber, backupFileName: backupFileName(safetyBackupNumber) },
+    addedCount: diff.added.length,
+    removedCount: diff.removed.length,
+    changedCount: diff.changed.length,
+    totalLinks: catalog.linkCount,
+    catalogVersion: catalog.version
+  };
+}
+
+module.exports = {
+  listBackups,
+  getBackup,
+  diffLinkSnapshots,
+  restoreBackup
+};
@@ -1,9 +1,37 @@
 "use strict";
 
+const { assertSchemaCurrent } = require("./_migrator");
+const { refreshCandidateScores } = require("./_candidate-score");
+const { slugify, isValidSlug, pickUniqueSlug } = require("./_slugs");
+
 const ALLOWED_ABILITIES = new Set(["text", "image", "video", "audio", "code", "automation", "learning"]);
 const ALLOWED_PRICING_TIERS = new Set(["free", "trial", "paid"]);
-const ALLOWED_TOOL_TAGS = new Set(["watermarked"]);
+const TAG_KEY_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_TAG_KEY_LENGTH = 40;
+const MAX_TAG_LABEL_LENGTH = 60;
+const MAX_TAG_ALIASES = 20;
+const TAG_TAXONOMY_TTL_MS = 60 * 1000;
+// Stands in until the tool_tags table has been read, matching the old hard-coded allowlist.
+const DEFAULT_TAG_TAXONOMY = [
+  {
+    key: "watermarked",
+    labels: { en: "Watermarked", id: "Ber-watermark" },
+    aliases: ["watermark", "wm", "ber-watermark", "bertanda-air"],
+    abilities: ["image", "video"],
+    sortOrder: 0
+  }
+];
 const MAX_BACKUPS = 30;
+const TOOL_DETAIL_CHECK_LIMIT = 5;
+const TOOL_CHECK_MAX_SOURCES = 10;
+const MAX_CANDIDATE_BATCH = 100;
+const MAX_CANDIDATE_NAME_LENGTH = 120;
+const MAX_CANDIDATE_DESCRIPTION_LENGTH = 1000;
+const MAX_REJECTION_REASON_LENGTH = 500;
+const MAX_SUBMITTER_HASHES = 100;
+
+let tagTaxonomy = indexTagTaxonomy(DEFAULT_TAG_TAXONOMY);
+let tagTaxonomyLoadedAt = 0;
 
 function parseJsonSafe(rawValue, fallback) {
   if (rawValue === null || rawValue === undefined || rawValue === "") return fallback;
@@ -76,13 +104,36 @@ function normalizePricing(rawPricing) {
   return "trial";
 }
 
+function normalizeTagToken(rawTag) {
+  return String(rawTag || "").trim().toLowerCase().replace(/\s+/g, "-");
+}
+
+function indexTagTaxonomy(tags) {
+  const byKey = new Map();
+  const aliasToKey = new Map();
+  tags.forEach((tag) => {
+    byKey.set(tag.key, tag);
+    aliasToKey.set(tag.key, tag.key);
+  });
+  tags.forEach((tag) => {
+    tag.aliases.forEach((alias) => {
+      if (!aliasToKey.has(alias)) aliasToKey.set(alias, tag.key);
+    });
+  });
+  return { tags, byKey, aliasToKey };
+}
+
+function resolveTagKey(rawTag) {
+  return tagTaxonomy.aliasToKey.get(normalizeTagToken(rawTag)) || "";
+}
+
 function normalizeTags(rawTags) {
   if (!Array.isArray(rawTags)) return [];
   const deduped = [];
   const seen = new Set();
   for (const rawTag of rawTags) {
-    const tag = String(rawTag || "").trim().toLowerCase().replace(/\s+/g, "-");
-    if (!ALLOWED_TOOL_TAGS.has(tag)) continue;
+    const tag = resolveTagKey(rawTag);
+    if (!tag) continue;
     if (seen.has(tag)) continue;
     seen.add(tag);
     deduped.push(tag);
@@ -90,28 +141,9 @@ function normalizeTags(rawTags) {
   return deduped;
 }
 
-function abilitiesToCsv(rawAbilities) {
-  return normalizeAbilities(rawAbilities).join(",");
-}
-
-function csvToAbilities(rawCsv) {
-  const parts = String(rawCsv || "")
-    .split(",")
-    .map((part) => part.trim().toLowerCase())
-    .filter(Boolean);
-  return normalizeAbilities(parts);
-}
-
-function tagsToCsv(rawTags) {
-  return normalizeTags(rawTags).join(",");
-}
-
-function csvToTags(rawCsv) {
-  const parts = String(rawCsv || "")
-    .split(",")
-    .map((part) => part.trim().toLowerCase())
-    .filter(Boolean);
-  return normalizeTags(parts);
+function toTextArray(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((item) => String(item || "").trim().toLowerCase()).filter(Boolean);
 }
 
 function rowToLink(row) {
@@ -119,9 +151,9 @@ function rowToLink(row) {
     name: String(row.name || ""),
     url: String(row.url || ""),
     description: String(row.description || ""),
-    abilities: csvToAbilities(row.abilities_csv),
+    abilities: normalizeAbilities(toTextArray(row.abilities)),
     pricing: normalizePricing(row.pricing_tier),
-    tags: csvToTags(row.tags_csv),
+    tags: normalizeTags(toTextArray(row.tags)),
     features: parseJsonSafe(row.features_json, {}),
     pricingText: String(row.pricing_text || ""),
     pricingFlags: {
@@ -136,296 +168,24 @@ function rowToLink(row) {
   };
 }
 
-async function ensureSchema(sql) {
-  await sql`
-    CREATE TABLE IF NOT EXISTS ai_main_links (
-      id BIGSERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      url TEXT NOT NULL UNIQUE,
-      description TEXT NOT NULL DEFAULT '',
-      abilities_csv TEXT NOT NULL DEFAULT '',
-      pricing_tier TEXT NOT NULL DEFAULT 'trial',
-      tags_csv TEXT NOT NULL DEFAULT '',
-      features_json TEXT NOT NULL DEFAULT '{}',
-      is_free BOOLEAN NOT NULL DEFAULT false,
-      has_trial BOOLEAN NOT NULL DEFAULT false,
-      is_paid BOOLEAN NOT NULL DEFAULT false,
-      pricing_text TEXT NOT NULL DEFAULT '',
-      favicon_url TEXT NOT NULL DEFAULT '',
-      thumbnail_url TEXT NOT NULL DEFAULT '',
-      pending_enrichment BOOLEAN NOT NULL DEFAULT false,
-      last_checked_at TIMESTAMPTZ,
-      source TEXT NOT NULL DEFAULT 'manual',
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `;
-
-  await sql`
-    CREATE TABLE IF NOT EXISTS ai_candidate_links (
-      id BIGSERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      url TEXT NOT NULL UNIQUE,
-      canonical_url TEXT NOT NULL DEFAULT '',
-      final_url TEXT NOT NULL DEFAULT '',
-      description TEXT NOT NULL DEFAULT '',
-      abilities_csv TEXT NOT NULL DEFAULT '',
-      pricing_tier TEXT NOT NULL DEFAULT 'trial',
-      tags_csv TEXT NOT NULL DEFAULT '',
-      features_json TEXT NOT NULL DEFAULT '{}',
-      is_free BOOLEAN NOT NULL DEFAULT false,
-      has_trial BOOLEAN NOT NULL DEFAULT false,
-      is_paid BOOLEAN NOT NULL DEFAULT false,
-      pricing_text TEXT NOT NULL DEFAULT '',
-      favicon_url TEXT NOT NULL DEFAULT '',
-      thumbnail_url TEXT NOT NULL DEFAULT '',
-      pending_enrichment BOOLEAN NOT NULL DEFAULT false,
-      last_checked_at TIMESTAMPTZ,
-      http_status INTEGER NOT NULL DEFAULT 0,
-      content_type TEXT NOT NULL DEFAULT '',
-      verified_at TIMESTAMPTZ,
-      evidence_urls_json TEXT NOT NULL DEFAULT '[]',
-      evidence_json TEXT NOT NULL DEFAULT '{}',
-      status TEXT NOT NULL DEFAULT 'pending',
-      discovered_count INTEGER NOT NULL DEFAULT 1,
-      discovered_by TEXT NOT NULL DEFAULT 'juleha',
-      submitted_ip_hash TEXT NOT NULL DEFAULT '',
-      submitted_session_hash TEXT NOT NULL DEFAULT '',
-      capture_reason TEXT NOT NULL DEFAULT 'verified-link',
-      last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      merged_at TIMESTAMPTZ,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `;
-
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS pricing_tier TEXT NOT NULL DEFAULT 'trial'
-  `;
-
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS tags_csv TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS features_json TEXT NOT NULL DEFAULT '{}'
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS is_free BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS has_trial BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS is_paid BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS pricing_text TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS favicon_url TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS thumbnail_url TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS pending_enrichment BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_main_links
-    ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS pricing_tier TEXT NOT NULL DEFAULT 'trial'
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS tags_csv TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS features_json TEXT NOT NULL DEFAULT '{}'
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS is_free BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS has_trial BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS is_paid BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS pricing_text TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS favicon_url TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS thumbnail_url TEXT NOT NULL DEFAULT ''
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS pending_enrichment BOOLEAN NOT NULL DEFAULT false
-  `;
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS canonical_url TEXT NOT NULL DEFAULT ''
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS final_url TEXT NOT NULL DEFAULT ''
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS http_status INTEGER NOT NULL DEFAULT 0
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS content_type TEXT NOT NULL DEFAULT ''
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS evidence_urls_json TEXT NOT NULL DEFAULT '[]'
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS submitted_ip_hash TEXT NOT NULL DEFAULT ''
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS submitted_session_hash TEXT NOT NULL DEFAULT ''
-  `;
-
-  await sql`
-    ALTER TABLE ai_candidate_links
-    ADD COLUMN IF NOT EXISTS capture_reason TEXT NOT NULL DEFAULT 'verified-link'
-  `;
-
-  await sql`
-    UPDATE ai_candidate_links
-    SET canonical_url = url
-    WHERE canonical_url = '' OR canonical_url IS NULL
-  `;
-
-  await sql`
-    CREATE UNIQUE INDEX IF NOT EXISTS ai_candidate_links_canonical_url_idx
-    ON ai_candidate_links (canonical_url)
-  `;
-
-  await sql`
-    CREATE TABLE IF NOT EXISTS ai_link_backups (
-      id BIGSERIAL PRIMARY KEY,
-      backup_number INTEGER NOT NULL,
-      snapshot_json TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `;
-
-  await sql`
-    CREATE UNIQUE INDEX IF NOT EXISTS ai_link_backups_backup_number_idx
-    ON ai_link_backups (backup_number)
-  `;
-
-  await sql`
-    CREATE TABLE IF NOT EXISTS ai_scrape_queue (
-      id BIGSERIAL PRIMARY KEY,
-      canonical_url TEXT NOT NULL,
-      requested_url TEXT NOT NULL,
-      reason TEXT NOT NULL DEFAULT 'candidate-enrichment',
-      status TEXT NOT NULL DEFAULT 'pending',
-      attempts INTEGER NOT NULL DEFAULT 0,
-      next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      payload_json TEXT NOT NULL DEFAULT '{}',
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      started_at TIMESTAMPTZ,
-      finished_at TIMESTAMPTZ,
-      last_error TEXT NOT NULL DEFAULT ''
-    )
-  `;
-
-  await sql`
-    CREATE INDEX IF NOT EXISTS ai_scrape_queue_status_created_idx
-    ON ai_scrape_queue (status, next_run_at, created_at)
-  `;
-  await sql`
-    CREATE INDEX IF NOT EXISTS ai_scrape_queue_status_next_run_idx
-    ON ai_scrape_queue (status, next_run_at)
-  `;
-  await sql`
-    ALTER TABLE ai_scrape_queue
-    ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-  `;
-
-  await sql`
-    CREATE TABLE IF NOT EXISTS tool_checks (
-      id BIGSERIAL PRIMARY KEY,
-      tool_id BIGINT REFERENCES ai_main_links(id) ON DELETE SET NULL,
-      checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      result_json TEXT NOT NULL DEFAULT '{}',
-      confidence NUMERIC(5,4),
-      sources TEXT NOT NULL DEFAULT '[]'
-    )
-  `;
-  await sql`
-    CREATE INDEX IF NOT EXISTS tool_checks_tool_id_checked_at_idx
-    ON tool_checks (tool_id, checked_at DESC)
-  `;
-}
-
 async function refreshMainPricingTiers(sql) {
   const rows = await sql`
-    SELECT id, pricing_tier, tags_csv
+    SELECT id, pricing_tier, tags
     FROM ai_main_links
   `;
 
   let updatedCount = 0;
   for (const row of rows) {
     const normalizedPricing = normalizePricing(row.pricing_tier);
-    const normalizedTagsCsv = tagsToCsv(csvToTags(row.tags_csv));
+    const currentTags = toTextArray(row.tags);
+    const normalizedTags = normalizeTags(currentTags);
     const currentPricing = String(row.pricing_tier || "").trim().toLowerCase();
-    const currentTagsCsv = String(row.tags_csv || "").trim().toLowerCase();
-    if (currentPricing === normalizedPricing && currentTagsCsv === normalizedTagsCsv) continue;
+    if (currentPricing === normalizedPricing && currentTags.join(",") === normalizedTags.join(",")) continue;
 
     await sql`
       UPDATE ai_main_links
       SET pricing_tier = ${normalizedPricing},
-          tags_csv = ${normalizedTagsCsv},
+          tags = ${normalizedTags}::TEXT[],
           updated_at = NOW()
       WHERE id = ${row.id}
     `;
@@ -441,8 +201,140 @@ async function refreshMainPricingTiers(sql) {
   };
 }
 
+function rowToTag(row) {
+  return {
+    key: String(row.key || ""),
+    labels: {
+      en: String(row.label_en || ""),
+      id: String(row.label_id || "")
+    },
+    aliases: toTextArray(row.aliases),
+    abilities: normalizeAbilities(toTextArray(row.abilities)),
+    sortOrder: Number(row.sort_order || 0)
+  };
+}
+
+function getTagTaxonomy() {
+  return tagTaxonomy.tags;
+}
+
+async function loadTagTaxonomy(sql, options = {}) {
+  const fresh = tagTaxonomyLoadedAt && Date.now() - tagTaxonomyLoadedAt < TAG_TAXONOMY_TTL_MS;
+  if (fresh && !options.force) return tagTaxonomy.tags;
+
+  const rows = await sql`
+    SELECT key, label_en, label_id, aliases, abilities, sort_order
+    FROM tool_tags
+    ORDER BY sort_order ASC, key ASC
+  `;
+  tagTaxonomy = indexTagTaxonomy(rows.map(rowToTag));
+  tagTaxonomyLoadedAt = Date.now();
+  return tagTaxonomy.tags;
+}
+
+function resetTagTaxonomyCache() {
+  tagTaxonomy = indexTagTaxonomy(DEFAULT_TAG_TAXONOMY);
+  tagTaxonomyLoadedAt = 0;
+}
+
+function validateTagInput(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const key = normalizeTagToken(source.key);
+  if (!key || key.length > MAX_TAG_KEY_LENGTH || !TAG_KEY_PATTERN.test(key)) {
+    return { ok: false, error: "Tag key must be lowercase letters, digits and single dashes." };
+  }
+
+  const labelEn = String(source.labels && source.labels.en ? source.labels.en : "").trim();
+  const labelId = String(source.labels && source.labels.id ? source.labels.id : "").trim();
+  if (!labelEn || !labelId || labelEn.length > MAX_TAG_LABEL_LENGTH || labelId.length > MAX_TAG_LABEL_LENGTH) {
+    return { ok: false, error: `Both EN and ID labels are required (max ${MAX_TAG_LABEL_LENGTH} characters).` };
+  }
+
+  const rawAliases = Array.isArray(source.aliases) ? source.aliases : String(source.aliases || "").split(",");
+  const aliases = [...new Set(rawAliases.map(normalizeTagToken).filter(Boolean))].filter((alias) => alias !== key);
+  if (aliases.length > MAX_TAG_ALIASES) {
+    return { ok: false, error: `A tag can have at most ${MAX_TAG_ALIASES} aliases.` };
+  }
+  const invalidAlias = aliases.find((alias) => alias.length > MAX_TAG_KEY_LENGTH || !TAG_KEY_PATTERN.test(alias));
+  if (invalidAlias) {
+    return { ok: false, error: `Alias "${invalidAlias}" must be lowercase letters, digits and single dashes.` };
+  }
+
+  const sortOrderRaw = Number.parseInt(String(source.sortOrder ?? "0"), 10);
+  return {
+    ok: true,
+    tag: {
+      key,
+      labels: { en: labelEn, id: labelId },
+      aliases,
+      abilities: normalizeAbilities(Array.isArray(source.abilities) ? source.abilities : []),
+      sortOrder: Number.isFinite(sortOrderRaw) ? Math.min(100000, Math.max(0, sortOrderRaw)) : 0
+    }
+  };
+}
+
+async function saveTag(sql, input) {
+  const validated = validateTagInput(input);
+  if (!validated.ok) return validated;
+  const { tag } = validated;
+
+  await loadTagTaxonomy(sql, { force: true });
+  for (const token of [tag.key, ...tag.aliases]) {
+    const owner = tagTaxonomy.aliasToKey.get(token);
+    if (owner && owner !== tag.key) {
+      return { ok: false, error: `"${token}" is already used by tag "${owner}".` };
+    }
+  }
+
+  await sql`
+    INSERT INTO tool_tags (key, label_en, label_id, aliases, abilities, sort_order, updated_at)
+    VALUES (
+      ${tag.key},
+      ${tag.labels.en},
+      ${tag.labels.id},
+      ${tag.aliases}::TEXT[],
+      ${tag.abilities}::TEXT[],
+      ${tag.sortOrder},
+      NOW()
+    )
+    ON CONFLICT (key) DO UPDATE SET
+      label_en = EXCLUDED.label_en,
+      label_id = EXCLUDED.label_id,
+      aliases = EXCLUDED.aliases,
+      abilities = EXCLUDED.abilities,
+      sort_order = EXCLUDED.sort_order,
+      updated_at = NOW()
+  `;
+  await loadTagTaxonomy(sql, { force: true });
+  return { ok: true, tag };
+}
+
+async function deleteTag(sql, rawKey) {
+  const key = normalizeTagToken(rawKey);
+  const rows = await sql`
+    DELETE FROM tool_tags
+    WHERE key = ${key}
+    RETURNING key
+  `;
+  if (!rows.length) return { ok: false, reason: "not_found", error: "Tag not found." };
+  await loadTagTaxonomy(sql, { force: true });
+  return { ok: true, key };
+}
+
+async function getTagUsageCounts(sql) {
+  const rows = await sql`
+    SELECT tags.key, COUNT(links.id)::INT AS usage_count
+    FROM tool_tags AS tags
+    LEFT JOIN ai_main_links AS links
+      ON links.tags @> ARRAY[tags.key]
+    GROUP BY tags.key
+  `;
+  return Object.fromEntries(rows.map((row) => [String(row.key), Number(row.usage_count || 0)]));
+}
+
 async function ensureStoreReady(sql) {
-  await ensureSchema(sql);
+  await assertSchemaCurrent(sql);
+  await loadTagTaxonomy(sql);
 }
 
 async function getMainLinks(sql) {
@@ -451,9 +343,9 @@ async function getMainLinks(sql) {
       name,
       url,
       description,
-      abilities_csv,
+      abilities,
       pricing_tier,
-      tags_csv,
+      tags,
       features_json,
       is_free,
       has_trial,
@@ -469,6 +361,61 @@ async function getMainLinks(sql) {
   return rows.map(rowToLink);
 }
 
+async function getRecentLinks(sql, limit) {
+  const rows = await sql`
+    SELECT
+      slug,
+      name,
+      url,
+      description,
+      abilities,
+      pricing_tier,
+      tags,
+      created_at
+    FROM ai_main_links
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${limit}
+  `;
+  return rows.map((row) => ({
+    slug: String(row.slug || ""),
+    createdAt: row.created_at,
+    ...rowToLink(row)
+  }));
+}
+
+async function getCatalogVersion(sql) {
+  const rows = await sql`
+    SELECT
+      COUNT(*)::INT AS link_count,
+      MAX(updated_at) AS last_updated_at,
+      (SELECT COUNT(*)::INT FROM tool_tags) AS tag_count,
+      (SELECT MAX(updated_at) FROM tool_tags) AS tags_updated_at
+    FROM ai_main_links
+  `;
+  const row = rows[0] || {};
+  const linksUpdatedMs = row.last_updated_at ? new Date(row.last_updated_at).getTime() : 0;
+  const tagsUpdatedMs = row.tags_updated_at ? new Date(row.tags_updated_at).getTime() : 0;
+  const lastUpdatedMs = Math.max(linksUpdatedMs, tagsUpdatedMs);
+  const linkCount = Number(row.link_count || 0);
+  return {
+    linkCount,
+    lastUpdatedAt: lastUpdatedMs ? new Date(lastUpdatedMs) : null,
+    // Counts are part of the version so deleting a row also invalidates cached responses;
+    // the tag taxonomy is included because it decides which tags a list item exposes.
+    version: `${linksUpdatedMs}-${linkCount}-${tagsUpdatedMs}-${Number(row.tag_count || 0)}`
+  };
+}
+
+async function generateUniqueSlug(sql, name) {
+  const base = slugify(name);
+  const rows = await sql`
+    SELECT slug
+    FROM ai_main_links
+    WHERE slug = ${base} OR slug LIKE ${`${base}-%`}
+  `;
+  return pickUniqueSlug(name, new Set(rows.map((row) => row.slug)));
+}
+
 async function getMainUrlSet(sql) {
   const rows = await sql`SELECT url FROM ai_main_links`;
   return new Set(rows.map((row) => normalizeUrl(row.url)).filter(Boolean));
@@ -482,9 +429,9 @@ async function upsertCandidate(sql, candidate) {
   const url = normalizeUrl(candidate && candidate.url ? candidate.url : canonicalUrl) || canonicalUrl;
   const name = String(candidate && candidate.name ? candidate.name : "").trim() || canonicalUrl;
   const description = String(candidate && candidate.description ? candidate.description : "").trim();
-  const abilitiesCsv = abilitiesToCsv(Array.isArray(candidate && candidate.abilities) ? candidate.abilities : []);
+  const abilities = normalizeAbilities(Array.isArray(candidate && candidate.abilities) ? candidate.abilities : []);
   const pricingTier = normalizePricing(candidate && (candidate.pricing || candidate.pricingTier || candidate.priceTier));
-  const tagsCsv = tagsToCsv(Array.isArray(candidate && candidate.tags) ? candidate.tags : []);
+  const tags = normalizeTags(Array.isArray(candidate && candidate.tags) ? candidate.tags : []);
   const evidenceJson = JSON.stringify(candidate && candidate.evidence ? candidate.evidence : {});
   const evidenceUrlsJson = JSON.stringify(Array.isArray(candidate && candidate.evidenceUrls) ? candidate.evidenceUrls : []);
   const discoveredBy = String(candidate && candidate.discoveredBy ? candidate.discoveredBy : "juleha").trim() || "juleha";
@@ -504,7 +451,7 @@ async function upsertCandidate(sql, candidate) {
   const pendingEnrichment = Boolean(candidate && candidate.pendingEnrichment);
   const lastCheckedAt = candidate && candidate.lastCheckedAt ? String(candidate.lastCheckedAt) : null;
 
-  await sql`
+  const rows = await sql`
     INSERT INTO ai_candidate_links
       (
         name,
@@ -512,9 +459,9 @@ async function upsertCandidate(sql, candidate) {
         canonical_url,
         final_url,
         description,
-        abilities_csv,
+        abilities,
         pricing_tier,
-        tags_csv,
+        tags,
         features_json,
         is_free,
         has_trial,
@@ -533,6 +480,7 @@ async function upsertCandidate(sql, candidate) {
         discovered_count,
         discovered_by,
         submitted_ip_hash,
+        submitter_ip_hashes,
         submitted_session_hash,
         capture_reason,
         last_seen_at,
@@ -545,9 +493,9 @@ async function upsertCandidate(sql, candidate) {
         ${canonicalUrl},
         ${finalUrl},
         ${description},
-        ${abilitiesCsv},
+        ${abilities}::TEXT[],
         ${pricingTier},
-        ${tagsCsv},
+        ${tags}::TEXT[],
         ${featuresJson},
         ${isFree},
         ${hasTrial},
@@ -566,6 +514,7 @@ async function upsertCandidate(sql, candidate) {
         1,
         ${discoveredBy},
         ${submittedIpHash},
+        ${submittedIpHash ? [submittedIpHash] : []}::TEXT[],
         ${submittedSessionHash},
         ${captureReason},
         NOW(),
@@ -585,17 +534,17 @@ async function upsertCandidate(sql, candidate) {
         WHEN ai_candidate_links.description = '' THEN EXCLUDED.description
         ELSE ai_candidate_links.description
       END,
-      abilities_csv = CASE
-        WHEN ai_candidate_links.abilities_csv = '' THEN EXCLUDED.abilities_csv
-        ELSE ai_candidate_links.abilities_csv
+      abilities = CASE
+        WHEN cardinality(ai_candidate_links.abilities) = 0 THEN EXCLUDED.abilities
+        ELSE ai_candidate_links.abilities
       END,
       pricing_tier = CASE
         WHEN ai_candidate_links.pricing_tier = '' THEN EXCLUDED.pricing_tier
         ELSE ai_candidate_links.pricing_tier
       END,
-      tags_csv = CASE
-        WHEN ai_candidate_links.tags_csv = '' THEN EXCLUDED.tags_csv
-        ELSE ai_candidate_links.tags_csv
+      tags = CASE
+        WHEN cardinality(ai_candidate_links.tags) = 0 THEN EXCLUDED.tags
+        ELSE ai_candidate_links.tags
       END,
       features_json = CASE
         WHEN EXCLUDED.features_json <> '{}' THEN EXCLUDED.features_json
@@ -630,7 +579,7 @@ async function upsertCandidate(sql, candidate) {
       evidence_urls_json = EXCLUDED.evidence_urls_json,
       evidence_json = EXCLUDED.evidence_json,
       status = CASE
-        WHEN ai_candidate_links.status = 'pending' THEN ai_candidate_links.status
+        WHEN ai_candidate_links.status = 'rejected' THEN ai_candidate_links.status
         ELSE 'pending'
       END,
       discovered_count = ai_candidate_links.discovered_count + 1,
@@ -639,6 +588,13 @@ async function upsertCandidate(sql, candidate) {
         WHEN EXCLUDED.submitted_ip_hash <> '' THEN EXCLUDED.submitted_ip_hash
         ELSE ai_candidate_links.submitted_ip_hash
       END,
+      submitter_ip_hashes = CASE
+        WHEN EXCLUDED.submitted_ip_hash <> ''
+          AND NOT (EXCLUDED.submitted_ip_hash = ANY(ai_candidate_links.submitter_ip_hashes))
+          AND cardinality(ai_candidate_links.submitter_ip_hashes) < ${MAX_SUBMITTER_HASHES}
+          THEN array_append(ai_candidate_links.submitter_ip_hashes, EXCLUDED.submitted_ip_hash)
+        ELSE ai_candidate_links.submitter_ip_hashes
+      END,
       submitted_session_hash = CASE
         WHEN EXCLUDED.submitted_session_hash <> '' THEN EXCLUDED.submitted_session_hash
         ELSE ai_candidate_links.submitted_session_hash
@@ -649,9 +605,12 @@ async function upsertCandidate(sql, candidate) {
       END,
       last_seen_at = NOW(),
       updated_at = NOW()
+    RETURNING id
   `;
 
-  return { inserted: true };
+  const id = rows[0] ? String(rows[0].id) : "";
+  if (id) await refreshCandidateScores(sql, [id]);
+  return { inserted: true, id };
 }
 
 async function enqueueScrapeJob(sql, input) {
@@ -691,6 +650,13 @@ async function insertToolCheck(sql, input) {
     LIMIT 1
   `;
   const toolId = rows[0] && rows[0].id ? Number(rows[0].id) : null;
+  const candidateRows = toolId ? [] : await sql`
+    SELECT id
+    FROM ai_candidate_links
+    WHERE canonical_url = ${canonicalUrl}
+    LIMIT 1
+  `;
+  const candidateId = candidateRows[0] && candidateRows[0].id ? String(candidateRows[0].id) : null;
   const checkedAt = input && input.checkedAt ? String(input.checkedAt) : null;
   const resultJson = JSON.stringify(input && input.result ? input.result : {});
   const confidenceRaw = Number(input && input.confidence);
@@ -700,9 +666,10 @@ async function insertToolCheck(sql, input) {
   const sources = JSON.stringify(Array.isArray(input && input.sources) ? input.sources : []);
 
   await sql`
-    INSERT INTO tool_checks (tool_id, checked_at, result_json, confidence, sources)
+    INSERT INTO tool_checks (tool_id, candidate_id, checked_at, result_json, confidence, sources)
     VALUES (
       ${toolId},
+      ${candidateId},
       COALESCE(${checkedAt}::timestamptz, NOW()),
       ${resultJson},
       ${confidence},
@@ -710,7 +677,91 @@ async function insertToolCheck(sql, input) {
     )
   `;
 
-  return { inserted: true, toolId };
+  if (candidateId) await refreshCandidateScores(sql, [candidateId]);
+  return { inserted: true, toolId, candidateId };
+}
+
+function rowToToolCheck(row) {
+  const result = parseJsonSafe(row.result_json, {});
+  const rawSources = parseJsonSafe(row.sources, []);
+  const httpStatus = Number(result && result.httpStatus);
+  const confidence = row.confidence === null || row.confidence === undefined ? NaN : Number(row.confidence);
+
+  return {
+    checkedAt: row.checked_at || null,
+    confidence: Number.isFinite(confidence) ? confidence : null,
+    httpStatus: Number.isInteger(httpStatus) && httpStatus > 0 ? httpStatus : null,
+    method: String((result && (result.source || result.method)) || ""),
+    sources: (Array.isArray(rawSources) ? rawSources : [])
+      .map((source) => normalizeUrl(typeof source === "string" ? source : source && source.url))
+      .filter(Boolean)
+      .slice(0, TOOL_CHECK_MAX_SOURCES)
+  };
+}
+
+function summarizeVerification(checks) {
+  const latest = checks[0];
+  if (!latest) {
+    return { status: "unverified", checkedAt: null, confidence: null, httpStatus: null, sources: [] };
+  }
+  const failed = latest.httpStatus !== null && (latest.httpStatus < 200 || latest.httpStatus >= 400);
+  return {
+    status: failed ? "failed" : "verified",
+    checkedAt: latest.checkedAt,
+    confidence: latest.confidence,
+    httpStatus: latest.httpStatus,
+    sources: latest.sources
+  };
+}
+
+async function getToolDetail(sql, key) {
+  const normalizedKey = String(key || "").trim().toLowerCase();
+  if (!isValidSlug(normalizedKey)) return null;
+  const id = /^\d{1,18}$/.test(normalizedKey) ? normalizedKey : null;
+
+  const rows = await sql`
+    SELECT
+      id,
+      slug,
+      name,
+      url,
+      description,
+      abilities,
+      pricing_tier,
+      tags,
+      features_json,
+      is_free,
+      has_trial,
+      is_paid,
+      pricing_text,
+      favicon_url,
+      thumbnail_url,
+      pending_enrichment,
+      last_checked_at
+    FROM ai_main_links
+    WHERE slug = ${normalizedKey} OR id = ${id}
+    ORDER BY (slug = ${normalizedKey}) DESC
+    LIMIT 1
+  `;
+  const row = rows[0];
+  if (!row) return null;
+
+  const checkRows = await sql`
+    SELECT checked_at, result_json, confidence, sources
+    FROM tool_checks
+    WHERE tool_id = ${row.id}
+    ORDER BY checked_at DESC, id DESC
+    LIMIT ${TOOL_DETAIL_CHECK_LIMIT}
+  `;
+  const checks = checkRows.map(rowToToolCheck);
+
+  return {
+    id: String(row.id),
+    slug: String(row.slug || ""),
+    ...rowToLink(row),
+    verification: summarizeVerification(checks),
+    checks
+  };
 }
 
 async function updateMainLinkEnrichment(sql, input) {
@@ -748,58 +799,103 @@ async function updateMainLinkEnrichment(sql, input) {
   return { updated: true, toolId: Number(rows[0].id || 0) || null };
 }
 
-async function createRollingBackup(sql, links) {
-  const maxRows = await sql`SELECT COALESCE(MAX(backup_number), 0) AS max_number FROM ai_link_backups`;
-  const maxNumber = Number(maxRows[0] && maxRows[0].max_number ? maxRows[0].max_number : 0);
-  const backupNumber = (maxNumber % MAX_BACKUPS) + 1;
-  const snapshot = JSON.stringify(links);
-
-  await sql`DELETE FROM ai_link_backups WHERE backup_number = ${backupNumber}`;
-  await sql`
-    INSERT INTO ai_link_backups (backup_number, snapshot_json, created_at)
-    VALUES (${backupNumber}, ${snapshot}, NOW())
+async function reserveBackupNumber(sql, options = {}) {
+  // Slots rotate after the most recent backup, so once all are used the oldest is overwritten.
+  // `skip` names a slot that must survive (the backup being restored); the next slot is used instead.
+  const rows = await sql`
+    SELECT backup_number
+    FROM ai_link_backups
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
   `;
+  const latestNumber = Number(rows[0] && rows[0].backup_number ? rows[0].backup_number : 0);
+  const nextNumber = (latestNumber % MAX_BACKUPS) + 1;
+  return nextNumber === Number(options.skip) ? (nextNumber % MAX_BACKUPS) + 1 : nextNumber;
+}
 
-  return { backupNumber, backupFileName: `backup-link-list${backupNumber}.json` };
+function buildBackupQueries(sql, backupNumber, links) {
+  return [
+    sql`DELETE FROM ai_link_backups WHERE backup_number = ${backupNumber}`,
+    sql`
+      INSERT INTO ai_link_backups (backup_number, snapshot_json, created_at)
+      VALUES (${backupNumber}, ${JSON.stringify(links)}, NOW())
+    `
+  ];
 }
 
-async function mergePendingCandidates(sql) {
-  const currentLinks = await getMainLinks(sql);
-  const backup = await createRollingBackup(sql, currentLinks);
-  const mainUrlSet = new Set(currentLinks.map((link) => normalizeUrl(link.url)).filter(Boolean));
+function backupFileName(backupNumber) {
+  return `backup-link-list${backupNumber}.json`;
+}
 
-  const pending = await sql`
-    SELECT
-      id,
-      name,
-      url,
-      description,
-      abilities_csv,
-      pricing_tier,
-      tags_csv,
-      features_json,
-      is_free,
-      has_trial,
-      is_paid,
-      pricing_text,
-      favicon_url,
-      thumbnail_url,
-      pending_enrichment,
-      last_checked_at
-    FROM ai_candidate_links
-    WHERE status = 'pending'
-    ORDER BY created_at ASC
-  `;
+async function createRollingBackup(sql, links) {
+  const backupNumber = await reserveBackupNumber(sql);
+  for (const query of buildBackupQueries(sql, backupNumber, links)) {
+    await query;
+  }
+  return { backupNumber, backupFileName: backupFileName(backupNumber) };
+}
+
+const CANDIDATE_ROW_COLUMNS = `
+  id,
+  name,
+  url,
+  description,
+  abilities,
+  pricing_tier,
+  tags,
+  features_json,
+  is_free,
+  has_trial,
+  is_paid,
+  pricing_text,
+  favicon_url,
+  thumbnail_url,
+  pending_enrichment,
+  last_checked_at
+`;
+
+function rowToCandidate(row) {
+  return {
+    id: String(row.id),
+    name: String(row.name || ""),
+    url: String(row.url || ""),
+    description: String(row.description || ""),
+    abilities: normalizeAbilities(toTextArray(row.abilities)),
+    pricing: normalizePricing(row.pricing_tier),
+    tags: normalizeTags(toTextArray(row.tags)),
+    status: String(row.status || ""),
+    discoveredCount: Number(row.discovered_count || 0),
+    rejectionReason: String(row.rejection_reason || ""),
+    reviewedBy: String(row.reviewed_by || ""),
+    reviewedAt: row.reviewed_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function normalizeCandidateIds(rawIds) {
+  const list = Array.isArray(rawIds) ? rawIds : [rawIds];
+  const ids = list.map((id) => String(id ?? "").trim()).filter((id) => /^\d{1,18}$/.test(id));
+  return [...new Set(ids)].slice(0, MAX_CANDIDATE_BATCH);
+}
 
+async function promoteCandidateRows(sql, rows, mainUrlSet, reviewer) {
   let mergedCount = 0;
   let skippedExistingCount = 0;
+  let rejectedCount = 0;
 
-  for (const row of pending) {
+  for (const row of rows) {
     const normalizedUrl = normalizeUrl(row.url);
     if (!normalizedUrl) {
+      rejectedCount += 1;
       await sql`
         UPDATE ai_candidate_links
-        SET status = 'rejected', updated_at = NOW()
+        SET
+          status = 'rejected',
+          rejection_reason = 'Invalid URL.',
+          reviewed_by = ${reviewer},
+          reviewed_at = NOW(),
+          updated_at = NOW()
         WHERE id = ${row.id}
       `;
       continue;
@@ -809,20 +905,23 @@ async function mergePendingCandidates(sql) {
       skippedExistingCount += 1;
       await sql`
         UPDATE ai_candidate_links
-        SET status = 'merged', merged_at = NOW(), updated_at = NOW()
+        SET status = 'merged', merged_at = NOW(), reviewed_by = ${reviewer}, reviewed_at = NOW(), updated_at = NOW()
         WHERE id = ${row.id}
       `;
       continue;
     }
 
+    const name = String(row.name || "").trim() || normalizedUrl;
+    const slug = await generateUniqueSlug(sql, name);
     await sql`
       INSERT INTO ai_main_links (
         name,
+        slug,
         url,
         description,
-        abilities_csv,
+        abilities,
         pricing_tier,
-        tags_csv,
+        tags,
         features_json,
         is_free,
         has_trial,
@@ -836,12 +935,13 @@ async function mergePendingCandidates(sql) {
         updated_at
       )
       VALUES (
-        ${String(row.name || "").trim() || normalizedUrl},
+        ${name},
+        ${slug},
         ${normalizedUrl},
         ${String(row.description || "").trim()},
-        ${String(row.abilities_csv || "").trim()},
+        ${normalizeAbilities(toTextArray(row.abilities))}::TEXT[],
         ${normalizePricing(row.pricing_tier)},
-        ${tagsToCsv(csvToTags(row.tags_csv))},
+        ${normalizeTags(toTextArray(row.tags))}::TEXT[],
         ${String(row.features_json || "{}")},
         ${Boolean(row.is_free)},
         ${Boolean(row.has_trial)},
@@ -862,38 +962,191 @@ async function mergePendingCandidates(sql) {
 
     await sql`
       UPDATE ai_candidate_links
-      SET status = 'merged', merged_at = NOW(), updated_at = NOW()
+      SET status = 'merged', merged_at = NOW(), reviewed_by = ${reviewer}, reviewed_at = NOW(), updated_at = NOW()
       WHERE id = ${row.id}
     `;
   }
 
-  const refreshedLinks = await getMainLinks(sql);
+  return { mergedCount, skippedExistingCount, rejectedCount };
+}
+
+async function mergePendingCandidates(sql, reviewer = "") {
+  const currentLinks = await getMainLinks(sql);
+  const backup = await createRollingBackup(sql, currentLinks);
+  const mainUrlSet = new Set(currentLinks.map((link) => normalizeUrl(link.url)).filter(Boolean));
+
+  const pending = await sql(
+    `
+      SELECT ${CANDIDATE_ROW_COLUMNS}
+      FROM ai_candidate_links
+      WHERE status = 'pending'
+      ORDER BY created_at ASC
+    `,
+    []
+  );
+
+  const counts = await promoteCandidateRows(sql, pending, mainUrlSet, String(reviewer || ""));
+  const catalog = await getCatalogVersion(sql);
   return {
     backup,
-    mergedCount,
-    skippedExistingCount,
+    mergedCount: counts.mergedCount,
+    skippedExistingCount: counts.skippedExistingCount,
     pendingCount: pending.length,
-    totalLinks: refreshedLinks.length
+    totalLinks: catalog.linkCount,
+    catalogVersion: catalog.version
   };
 }
 
+async function approveCandidates(sql, rawIds, reviewer = "") {
+  const ids = normalizeCandidateIds(rawIds);
+  if (!ids.length) return { ok: false, error: "Select at least one candidate." };
+
+  const rows = await sql(
+    `
+      SELECT ${CANDIDATE_ROW_COLUMNS}
+      FROM ai_candidate_links
+      WHERE id = ANY($1::BIGINT[]) AND status = 'pending'
+      ORDER BY created_at ASC
+    `,
+    [ids]
+  );
+  if (!rows.length) return { ok: false, reason: "not_found", error: "No pending candidates match the selection." };
+
+  const currentLinks = await getMainLinks(sql);
+  const backup = await createRollingBackup(sql, currentLinks);
+  const mainUrlSet = new Set(currentLinks.map((link) => normalizeUrl(link.url)).filter(Boolean));
+  const counts = await promoteCandidateRows(sql, rows, mainUrlSet, String(reviewer || ""));
+  const catalog = await getCatalogVersion(sql);
+
+  return {
+    ok: true,
+    backup,
+    approvedCount: rows.length,
+    mergedCount: counts.mergedCount,
+    skippedExistingCount: counts.skippedExistingCount,
+    rejectedCount: counts.rejectedCount,
+    totalLinks: catalog.linkCount,
+    catalogVersion: catalog.version
+  };
+}
+
+async function rejectCandidates(sql, rawIds, rawReason, reviewer = "") {
+  const ids = normalizeCandidateIds(rawIds);
+  if (!ids.length) return { ok: false, error: "Select at least one candidate." };
+  const reason = String(rawReason || "").trim();
+  if (!reason || reason.length > MAX_REJECTION_REASON_LENGTH) {
+    return { ok: false, error: `A rejection reason is required (max ${MAX_REJECTION_REASON_LENGTH} characters).` };
+  }
+
+  const rows = await sql`
+    UPDATE ai_candidate_links
+    SET
+      status = 'rejected',
+      rejection_reason = ${reason},
+      reviewed_by = ${String(reviewer || "")},
+      reviewed_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ANY(${ids}::BIGINT[]) AND status = 'pending'
+    RETURNING id
+  `;
+  if (!rows.length) return { ok: false, reason: "not_found", error: "No pending candidates match the selection." };
+  return { ok: true, rejectedCount: rows.length };
+}
+
+function validateCandidateEdit(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const name = String(source.name || "").trim();
+  if (!name || name.length > MAX_CANDIDATE_NAME_LENGTH) {
+    return { ok: false, error: `Name is required (max ${MAX_CANDIDATE_NAME_LENGTH} characters).` };
+  }
+  const description = String(source.description || "").trim();
+  if (description.length > MAX_CANDIDATE_DESCRIPTION_LENGTH) {
+    return { ok: false, error: `Description must be at most ${MAX_CANDIDATE_DESCRIPTION_LENGTH} characters.` };
+  }
+  const pricing = String(source.pricing || "").trim().toLowerCase();
+  if (!ALLOWED_PRICING_TIERS.has(pricing)) {
+    return { ok: false, error: "Pricing must be free, trial or paid." };
+  }
+
+  return {
+    ok: true,
+    candidate: {
+      name,
+      description,
+      abilities: normalizeAbilities(Array.isArray(source.abilities) ? source.abilities : []),
+      pricing,
+      tags: normalizeTags(Array.isArray(source.tags) ? source.tags : [])
+    }
+  };
+}
+
+async function updateCandidate(sql, rawId, input, reviewer = "") {
+  const [id] = normalizeCandidateIds(rawId);
+  if (!id) return { ok: false, error: "A candidate id is required." };
+  const validated = validateCandidateEdit(input);
+  if (!validated.ok) return validated;
+  const { candidate } = validated;
+
+  const rows = await sql`
+    UPDATE ai_candidate_links
+    SET
+      name = ${candidate.name},
+      description = ${candidate.description},
+      abilities = ${candidate.abilities}::TEXT[],
+      pricing_tier = ${candidate.pricing},
+      tags = ${candidate.tags}::TEXT[],
+      reviewed_by = ${String(reviewer || "")},
+      reviewed_at = NOW(),
+      updated_at = NOW()
+    WHERE id = ${id} AND status = 'pending'
+    RETURNING *
+  `;
+  if (!rows.length) return { ok: false, reason: "not_found", error: "Pending candidate not found." };
+  await refreshCandidateScores(sql, [rows[0].id]);
+  return { ok: true, candidate: rowToCandidate(rows[0]) };
+}
+
 module.exports = {
+  getConnectionString,
   createSqlClient,
   normalizeUrl,
+  slugify,
+  isValidSlug,
   normalizeAbilities,
   normalizePricing,
   normalizeTags,
-  abilitiesToCsv,
-  csvToAbilities,
-  tagsToCsv,
-  csvToTags,
+  resolveTagKey,
+  toTextArray,
+  rowToLink,
   ensureStoreReady,
+  getTagTaxonomy,
+  loadTagTaxonomy,
+  resetTagTaxonomyCache,
+  validateTagInput,
+  saveTag,
+  deleteTag,
+  getTagUsageCounts,
   refreshMainPricingTiers,
   getMainLinks,
+  getRecentLinks,
+  getCatalogVersion,
+  pickUniqueSlug,
+  generateUniqueSlug,
   getMainUrlSet,
   upsertCandidate,
   updateMainLinkEnrichment,
   insertToolCheck,
+  getToolDetail,
   enqueueScrapeJob,
-  mergePendingCandidates
+  MAX_BACKUPS,
+  reserveBackupNumber,
+  buildBackupQueries,
+  backupFileName,
+  createRollingBackup,
+  rowToCandidate,
+  mergePendingCandidates,
+  approveCandidates,
+  rejectCandidates,
+  validateCandidateEdit,
+  updateCandidate
 };
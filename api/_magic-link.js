@@ -0,0 +1,79 @@
+"use strict";
+
+const { requestJson } = require("./_identity-providers");
+
+const MAGIC_LINK_TTL_SECONDS = 15 * 60;
+const MAX_LINKS_PER_HOUR = 5;
+const RESEND_EMAILS_URL = "https://api.resend.com/emails";
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+// Returns false when the address already had MAX_LINKS_PER_HOUR links this hour.
+async function recordMagicLink(sql, link) {
+  const email = normalizeEmail(link.email);
+  const [, inserted] = await sql.transaction([
+    sql`
+      DELETE FROM admin_magic_links
+      WHERE expires_at < NOW() - INTERVAL '1 day'
+    `,
+    sql`
+      INSERT INTO admin_magic_links (jti, email, expires_at)
+      SELECT ${String(link.jti)}, ${email}, ${new Date(Number(link.exp) * 1000).toISOString()}::TIMESTAMPTZ
+      WHERE (
+        SELECT COUNT(*)
+        FROM admin_magic_links
+        WHERE email = ${email}
+          AND created_at > NOW() - INTERVAL '1 hour'
+      ) < ${MAX_LINKS_PER_HOUR}
+      RETURNING jti
+    `
+  ]);
+  return Array.isArray(inserted) && inserted.length > 0;
+}
+
+// Single use: the first successful call marks the link used.
+async function consumeMagicLink(sql, jti, email) {
+  const rows = await sql`
+    UPDATE admin_magic_links
+    SET used_at = NOW()
+    WHERE jti = ${String(jti || "")}
+      AND email = ${normalizeEmail(email)}
+      AND used_at IS NULL
+      AND expires_at > NOW()
+    RETURNING jti
+  `;
+  return rows.length > 0;
+}
+
+async function sendMagicLinkEmail(email, url, options = {}) {
+  const result = await requestJson(RESEND_EMAILS_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${String(process.env.RESEND_API_KEY || "").trim()}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      from: String(process.env.ADMIN_MAGIC_LINK_FROM || "").trim(),
+      to: [email],
+      subject: "Your AICENGHUB admin sign-in link",
+      text: [
+        "Use this link to sign in to the AICENGHUB admin page:",
+        "",
+        url,
+        "",
+        `It works once and expires in ${Math.round(MAGIC_LINK_TTL_SECONDS / 60)} minutes.`,
+        "If you did not ask for it, you can ignore this email."
+      ].join("\n")
+    })
+  }, options);
+  return { ok: result.ok };
+}
+
+module.exports = {
+  MAGIC_LINK_TTL_SECONDS,
+  recordMagicLink,
+  consumeMagicLink,
+  sendMagicLinkEmail
+};
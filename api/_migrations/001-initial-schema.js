@@ -0,0 +1,267 @@
+"use strict";
+
+module.exports = {
+  version: 1,
+  name: "initial-schema",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS ai_main_links (
+          id BIGSERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          url TEXT NOT NULL UNIQUE,
+          description TEXT NOT NULL DEFAULT '',
+          abilities_csv TEXT NOT NULL DEFAULT '',
+          pricing_tier TEXT NOT NULL DEFAULT 'trial',
+          tags_csv TEXT NOT NULL DEFAULT '',
+          features_json TEXT NOT NULL DEFAULT '{}',
+          is_free BOOLEAN NOT NULL DEFAULT false,
+          has_trial BOOLEAN NOT NULL DEFAULT false,
+          is_paid BOOLEAN NOT NULL DEFAULT false,
+          pricing_text TEXT NOT NULL DEFAULT '',
+          favicon_url TEXT NOT NULL DEFAULT '',
+          thumbnail_url TEXT NOT NULL DEFAULT '',
+          pending_enrichment BOOLEAN NOT NULL DEFAULT false,
+          last_checked_at TIMESTAMPTZ,
+          source TEXT NOT NULL DEFAULT 'manual',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `,
+      sql`
+        CREATE TABLE IF NOT EXISTS ai_candidate_links (
+          id BIGSERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          url TEXT NOT NULL UNIQUE,
+          canonical_url TEXT NOT NULL DEFAULT '',
+          final_url TEXT NOT NULL DEFAULT '',
+          description TEXT NOT NULL DEFAULT '',
+          abilities_csv TEXT NOT NULL DEFAULT '',
+          pricing_tier TEXT NOT NULL DEFAULT 'trial',
+          tags_csv TEXT NOT NULL DEFAULT '',
+          features_json TEXT NOT NULL DEFAULT '{}',
+          is_free BOOLEAN NOT NULL DEFAULT false,
+          has_trial BOOLEAN NOT NULL DEFAULT false,
+          is_paid BOOLEAN NOT NULL DEFAULT false,
+          pricing_text TEXT NOT NULL DEFAULT '',
+          favicon_url TEXT NOT NULL DEFAULT '',
+          thumbnail_url TEXT NOT NULL DEFAULT '',
+          pending_enrichment BOOLEAN NOT NULL DEFAULT false,
+          last_checked_at TIMESTAMPTZ,
+          http_status INTEGER NOT NULL DEFAULT 0,
+          content_type TEXT NOT NULL DEFAULT '',
+          verified_at TIMESTAMPTZ,
+          evidence_urls_json TEXT NOT NULL DEFAULT '[]',
+          evidence_json TEXT NOT NULL DEFAULT '{}',
+          status TEXT NOT NULL DEFAULT 'pending',
+          discovered_count INTEGER NOT NULL DEFAULT 1,
+          discovered_by TEXT NOT NULL DEFAULT 'juleha',
+          submitted_ip_hash TEXT NOT NULL DEFAULT '',
+          submitted_session_hash TEXT NOT NULL DEFAULT '',
+          capture_reason TEXT NOT NULL DEFAULT 'verified-link',
+          last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          merged_at TIMESTAMPTZ,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS pricing_tier TEXT NOT NULL DEFAULT 'trial'
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS tags_csv TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS features_json TEXT NOT NULL DEFAULT '{}'
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS is_free BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS has_trial BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS is_paid BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS pricing_text TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS favicon_url TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS thumbnail_url TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS pending_enrichment BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS pricing_tier TEXT NOT NULL DEFAULT 'trial'
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS tags_csv TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS features_json TEXT NOT NULL DEFAULT '{}'
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS is_free BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS has_trial BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS is_paid BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS pricing_text TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS favicon_url TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS thumbnail_url TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS pending_enrichment BOOLEAN NOT NULL DEFAULT false
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS canonical_url TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS final_url TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS http_status INTEGER NOT NULL DEFAULT 0
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS content_type TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS evidence_urls_json TEXT NOT NULL DEFAULT '[]'
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS submitted_ip_hash TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS submitted_session_hash TEXT NOT NULL DEFAULT ''
+      `,
+      sql`
+        ALTER TABLE ai_candidate_links
+        ADD COLUMN IF NOT EXISTS capture_reason TEXT NOT NULL DEFAULT 'verified-link'
+      `,
+      sql`
+        UPDATE ai_candidate_links
+        SET canonical_url = url
+        WHERE canonical_url = '' OR canonical_url IS NULL
+      `,
+      sql`
+        CREATE UNIQUE INDEX IF NOT EXISTS ai_candidate_links_canonical_url_idx
+        ON ai_candidate_links (canonical_url)
+      `,
+      sql`
+        CREATE TABLE IF NOT EXISTS ai_link_backups (
+          id BIGSERIAL PRIMARY KEY,
+          backup_number INTEGER NOT NULL,
+          snapshot_json TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `,
+      sql`
+        CREATE UNIQUE INDEX IF NOT EXISTS ai_link_backups_backup_number_idx
+        ON ai_link_backups (backup_number)
+      `,
+      sql`
+        CREATE TABLE IF NOT EXISTS ai_scrape_queue (
+          id BIGSERIAL PRIMARY KEY,
+          canonical_url TEXT NOT NULL,
+          requested_url TEXT NOT NULL,
+          reason TEXT NOT NULL DEFAULT 'candidate-enrichment',
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          payload_json TEXT NOT NULL DEFAULT '{}',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          started_at TIMESTAMPTZ,
+          finished_at TIMESTAMPTZ,
+          last_error TEXT NOT NULL DEFAULT ''
+        )
+      `,
+      sql`
+        ALTER TABLE ai_scrape_queue
+        ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_scrape_queue_status_created_idx
+        ON ai_scrape_queue (status, next_run_at, created_at)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_scrape_queue_status_next_run_idx
+        ON ai_scrape_queue (status, next_run_at)
+      `,
+      sql`
+        CREATE TABLE IF NOT EXISTS tool_checks (
+          id BIGSERIAL PRIMARY KEY,
+          tool_id BIGINT REFERENCES ai_main_links(id) ON DELETE SET NULL,
+          checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          result_json TEXT NOT NULL DEFAULT '{}',
+          confidence NUMERIC(5,4),
+          sources TEXT NOT NULL DEFAULT '[]'
+        )
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS tool_checks_tool_id_checked_at_idx
+        ON tool_checks (tool_id, checked_at DESC)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS tool_checks`,
+      sql`DROP TABLE IF EXISTS ai_scrape_queue`,
+      sql`DROP TABLE IF EXISTS ai_link_backups`,
+      sql`DROP TABLE IF EXISTS ai_candidate_links`,
+      sql`DROP TABLE IF EXISTS ai_main_links`
+    ];
+  }
+};
@@ -0,0 +1,49 @@
+"use strict";
+
+module.exports = {
+  version: 2,
+  name: "catalog-search",
+  up(sql) {
+    return [
+      sql`CREATE EXTENSION IF NOT EXISTS pg_trgm`,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN IF NOT EXISTS search_text TEXT GENERATED ALWAYS AS (
+          lower(
+            name || ' ' ||
+            url || ' ' ||
+            description || ' ' ||
+            replace(abilities_csv, ',', ' ') || ' ' ||
+            replace(tags_csv, ',', ' ') || ' ' ||
+            pricing_tier
+          )
+        ) STORED
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_search_text_trgm_idx
+        ON ai_main_links USING GIN (search_text gin_trgm_ops)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_name_trgm_idx
+        ON ai_main_links USING GIN (lower(name) gin_trgm_ops)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_name_sort_idx
+        ON ai_main_links (lower(name), id)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_created_sort_idx
+        ON ai_main_links (created_at DESC, id DESC)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP INDEX IF EXISTS ai_main_links_created_sort_idx`,
+      sql`DROP INDEX IF EXISTS ai_main_links_name_sort_idx`,
+      sql`DROP INDEX IF EXISTS ai_main_links_name_trgm_idx`,
+      sql`DROP INDEX IF EXISTS ai_main_links_search_text_trgm_idx`,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS search_text`
+    ];
+  }
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+const { slugify, pickUniqueSlug } = require("../_slugs");
+
+// Slugs come from the same slugify/pickUniqueSlug as tools added later, so a tool's deep link
+// doesn't depend on whether it existed before slugs did. Each slug goes to the first tool (by id)
+// that has it; the others take the first free "-2", "-3", ... suffix.
+function backfillSlugs(rows) {
+  const taken = new Set();
+  const slugs = new Map();
+  for (const row of rows) {
+    const base = slugify(row.name);
+    if (taken.has(base)) continue;
+    taken.add(base);
+    slugs.set(String(row.id), base);
+  }
+  for (const row of rows) {
+    if (slugs.has(String(row.id))) continue;
+    const slug = pickUniqueSlug(row.name, taken);
+    taken.add(slug);
+    slugs.set(String(row.id), slug);
+  }
+  return slugs;
+}
+
+module.exports = {
+  version: 3,
+  name: "tool-slugs",
+  // The rows are read before the migration's transaction starts. A tool added in between is left
+  // without a slug, so SET NOT NULL fails, the transaction rolls back and the migration can rerun.
+  async up(sql) {
+    const rows = await sql`SELECT id, name FROM ai_main_links ORDER BY id`;
+    const slugs = backfillSlugs(rows);
+    return [
+      sql`ALTER TABLE ai_main_links ADD COLUMN IF NOT EXISTS slug TEXT`,
+      sql`
+        UPDATE ai_main_links AS links
+        SET slug = backfill.slug
+        FROM unnest(${[...slugs.keys()]}::BIGINT[], ${[...slugs.values()]}::TEXT[]) AS backfill(id, slug)
+        WHERE links.id = backfill.id
+      `,
+      sql`ALTER TABLE ai_main_links ALTER COLUMN slug SET NOT NULL`,
+      sql`
+        CREATE UNIQUE INDEX IF NOT EXISTS ai_main_links_slug_key
+        ON ai_main_links (slug)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP INDEX IF EXISTS ai_main_links_slug_key`,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS slug`
+    ];
+  }
+};
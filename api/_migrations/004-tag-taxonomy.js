@@ -0,0 +1,70 @@
+"use strict";
+
+// Initial vocabulary: every tag used in public/link-list.json. Later edits go
+// through the admin UI, so this list is a snapshot, not the source of truth.
+const SEED_TAGS = [
+  ["free-tier", "Free Tier", "Paket Gratis", "free-plan,paket-gratis", ""],
+  ["trial", "Trial", "Uji Coba", "", ""],
+  ["paid", "Paid Plan", "Paket Berbayar", "", ""],
+  ["watermarked", "Watermarked", "Ber-watermark", "watermark,wm,ber-watermark,bertanda-air", "image,video"],
+  ["api", "API", "API", "developer-api", "code"],
+  ["ide", "IDE", "IDE", "code-editor,editor-kode", "code"],
+  ["agentic", "Agentic", "Agentik", "agent,agents,agen", "automation"],
+  ["routing", "Model Routing", "Routing Model", "router,model-router", "text"],
+  ["install", "Installable", "Bisa Diinstal", "installer,desktop-app", ""],
+  ["local-install", "Local Install", "Instal Lokal", "self-hosted,offline,lokal", ""],
+  ["open-source", "Open Source", "Sumber Terbuka", "oss,opensource,sumber-terbuka", ""],
+  ["community", "Community", "Komunitas", "komunitas", ""],
+  ["mistral", "Mistral", "Mistral", "", "text"],
+  ["research", "Research", "Riset", "riset,penelitian", "learning"],
+  ["leaderboard", "Leaderboard", "Papan Peringkat", "ranking,peringkat", "learning"],
+  ["evals", "Evals", "Evaluasi", "evaluation,benchmark,evaluasi", "learning"],
+  ["notes", "Notes", "Catatan", "note-taking,catatan", "text"],
+  ["localization", "Localization", "Lokalisasi", "translation,terjemahan,lokalisasi", "text"],
+  ["design", "Design", "Desain", "desain", "image"],
+  ["vector", "Vector", "Vektor", "svg,vektor", "image"],
+  ["logos", "Logos", "Logo", "logo", "image"],
+  ["icons", "Icons", "Ikon", "icon,ikon", "image"],
+  ["mockups", "Mockups", "Mockup", "mockup", "image"],
+  ["avatar", "Avatar", "Avatar", "digital-human", "video"],
+  ["lipsync", "Lip Sync", "Sinkron Bibir", "lip-sync", "video"],
+  ["talking-photo", "Talking Photo", "Foto Berbicara", "foto-bicara", "video"],
+  ["video-workflow", "Video Workflow", "Alur Kerja Video", "video-pipeline", "video"],
+  ["voice", "Voice", "Suara", "suara", "audio"],
+  ["voice-clone", "Voice Clone", "Kloning Suara", "voice-cloning,kloning-suara", "audio"],
+  ["tts", "Text to Speech", "Teks ke Suara", "text-to-speech,teks-ke-suara", "audio"],
+  ["transcription", "Transcription", "Transkripsi", "transcribe,transkripsi,speech-to-text", "audio"],
+  ["meeting-notes", "Meeting Notes", "Notulen Rapat", "notulen", "audio"],
+  ["covers", "Song Covers", "Cover Lagu", "song-cover,cover-lagu", "audio"]
+];
+
+module.exports = {
+  version: 4,
+  name: "tag-taxonomy",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS tool_tags (
+          key TEXT PRIMARY KEY,
+          label_en TEXT NOT NULL,
+          label_id TEXT NOT NULL,
+          aliases_csv TEXT NOT NULL DEFAULT '',
+          abilities_csv TEXT NOT NULL DEFAULT '',
+          sort_order INT NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `,
+      ...SEED_TAGS.map(([key, labelEn, labelId, aliasesCsv, abilitiesCsv], index) => sql`
+        INSERT INTO tool_tags (key, label_en, label_id, aliases_csv, abilities_csv, sort_order)
+        VALUES (${key}, ${labelEn}, ${labelId}, ${aliasesCsv}, ${abilitiesCsv}, ${(index + 1) * 10})
+        ON CONFLICT (key) DO NOTHING
+      `)
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS tool_tags`
+    ];
+  }
+};
@@ -0,0 +1,154 @@
+"use strict";
+
+// abilities/tags (and the taxonomy's aliases/abilities) move from comma-joined
+// TEXT to TEXT[] so filters can use GIN-indexed containment (@>).
+module.exports = {
+  version: 5,
+  name: "array-columns",
+  up(sql) {
+    return [
+      sql`
+        CREATE OR REPLACE FUNCTION aicenghub_csv_to_array(csv TEXT)
+        RETURNS TEXT[]
+        LANGUAGE sql
+        IMMUTABLE
+        AS $$
+          SELECT COALESCE(ARRAY(
+            SELECT parts.value
+            FROM (
+              SELECT lower(trim(item)) AS value, MIN(position) AS position
+              FROM unnest(string_to_array(COALESCE(csv, ''), ',')) WITH ORDINALITY AS items(item, position)
+              WHERE trim(item) <> ''
+              GROUP BY lower(trim(item))
+            ) AS parts
+            ORDER BY parts.position
+          ), '{}')
+        $$
+      `,
+      // array_to_string is only STABLE, so generated columns need an IMMUTABLE wrapper.
+      sql`
+        CREATE OR REPLACE FUNCTION aicenghub_array_words(items TEXT[])
+        RETURNS TEXT
+        LANGUAGE sql
+        IMMUTABLE
+        AS $$ SELECT COALESCE(array_to_string(items, ' '), '') $$
+      `,
+
+      sql`ALTER TABLE ai_main_links ADD COLUMN IF NOT EXISTS abilities TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`ALTER TABLE ai_main_links ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`
+        UPDATE ai_main_links
+        SET
+          abilities = aicenghub_csv_to_array(abilities_csv),
+          tags = aicenghub_csv_to_array(tags_csv)
+      `,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS search_text`,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS abilities_csv`,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS tags_csv`,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+          lower(
+            name || ' ' ||
+            url || ' ' ||
+            description || ' ' ||
+            aicenghub_array_words(abilities) || ' ' ||
+            aicenghub_array_words(tags) || ' ' ||
+            pricing_tier
+          )
+        ) STORED
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_search_text_trgm_idx
+        ON ai_main_links USING GIN (search_text gin_trgm_ops)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_abilities_gin_idx
+        ON ai_main_links USING GIN (abilities)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_tags_gin_idx
+        ON ai_main_links USING GIN (tags)
+      `,
+
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS abilities TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`
+        UPDATE ai_candidate_links
+        SET
+          abilities = aicenghub_csv_to_array(abilities_csv),
+          tags = aicenghub_csv_to_array(tags_csv)
+      `,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS abilities_csv`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS tags_csv`,
+
+      sql`ALTER TABLE tool_tags ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`ALTER TABLE tool_tags ADD COLUMN IF NOT EXISTS abilities TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`
+        UPDATE tool_tags
+        SET
+          aliases = aicenghub_csv_to_array(aliases_csv),
+          abilities = aicenghub_csv_to_array(abilities_csv)
+      `,
+      sql`ALTER TABLE tool_tags DROP COLUMN IF EXISTS aliases_csv`,
+      sql`ALTER TABLE tool_tags DROP COLUMN IF EXISTS abilities_csv`,
+
+      sql`DROP FUNCTION IF EXISTS aicenghub_csv_to_array(TEXT)`
+    ];
+  },
+  down(sql) {
+    return [
+      sql`ALTER TABLE tool_tags ADD COLUMN IF NOT EXISTS aliases_csv TEXT NOT NULL DEFAULT ''`,
+      sql`ALTER TABLE tool_tags ADD COLUMN IF NOT EXISTS abilities_csv TEXT NOT NULL DEFAULT ''`,
+      sql`
+        UPDATE tool_tags
+        SET
+          aliases_csv = array_to_string(aliases, ','),
+          abilities_csv = array_to_string(abilities, ',')
+      `,
+      sql`ALTER TABLE tool_tags DROP COLUMN IF EXISTS aliases`,
+      sql`ALTER TABLE tool_tags DROP COLUMN IF EXISTS abilities`,
+
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS abilities_csv TEXT NOT NULL DEFAULT ''`,
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS tags_csv TEXT NOT NULL DEFAULT ''`,
+      sql`
+        UPDATE ai_candidate_links
+        SET
+          abilities_csv = array_to_string(abilities, ','),
+          tags_csv = array_to_string(tags, ',')
+      `,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS abilities`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS tags`,
+
+      sql`ALTER TABLE ai_main_links ADD COLUMN IF NOT EXISTS abilities_csv TEXT NOT NULL DEFAULT ''`,
+      sql`ALTER TABLE ai_main_links ADD COLUMN IF NOT EXISTS tags_csv TEXT NOT NULL DEFAULT ''`,
+      sql`
+        UPDATE ai_main_links
+        SET
+          abilities_csv = array_to_string(abilities, ','),
+          tags_csv = array_to_string(tags, ',')
+      `,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS search_text`,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS abilities`,
+      sql`ALTER TABLE ai_main_links DROP COLUMN IF EXISTS tags`,
+      sql`
+        ALTER TABLE ai_main_links
+        ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+          lower(
+            name || ' ' ||
+            url || ' ' ||
+            description || ' ' ||
+            replace(abilities_csv, ',', ' ') || ' ' ||
+            replace(tags_csv, ',', ' ') || ' ' ||
+            pricing_tier
+          )
+        ) STORED
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_main_links_search_text_trgm_idx
+        ON ai_main_links USING GIN (search_text gin_trgm_ops)
+      `,
+      sql`DROP FUNCTION IF EXISTS aicenghub_array_words(TEXT[])`
+    ];
+  }
+};
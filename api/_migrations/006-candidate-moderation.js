@@ -0,0 +1,20 @@
+"use strict";
+
+module.exports = {
+  version: 6,
+  name: "candidate-moderation",
+  up(sql) {
+    return [
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS rejection_reason TEXT NOT NULL DEFAULT ''`,
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS reviewed_by TEXT NOT NULL DEFAULT ''`,
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ`
+    ];
+  },
+  down(sql) {
+    return [
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS reviewed_at`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS reviewed_by`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS rejection_reason`
+    ];
+  }
+};
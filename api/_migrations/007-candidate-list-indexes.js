@@ -0,0 +1,34 @@
+"use strict";
+
+module.exports = {
+  version: 7,
+  name: "candidate-list-indexes",
+  up(sql) {
+    return [
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_candidate_links_created_sort_idx
+        ON ai_candidate_links (created_at DESC, id DESC)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_candidate_links_discovered_sort_idx
+        ON ai_candidate_links (discovered_count DESC, id DESC)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_candidate_links_last_seen_sort_idx
+        ON ai_candidate_links (last_seen_at DESC, id DESC)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_candidate_links_status_idx
+        ON ai_candidate_links (status)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP INDEX IF EXISTS ai_candidate_links_status_idx`,
+      sql`DROP INDEX IF EXISTS ai_candidate_links_last_seen_sort_idx`,
+      sql`DROP INDEX IF EXISTS ai_candidate_links_discovered_sort_idx`,
+      sql`DROP INDEX IF EXISTS ai_candidate_links_created_sort_idx`
+    ];
+  }
+};
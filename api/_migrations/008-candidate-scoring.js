@@ -0,0 +1,40 @@
+"use strict";
+
+module.exports = {
+  version: 8,
+  name: "candidate-scoring",
+  up(sql) {
+    return [
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS submitter_ip_hashes TEXT[] NOT NULL DEFAULT '{}'`,
+      sql`
+        UPDATE ai_candidate_links
+        SET submitter_ip_hashes = ARRAY[submitted_ip_hash]
+        WHERE submitted_ip_hash <> ''
+      `,
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS quality_score INTEGER NOT NULL DEFAULT 0`,
+      sql`ALTER TABLE ai_candidate_links ADD COLUMN IF NOT EXISTS score_reasons_json TEXT NOT NULL DEFAULT '[]'`,
+      sql`
+        CREATE INDEX IF NOT EXISTS ai_candidate_links_quality_sort_idx
+        ON ai_candidate_links (quality_score DESC, id DESC)
+      `,
+      sql`
+        ALTER TABLE tool_checks
+        ADD COLUMN IF NOT EXISTS candidate_id BIGINT REFERENCES ai_candidate_links(id) ON DELETE SET NULL
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS tool_checks_candidate_id_checked_at_idx
+        ON tool_checks (candidate_id, checked_at DESC)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP INDEX IF EXISTS tool_checks_candidate_id_checked_at_idx`,
+      sql`ALTER TABLE tool_checks DROP COLUMN IF EXISTS candidate_id`,
+      sql`DROP INDEX IF EXISTS ai_candidate_links_quality_sort_idx`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS score_reasons_json`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS quality_score`,
+      sql`ALTER TABLE ai_candidate_links DROP COLUMN IF EXISTS submitter_ip_hashes`
+    ];
+  }
+};
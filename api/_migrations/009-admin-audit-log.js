@@ -0,0 +1,35 @@
+"use strict";
+
+module.exports = {
+  version: 9,
+  name: "admin-audit-log",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS admin_audit_log (
+          id BIGSERIAL PRIMARY KEY,
+          actor_email TEXT NOT NULL DEFAULT '',
+          action TEXT NOT NULL,
+          outcome TEXT NOT NULL DEFAULT 'ok',
+          params_json TEXT NOT NULL DEFAULT '{}',
+          result_json TEXT NOT NULL DEFAULT '{}',
+          request_id TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS admin_audit_log_actor_idx
+        ON admin_audit_log (actor_email, id DESC)
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS admin_audit_log_action_idx
+        ON admin_audit_log (action, id DESC)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS admin_audit_log`
+    ];
+  }
+};
@@ -0,0 +1,25 @@
+"use strict";
+
+module.exports = {
+  version: 10,
+  name: "admin-roles",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS admin_users (
+          email TEXT PRIMARY KEY,
+          role TEXT NOT NULL CHECK (role IN ('viewer', 'moderator', 'owner')),
+          created_by TEXT NOT NULL DEFAULT '',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_by TEXT NOT NULL DEFAULT '',
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS admin_users`
+    ];
+  }
+};
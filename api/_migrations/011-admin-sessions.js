@@ -0,0 +1,35 @@
+"use strict";
+
+module.exports = {
+  version: 11,
+  name: "admin-sessions",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+          jti TEXT PRIMARY KEY,
+          email TEXT NOT NULL,
+          user_agent_hash TEXT NOT NULL DEFAULT '',
+          issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL,
+          revoked_at TIMESTAMPTZ,
+          revoked_reason TEXT NOT NULL DEFAULT ''
+        )
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS admin_sessions_active_email_idx
+        ON admin_sessions (email)
+        WHERE revoked_at IS NULL
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS admin_sessions_expires_idx
+        ON admin_sessions (expires_at)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS admin_sessions`
+    ];
+  }
+};
@@ -0,0 +1,28 @@
+"use strict";
+
+module.exports = {
+  version: 12,
+  name: "admin-magic-links",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS admin_magic_links (
+          jti TEXT PRIMARY KEY,
+          email TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          expires_at TIMESTAMPTZ NOT NULL,
+          used_at TIMESTAMPTZ
+        )
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS admin_magic_links_email_created_idx
+        ON admin_magic_links (email, created_at DESC)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS admin_magic_links`
+    ];
+  }
+};
@@ -0,0 +1,26 @@
+"use strict";
+
+module.exports = {
+  version: 13,
+  name: "rate-limit-buckets",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+          bucket_key TEXT PRIMARY KEY,
+          hits INTEGER NOT NULL,
+          reset_at TIMESTAMPTZ NOT NULL
+        )
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS rate_limit_buckets_reset_idx
+        ON rate_limit_buckets (reset_at)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS rate_limit_buckets`
+    ];
+  }
+};
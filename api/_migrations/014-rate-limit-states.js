@@ -0,0 +1,27 @@
+"use strict";
+
+module.exports = {
+  version: 14,
+  name: "rate-limit-states",
+  up(sql) {
+    return [
+      sql`
+        CREATE TABLE IF NOT EXISTS rate_limit_states (
+          bucket_key TEXT PRIMARY KEY,
+          state JSONB NOT NULL,
+          version INTEGER NOT NULL,
+          expires_at TIMESTAMPTZ NOT NULL
+        )
+      `,
+      sql`
+        CREATE INDEX IF NOT EXISTS rate_limit_states_expires_idx
+        ON rate_limit_states (expires_at)
+      `
+    ];
+  },
+  down(sql) {
+    return [
+      sql`DROP TABLE IF EXISTS rate_limit_states`
+    ];
+  }
+};
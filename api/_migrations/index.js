@@ -0,0 +1,42 @@
+"use strict";
+
+// Migrations are listed explicitly (not read from disk) so Vercel's file
+// tracing bundles every one of them with the functions that require this file.
+const MIGRATIONS = [
+  require("./001-initial-schema"),
+  require("./002-catalog-search"),
+  require("./003-tool-slugs"),
+  require("./004-tag-taxonomy"),
+  require("./005-array-columns"),
+  require("./006-candidate-moderation"),
+  require("./007-candidate-list-indexes"),
+  require("./008-candidate-scoring"),
+  require("./009-admin-audit-log"),
+  require("./010-admin-roles"),
+  require("./011-admin-sessions"),
+  require("./012-admin-magic-links"),
+  require("./013-rate-limit-buckets"),
+  require("./014-rate-limit-states")
+];
+
+function validateMigrations(migrations) {
+  migrations.forEach((migration, index) => {
+    const expectedVersion = index + 1;
+    if (!migration || migration.version !== expectedVersion) {
+      throw new Error(`Migration at position ${expectedVersion} must declare version ${expectedVersion}.`);
+    }
+    if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+      throw new Error(`Migration ${expectedVersion} must define up() and down().`);
+    }
+  });
+  return migrations;
+}
+
+validateMigrations(MIGRATIONS);
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS.length;
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION
+};
@@ -0,0 +1,129 @@
+"use strict";
+
+const { MIGRATIONS, LATEST_SCHEMA_VERSION } = require("./_migrations");
+
+const UNDEFINED_TABLE_CODE = "42P01";
+
+let verifiedSchemaVersion = 0;
+
+async function ensureMigrationsTable(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `;
+}
+
+async function getSchemaVersion(sql) {
+  try {
+    const rows = await sql`SELECT COALESCE(MAX(version), 0)::INT AS version FROM schema_migrations`;
+    return Number(rows[0] && rows[0].version ? rows[0].version : 0);
+  } catch (error) {
+    if (error && error.code === UNDEFINED_TABLE_CODE) return 0;
+    throw error;
+  }
+}
+
+async function getAppliedMigrations(sql) {
+  await ensureMigrationsTable(sql);
+  const rows = await sql`
+    SELECT version, name, applied_at
+    FROM schema_migrations
+    ORDER BY version ASC
+  `;
+  return rows.map((row) => ({
+    version: Number(row.version),
+    name: String(row.name || ""),
+    appliedAt: row.applied_at || null
+  }));
+}
+
+function resolveTargetVersion(rawTarget, fallback) {
+  if (rawTarget === undefined || rawTarget === null || rawTarget === "") return fallback;
+  const parsed = Number.parseInt(String(rawTarget), 10);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > LATEST_SCHEMA_VERSION) {
+    throw new Error(`Target version must be between 0 and ${LATEST_SCHEMA_VERSION}.`);
+  }
+  return parsed;
+}
+
+// `up(sql)` returns, or resolves to, the queries of one migration. It may read the database first
+// when a backfill is worked out in JS; those reads run before the migration's transaction.
+async function applyMigrations(sql, options) {
+  await ensureMigrationsTable(sql);
+  const currentVersion = await getSchemaVersion(sql);
+  const targetVersion = resolveTargetVersion(options && options.targetVersion, LATEST_SCHEMA_VERSION);
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion || migration.version > targetVersion) continue;
+    await sql.transaction([
+      ...(await migration.up(sql)),
+      sql`
+        INSERT INTO schema_migrations (version, name, applied_at)
+        VALUES (${migration.version}, ${migration.name}, NOW())
+      `
+    ]);
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  verifiedSchemaVersion = 0;
+  return {
+    fromVersion: currentVersion,
+    toVersion: applied.length ? applied[applied.length - 1].version : currentVersion,
+    applied
+  };
+}
+
+async function rollbackMigrations(sql, options) {
+  await ensureMigrationsTable(sql);
+  const currentVersion = await getSchemaVersion(sql);
+  const targetVersion = resolveTargetVersion(options && options.targetVersion, Math.max(0, currentVersion - 1));
+
+  const rolledBack = [];
+  for (const migration of [...MIGRATIONS].reverse()) {
+    if (migration.version > currentVersion || migration.version <= targetVersion) continue;
+    await sql.transaction([
+      ...migration.down(sql),
+      sql`DELETE FROM schema_migrations WHERE version = ${migration.version}`
+    ]);
+    rolledBack.push({ version: migration.version, name: migration.name });
+  }
+
+  verifiedSchemaVersion = 0;
+  return {
+    fromVersion: currentVersion,
+    toVersion: rolledBack.length ? rolledBack[rolledBack.length - 1].version - 1 : currentVersion,
+    rolledBack
+  };
+}
+
+async function assertSchemaCurrent(sql) {
+  if (verifiedSchemaVersion >= LATEST_SCHEMA_VERSION) return verifiedSchemaVersion;
+
+  const version = await getSchemaVersion(sql);
+  if (version < LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema is at version ${version}; expected ${LATEST_SCHEMA_VERSION}. Run "npm run db:migrate".`
+    );
+  }
+
+  verifiedSchemaVersion = version;
+  return version;
+}
+
+function resetSchemaVersionCache() {
+  verifiedSchemaVersion = 0;
+}
+
+module.exports = {
+  LATEST_SCHEMA_VERSION,
+  getSchemaVersion,
+  getAppliedMigrations,
+  applyMigrations,
+  rollbackMigrations,
+  assertSchemaCurrent,
+  resetSchemaVersionCache
+};
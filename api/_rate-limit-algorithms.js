@@ -0,0 +1,155 @@
+"use strict";
+
+// Each algorithm turns the stored state for one key into a decision:
+//   step(state, { limit, windowMs, weight, refillPerSec, now })
+//     -> { allowed, remaining, resetAt, retryAfterMs, state, ttlMs }
+//   inspect(state, { limit, windowMs, refillPerSec, now }) -> { remaining, resetAt }
+// `state` is null for a new or expired key and must stay JSON-serializable. Stores persist the
+// returned state for `ttlMs` when the step is allowed; a rejected step leaves the stored state alone.
+// `inspect` reports the key as it stands without recording a hit, for peeks.
+// The fixed window has no step here: stores run it natively (see `consume` in _rate-limit.js).
+
+// Remembers each allowed hit for one window, so any window-long span holds at most `limit`.
+function liveHits(state, windowMs, now) {
+  return (state && Array.isArray(state.hits) ? state.hits : []).filter(([at]) => Number(at) > now - windowMs);
+}
+
+function usedWeight(hits) {
+  return hits.reduce((sum, [, hitWeight]) => sum + Number(hitWeight), 0);
+}
+
+const slidingLog = {
+  step(state, { limit, windowMs, weight, now }) {
+    const hits = liveHits(state, windowMs, now);
+    const used = usedWeight(hits);
+    const allowed = used + weight <= limit;
+    if (allowed) hits.push([now, weight]);
+
+    let retryAfterMs = 0;
+    if (!allowed) {
+      retryAfterMs = windowMs;
+      let room = limit - used;
+      for (const [at, hitWeight] of hits) {
+        room += Number(hitWeight);
+        if (room >= weight) {
+          retryAfterMs = Number(at) + windowMs - now;
+          break;
+        }
+      }
+    }
+
+    return {
+      allowed,
+      remaining: Math.max(0, limit - used - (allowed ? weight : 0)),
+      resetAt: hits.length ? Number(hits[hits.length - 1][0]) + windowMs : now,
+      retryAfterMs,
+      state: { hits },
+      ttlMs: windowMs
+    };
+  },
+  inspect(state, { limit, windowMs, now }) {
+    const hits = liveHits(state, windowMs, now);
+    return {
+      remaining: Math.max(0, limit - usedWeight(hits)),
+      resetAt: hits.length ? Number(hits[hits.length - 1][0]) + windowMs : now
+    };
+  }
+};
+
+// Counts per fixed window, but weighs the previous window by how much of it still overlaps the
+// sliding window ending now. Two numbers of state per key.
+const slidingWindowCounter = {
+  step(state, { limit, windowMs, weight, now }) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let previous = 0;
+    let current = 0;
+    if (state && state.windowStart === windowStart) {
+      previous = Number(state.previous) || 0;
+      current = Number(state.current) || 0;
+    } else if (state && state.windowStart === windowStart - windowMs) {
+      previous = Number(state.current) || 0;
+    }
+
+    const overlap = 1 - (now - windowStart) / windowMs;
+    const allowed = previous * overlap + current + weight <= limit;
+    if (allowed) current += weight;
+
+    let retryAfterMs = 0;
+    if (!allowed) {
+      const room = limit - current - weight;
+      let retryAt = now + windowMs;
+      if (room >= 0 && previous > 0) {
+        retryAt = windowStart + windowMs * (1 - room / previous);
+      } else if (weight <= limit && current > 0) {
+        retryAt = windowStart + windowMs + windowMs * Math.max(0, 1 - (limit - weight) / current);
+      }
+      retryAfterMs = Math.max(0, retryAt - now);
+    }
+
+    return {
+      allowed,
+      remaining: Math.max(0, Math.floor(limit - previous * overlap - current)),
+      resetAt: windowStart + (current > 0 ? 2 : 1) * windowMs,
+      retryAfterMs,
+      state: { windowStart, previous, current },
+      ttlMs: windowStart + 2 * windowMs - now
+    };
+  },
+  // A step of weight 0 adds nothing to the counts.
+  inspect(state, options) {
+    const { remaining, resetAt } = slidingWindowCounter.step(state, { ...options, weight: 0 });
+    return { remaining, resetAt };
+  }
+};
+
+// Holds up to `limit` tokens and refills `refillPerSec` of them per second (by default the limit
+// spread over the window). A full bucket allows a burst of `limit`, then the refill rate applies.
+function refillPerMs(limit, windowMs, refillPerSec) {
+  return (refillPerSec > 0 ? refillPerSec : limit / (windowMs / 1000)) / 1000;
+}
+
+const tokenBucket = {
+  step(state, { limit, windowMs, weight, refillPerSec, now }) {
+    const perMs = refillPerMs(limit, windowMs, refillPerSec);
+    let tokens = limit;
+    if (state) {
+      const elapsed = Math.max(0, now - Number(state.updatedAt));
+      tokens = Math.min(limit, Number(state.tokens) + elapsed * perMs);
+    }
+
+    const allowed = tokens >= weight;
+    if (allowed) tokens -= weight;
+    const fullInMs = Math.ceil((limit - tokens) / perMs);
+
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetAt: now + fullInMs,
+      retryAfterMs: allowed ? 0 : weight > limit ? windowMs : (weight - tokens) / perMs,
+      state: { tokens, updatedAt: now },
+      ttlMs: Math.max(1, fullInMs)
+    };
+  },
+  // The bucket is full again when the last step said it would be; working that out from the
+  // refilled tokens instead would drift by rounding on every peek.
+  inspect(state, { limit, windowMs, refillPerSec, now }) {
+    if (!state) return { remaining: limit, resetAt: now };
+    const perMs = refillPerMs(limit, windowMs, refillPerSec);
+    const updatedAt = Number(state.updatedAt);
+    const tokens = Math.min(limit, Number(state.tokens) + Math.max(0, now - updatedAt) * perMs);
+    return {
+      remaining: Math.floor(tokens),
+      resetAt: Math.max(now, updatedAt + Math.ceil((limit - Number(state.tokens)) / perMs))
+    };
+  }
+};
+
+const RATE_LIMIT_ALGORITHMS = {
+  "sliding-log": slidingLog,
+  "sliding-window": slidingWindowCounter,
+  "token-bucket": tokenBucket
+};
+
+module.exports = {
+  RATE_LIMIT_ALGORITHMS
+};
@@ -1,69 +1,421 @@
 "use strict";
 
-const buckets = new Map();
+const { createSqlClient, getConnectionString } = require("./_link-store");
+const { assertSchemaCurrent } = require("./_migrator");
+const { createRedisClient } = require("./_redis-client");
+const { RATE_LIMIT_ALGORITHMS } = require("./_rate-limit-algorithms");
 
-function nowMs() {
-  return Date.now();
+const MEMORY_MAX_ENTRIES = 8000;
+const POSTGRES_PRUNE_PROBABILITY = 0.01;
+const STATE_UPDATE_ATTEMPTS = 5;
+const DEFAULT_ALGORITHM = "fixed-window";
+
+function readEnv(name) {
+  return String(process.env[name] || "").trim();
+}
+
+// Every store implements two operations:
+// - consume({ key, limit, windowMs, weight }) -> { allowed, count, resetAt } as one fixed-window
+//   step: the weight is added only when it fits under the limit, and `count` is the bucket's count
+//   afterwards.
+// - update(key, transition) reads the key's state (null when missing or expired), calls
+//   transition(state), and stores the returned `state` for `ttlMs` when the step is allowed,
+//   atomically with respect to other updates of the key. It returns the transition's result.
+// Two read-only lookups serve peeks and never write:
+// - peek({ key, windowMs }) -> { count, resetAt } for a fixed-window bucket (count 0 when none is open).
+// - read(key) -> the state update() would see, or null.
+function createMemoryRateLimitStore(options = {}) {
+  const now = options.now || (() => Date.now());
+  const buckets = new Map();
+  const states = new Map();
+
+  function cleanupExpired(entries, expiresAtOf) {
+    if (entries.size <= MEMORY_MAX_ENTRIES) return;
+    const current = now();
+    for (const [key, value] of entries.entries()) {
+      if (!value || expiresAtOf(value) <= current) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return {
+    async consume({ key, limit, windowMs, weight }) {
+      cleanupExpired(buckets, (bucket) => bucket.resetAt);
+
+      const current = now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= current) {
+        bucket = { count: 0, resetAt: current + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      if (bucket.count + weight > limit) {
+        return { allowed: false, count: bucket.count, resetAt: bucket.resetAt };
+      }
+      bucket.count += weight;
+      return { allowed: true, count: bucket.count, resetAt: bucket.resetAt };
+    },
+    async peek({ key, windowMs }) {
+      const current = now();
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= current) return { count: 0, resetAt: current + windowMs };
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+    async read(key) {
+      const entry = states.get(key);
+      return entry && entry.expiresAt > now() ? entry.state : null;
+    },
+    async update(key, transition) {
+      cleanupExpired(states, (entry) => entry.expiresAt);
+
+      const entry = states.get(key);
+      const result = transition(entry && entry.expiresAt > now() ? entry.state : null);
+      if (result.allowed) {
+        states.set(key, { state: result.state, expiresAt: now() + result.ttlMs });
+      }
+      return result;
+    },
+    clear() {
+      buckets.clear();
+      states.clear();
+    }
+  };
+}
+
+// One upsert decides and applies the step, so concurrent functions can't both take the last slot.
+function createPostgresRateLimitStore(sql) {
+  return {
+    async consume({ key, limit, windowMs, weight }) {
+      if (Math.random() < POSTGRES_PRUNE_PROBABILITY) {
+        await sql`DELETE FROM rate_limit_buckets WHERE reset_at < NOW() - INTERVAL '1 hour'`;
+      }
+
+      const applied = await sql`
+        INSERT INTO rate_limit_buckets AS bucket (bucket_key, hits, reset_at)
+        SELECT ${key}, ${weight}::INTEGER, NOW() + ${windowMs}::INTEGER * INTERVAL '1 millisecond'
+        WHERE ${weight}::INTEGER <= ${limit}::INTEGER
+        ON CONFLICT (bucket_key) DO UPDATE
+        SET
+          hits = CASE WHEN bucket.reset_at <= NOW() THEN EXCLUDED.hits ELSE bucket.hits + EXCLUDED.hits END,
+          reset_at = CASE WHEN bucket.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE bucket.reset_at END
+        WHERE bucket.reset_at <= NOW() OR bucket.hits + EXCLUDED.hits <= ${limit}::INTEGER
+        RETURNING hits, reset_at
+      `;
+      if (applied.length) {
+        return { allowed: true, count: Number(applied[0].hits), resetAt: new Date(applied[0].reset_at).getTime() };
+      }
+
+      const rows = await sql`
+        SELECT hits, reset_at
+        FROM rate_limit_buckets
+        WHERE bucket_key = ${key}
+          AND reset_at > NOW()
+      `;
+      if (!rows.length) return { allowed: false, count: 0, resetAt: Date.now() + windowMs };
+      return { allowed: false, count: Number(rows[0].hits), resetAt: new Date(rows[0].reset_at).getTime() };
+    },
+    async peek({ key, windowMs }) {
+      const rows = await sql`
+        SELECT hits, reset_at
+        FROM rate_limit_buckets
+        WHERE bucket_key = ${key}
+          AND reset_at > NOW()
+      `;
+      if (!rows.length) return { count: 0, resetAt: Date.now() + windowMs };
+      return { count: Number(rows[0].hits), resetAt: new Date(rows[0].reset_at).getTime() };
+    },
+    async read(key) {
+      const rows = await sql`
+        SELECT state
+        FROM rate_limit_states
+        WHERE bucket_key = ${key}
+          AND expires_at > NOW()
+      `;
+      return rows.length ? rows[0].state : null;
+    },
+    // Optimistic: the write only lands if the row's version is still the one that was read.
+    async update(key, transition) {
+      if (Math.random() < POSTGRES_PRUNE_PROBABILITY) {
+        await sql`DELETE FROM rate_limit_states WHERE expires_at < NOW() - INTERVAL '1 hour'`;
+      }
+
+      for (let attempt = 0; attempt < STATE_UPDATE_ATTEMPTS; attempt += 1) {
+        const rows = await sql`
+          SELECT state, version, expires_at > NOW() AS live
+          FROM rate_limit_states
+          WHERE bucket_key = ${key}
+        `;
+        const row = rows[0] || null;
+        const result = transition(row && row.live ? row.state : null);
+        if (!result.allowed) return result;
+
+        const written = await sql`
+          INSERT INTO rate_limit_states AS current (bucket_key, state, version, expires_at)
+          VALUES (
+            ${key},
+            ${JSON.stringify(result.state)}::JSONB,
+            1,
+            NOW() + ${Math.ceil(result.ttlMs)}::INTEGER * INTERVAL '1 millisecond'
+          )
+          ON CONFLICT (bucket_key) DO UPDATE
+          SET
+            state = EXCLUDED.state,
+            version = current.version + 1,
+            expires_at = EXCLUDED.expires_at
+          WHERE current.version = ${row ? Number(row.version) : 0}::INTEGER
+          RETURNING version
+        `;
+        if (written.length) return result;
+      }
+      throw new Error("Rate limit state kept changing under concurrent updates.");
+    }
+  };
+}
+
+// INCRBY is atomic; a step that overshoots the limit is handed back with DECRBY, so a rejected
+// request doesn't use up quota. Only INCRBY, DECRBY, PTTL and PEXPIRE are needed.
+function createRedisRateLimitStore(client, options = {}) {
+  const prefix = options.prefix || "ratelimit:";
+  return {
+    async consume({ key, limit, windowMs, weight }) {
+      const redisKey = `${prefix}${key}`;
+      const [count, ttl] = await client.pipeline([
+        ["INCRBY", redisKey, weight],
+        ["PTTL", redisKey]
+      ]);
+      let remainingMs = Number(ttl);
+      if (remainingMs < 0) {
+        await client.command("PEXPIRE", redisKey, windowMs);
+        remainingMs = windowMs;
+      }
+      const resetAt = Date.now() + remainingMs;
+
+      if (Number(count) > limit) {
+        await client.command("DECRBY", redisKey, weight);
+        return { allowed: false, count: Number(count) - weight, resetAt };
+      }
+      return { allowed: true, count: Number(count), resetAt };
+    },
+    async peek({ key, windowMs }) {
+      const [count, ttl] = await client.pipeline([
+        ["GET", `${prefix}${key}`],
+        ["PTTL", `${prefix}${key}`]
+      ]);
+      if (count === null || Number(ttl) < 0) return { count: 0, resetAt: Date.now() + windowMs };
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+    async read(key) {
+      const raw = await client.command("GET", `${prefix}${key}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    // WATCH makes EXEC fail when another client wrote the key in between, and the step is retried.
+    async update(key, transition) {
+      const redisKey = `${prefix}${key}`;
+      for (let attempt = 0; attempt < STATE_UPDATE_ATTEMPTS; attempt += 1) {
+        const outcome = await client.withConnection(async (connection) => {
+          const [, raw] = await connection.pipeline([["WATCH", redisKey], ["GET", redisKey]]);
+          const result = transition(raw ? JSON.parse(raw) : null);
+          if (!result.allowed) {
+            await connection.command("UNWATCH");
+            return { result };
+          }
+          const replies = await connection.pipeline([
+            ["MULTI"],
+            ["SET", redisKey, JSON.stringify(result.state), "PX", Math.max(1, Math.ceil(result.ttlMs))],
+            ["EXEC"]
+          ]);
+          return replies[2] === null ? null : { result };
+        });
+        if (outcome) return outcome.result;
+      }
+      throw new Error("Rate limit state kept changing under concurrent updates.");
+    }
+  };
 }
 
-function cleanupExpired(maxEntries) {
-  if (buckets.size <= maxEntries) return;
-  const now = nowMs();
-  for (const [key, value] of buckets.entries()) {
-    if (!value || value.resetAt <= now) {
-      buckets.delete(key);
+function createSchemaCheckedPostgresStore() {
+  const sql = createSqlClient();
+  const store = createPostgresRateLimitStore(sql);
+  let ready = null;
+  function ensureSchema() {
+    if (!ready) {
+      ready = assertSchemaCurrent(sql).catch((error) => {
+        ready = null;
+        throw error;
+      });
     }
+    return ready;
   }
+  return {
+    async consume(step) {
+      await ensureSchema();
+      return store.consume(step);
+    },
+    async update(key, transition) {
+      await ensureSchema();
+      return store.update(key, transition);
+    },
+    async peek(step) {
+      await ensureSchema();
+      return store.peek(step);
+    },
+    async read(key) {
+      await ensureSchema();
+      return store.read(key);
+    }
+  };
 }
 
+const memoryStore = createMemoryRateLimitStore();
+let configuredStore = null;
+
+// RATE_LIMIT_STORE picks memory, postgres or redis. Without it, RATE_LIMIT_REDIS_URL selects Redis,
+// then any database URL createSqlClient accepts (NEON_DATABASE_URL or DATABASE_URL) selects
+// Postgres, and the per-instance memory store is the last resort.
+function getRateLimitStore() {
+  if (configuredStore) return configuredStore;
+
+  const redisUrl = readEnv("RATE_LIMIT_REDIS_URL");
+  let kind = readEnv("RATE_LIMIT_STORE").toLowerCase();
+  if (!kind) kind = redisUrl ? "redis" : getConnectionString() ? "postgres" : "memory";
+
+  if (kind === "redis" && redisUrl) {
+    configuredStore = createRedisRateLimitStore(createRedisClient(redisUrl));
+  } else if (kind === "postgres") {
+    configuredStore = createSchemaCheckedPostgresStore();
+  } else {
+    configuredStore = memoryStore;
+  }
+  return configuredStore;
+}
+
+function setRateLimitStore(store) {
+  configuredStore = store || null;
+}
+
+function resolveAlgorithm(name) {
+  const requested = String(name || readEnv("RATE_LIMIT_ALGORITHM") || DEFAULT_ALGORITHM).trim().toLowerCase();
+  return requested === "fixed-window" || RATE_LIMIT_ALGORITHMS[requested] ? requested : DEFAULT_ALGORITHM;
+}
+
+function runStep(store, algorithm, step) {
+  if (algorithm === "fixed-window") {
+    return store.consume(step).then((outcome) => ({
+      allowed: outcome.allowed,
+      remaining: Math.max(0, step.limit - outcome.count),
+      resetAt: outcome.resetAt,
+      retryAfterMs: outcome.allowed ? 0 : outcome.resetAt - Date.now()
+    }));
+  }
+  // Algorithms keep differently shaped state, so each gets its own key space.
+  return store.update(`${algorithm}:${step.key}`, (state) => (
+    RATE_LIMIT_ALGORITHMS[algorithm].step(state, { ...step, now: Date.now() })
+  ));
+}
+
+// Reads a key without using quota or writing to the store: `remaining` is what is left now, and
+// `allowed`/`retryAfterMs` describe a next step of weight 1.
+async function peekStep(store, algorithm, step) {
+  if (algorithm === "fixed-window") {
+    const outcome = await store.peek(step);
+    const allowed = outcome.count + 1 <= step.limit;
+    return {
+      allowed,
+      remaining: Math.max(0, step.limit - outcome.count),
+      resetAt: outcome.resetAt,
+      retryAfterMs: allowed ? 0 : outcome.resetAt - Date.now()
+    };
+  }
+  const state = await store.read(`${algorithm}:${step.key}`);
+  const now = Date.now();
+  const current = RATE_LIMIT_ALGORITHMS[algorithm].inspect(state, { ...step, now });
+  const next = RATE_LIMIT_ALGORITHMS[algorithm].step(state, { ...step, weight: 1, now });
+  return { allowed: next.allowed, remaining: current.remaining, resetAt: current.resetAt, retryAfterMs: next.retryAfterMs };
+}
+
+// `algorithm` is fixed-window, sliding-log, sliding-window or token-bucket (default: the
+// RATE_LIMIT_ALGORITHM env, else fixed-window). `refillPerSec` only applies to token-bucket.
 function consumeRateLimit(options) {
+  return applyRateLimit(options, runStep);
+}
+
+function peekRateLimit(options) {
+  return applyRateLimit(options, peekStep);
+}
+
+async function applyRateLimit(options, stepWith) {
   const key = String(options && options.key ? options.key : "").trim();
   const limit = Number(options && options.limit ? options.limit : 0);
   const windowMs = Number(options && options.windowMs ? options.windowMs : 0);
   const weight = Math.max(1, Number(options && options.weight ? options.weight : 1));
+  const algorithm = resolveAlgorithm(options && options.algorithm);
+  const refillPerSec = Number(options && options.refillPerSec ? options.refillPerSec : 0);
 
   if (!key || !Number.isFinite(limit) || !Number.isFinite(windowMs) || limit <= 0 || windowMs <= 0) {
     return {
       allowed: true,
       remaining: limit,
       retryAfterSec: 0,
-      resetAt: nowMs()
+      resetAt: Date.now()
     };
   }
 
-  cleanupExpired(8000);
-
-  const now = nowMs();
-  let bucket = buckets.get(key);
-  if (!bucket || bucket.resetAt <= now) {
-    bucket = { count: 0, resetAt: now + windowMs };
-    buckets.set(key, bucket);
+  const step = { key, limit, windowMs, weight, refillPerSec };
+  let outcome;
+  try {
+    outcome = await stepWith(getRateLimitStore(), algorithm, step);
+  } catch (error) {
+    // A shared store outage degrades to per-instance limits rather than to no limits.
+    console.error("rate-limit store failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    outcome = await stepWith(memoryStore, algorithm, step);
   }
 
-  if (bucket.count + weight > limit) {
-    return {
-      allowed: false,
-      remaining: Math.max(0, limit - bucket.count),
-      retryAfterSec: Math.max(1, Math.ceil((bucket.resetAt - now) / 1000)),
-      resetAt: bucket.resetAt
-    };
-  }
-
-  bucket.count += weight;
   return {
-    allowed: true,
-    remaining: Math.max(0, limit - bucket.count),
-    retryAfterSec: 0,
-    resetAt: bucket.resetAt
+    allowed: outcome.allowed,
+    remaining: outcome.remaining,
+    retryAfterSec: outcome.allowed ? 0 : Math.max(1, Math.ceil(outcome.retryAfterMs / 1000)),
+    resetAt: Math.round(outcome.resetAt)
   };
 }
 
+// `buckets` is [{ name, limit, windowMs, result }], `result` being a consume/peek result. The first
+// bucket fills RateLimit-Limit/-Remaining/-Reset; RateLimit-Policy and RateLimit list every bucket.
+function setRateLimitHeaders(res, buckets) {
+  const entries = (Array.isArray(buckets) ? buckets : []).filter((bucket) => bucket && bucket.result);
+  if (!entries.length) return;
+
+  const nowMs = Date.now();
+  const resetSeconds = (result) => Math.max(0, Math.ceil((result.resetAt - nowMs) / 1000));
+  const windowSeconds = (bucket) => Math.ceil(bucket.windowMs / 1000);
+  const [primary] = entries;
+
+  res.setHeader("RateLimit-Limit", String(primary.limit));
+  res.setHeader("RateLimit-Remaining", String(primary.result.remaining));
+  res.setHeader("RateLimit-Reset", String(resetSeconds(primary.result)));
+  res.setHeader("RateLimit-Policy", entries
+    .map((bucket) => `"${bucket.name}";q=${bucket.limit};w=${windowSeconds(bucket)}`)
+    .join(", "));
+  res.setHeader("RateLimit", entries
+    .map((bucket) => `"${bucket.name}";r=${bucket.result.remaining};t=${resetSeconds(bucket.result)}`)
+    .join(", "));
+}
+
 function resetRateLimits() {
-  buckets.clear();
+  memoryStore.clear();
+  configuredStore = null;
 }
 
 module.exports = {
+  createMemoryRateLimitStore,
+  createPostgresRateLimitStore,
+  createRedisRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
   consumeRateLimit,
+  peekRateLimit,
+  setRateLimitHeaders,
   resetRateLimits
 };
-
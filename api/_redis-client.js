@@ -0,0 +1,162 @@
+"use strict";
+
+const net = require("node:net");
+const tls = require("node:tls");
+
+const COMMAND_TIMEOUT_MS = 3000;
+
+class RedisReplyError extends Error {}
+
+function encodeCommand(args) {
+  const chunks = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const value = Buffer.from(String(arg));
+    chunks.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from("\r\n"));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Returns [reply, nextOffset], or null while the buffer does not yet hold a whole reply.
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === "+") return [line, next];
+  if (type === "-") return [new RedisReplyError(line), next];
+  if (type === ":") return [Number(line), next];
+  if (type === "$") {
+    const length = Number(line);
+    if (length < 0) return [null, next];
+    if (buffer.length < next + length + 2) return null;
+    return [buffer.toString("utf8", next, next + length), next + length + 2];
+  }
+  if (type === "*") {
+    const count = Number(line);
+    if (count < 0) return [null, next];
+    const items = [];
+    let cursor = next;
+    for (let index = 0; index < count; index += 1) {
+      const parsed = parseReply(buffer, cursor);
+      if (!parsed) return null;
+      items.push(parsed[0]);
+      cursor = parsed[1];
+    }
+    return [items, cursor];
+  }
+  throw new Error(`Unsupported Redis reply type "${type}".`);
+}
+
+// A minimal RESP client: one lazily opened connection, callers served one at a time so a
+// WATCH ... EXEC sequence is never interleaved with another caller's commands. Enough for rate
+// limiting against Redis, Valkey, Upstash or a local stand-in; not a general-purpose driver.
+function createRedisClient(redisUrl, options = {}) {
+  const url = new URL(redisUrl);
+  const timeoutMs = options.timeoutMs || COMMAND_TIMEOUT_MS;
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+  let tail = Promise.resolve();
+
+  function failPending(source, error) {
+    if (socket !== source) return;
+    socket = null;
+    buffer = Buffer.alloc(0);
+    const failed = pending;
+    pending = [];
+    failed.forEach((entry) => entry.reject(error));
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed = parseReply(buffer);
+    while (parsed && pending.length) {
+      buffer = buffer.subarray(parsed[1]);
+      const entry = pending.shift();
+      if (parsed[0] instanceof RedisReplyError) entry.reject(parsed[0]);
+      else entry.resolve(parsed[0]);
+      parsed = parseReply(buffer);
+    }
+  }
+
+  function openSocket() {
+    const host = url.hostname;
+    const port = Number(url.port) || 6379;
+    // Writes made before the connection is up are buffered by the socket.
+    const created = url.protocol === "rediss:"
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    created.setNoDelay(true);
+    created.on("data", onData);
+    created.on("error", (error) => failPending(created, error));
+    created.on("close", () => failPending(created, new Error("Redis connection closed.")));
+    socket = created;
+
+    const setup = [];
+    if (url.password) {
+      setup.push(url.username
+        ? ["AUTH", decodeURIComponent(url.username), decodeURIComponent(url.password)]
+        : ["AUTH", decodeURIComponent(url.password)]);
+    }
+    const database = Number.parseInt(url.pathname.slice(1), 10);
+    if (database > 0) setup.push(["SELECT", database]);
+    if (setup.length) send(setup).catch(() => {});
+  }
+
+  function send(commands) {
+    if (!socket) openSocket();
+    const target = socket;
+    const replies = commands.map(() => new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+    }));
+    target.write(Buffer.concat(commands.map(encodeCommand)));
+
+    let timeoutId = null;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error("Redis command timed out.");
+        // Replies would arrive out of step with `pending`, so the connection is dropped.
+        target.destroy(error);
+        reject(error);
+      }, timeoutMs);
+    });
+    return Promise.race([Promise.all(replies), timeout]).finally(() => clearTimeout(timeoutId));
+  }
+
+  function exclusive(task) {
+    const run = tail.then(task, task);
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  const connection = {
+    pipeline: (commands) => send(commands),
+    command: async (...args) => (await send([args]))[0]
+  };
+
+  return {
+    pipeline(commands) {
+      return exclusive(() => connection.pipeline(commands));
+    },
+    command(...args) {
+      return exclusive(() => connection.command(...args));
+    },
+    // Runs `task(connection)` with the connection to itself until the returned promise settles.
+    withConnection(task) {
+      return exclusive(() => task(connection));
+    },
+    close() {
+      if (socket) socket.end();
+      socket = null;
+    }
+  };
+}
+
+module.exports = {
+  RedisReplyError,
+  encodeCommand,
+  parseReply,
+  createRedisClient
+};
@@ -0,0 +1,38 @@
+"use strict";
+
+// Tool slugs, shared by the link store and the migration that backfilled them, so a slug doesn't
+// depend on whether the tool existed before slugs did.
+
+const MAX_SLUG_LENGTH = 80;
+
+function slugify(value) {
+  const slug = String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, "");
+  return slug || "tool";
+}
+
+function isValidSlug(value) {
+  return /^[a-z0-9-]{1,100}$/.test(String(value || ""));
+}
+
+function pickUniqueSlug(name, taken) {
+  const base = slugify(name);
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+}
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+  isValidSlug,
+  pickUniqueSlug
+};
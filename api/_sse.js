@@ -0,0 +1,67 @@
+"use strict";
+
+// Server-Sent Events in both directions: writing an event stream to a Node response, and reading
+// one (such as an OpenRouter completion with `stream: true`) from a fetch response body.
+
+function createEventStream(res) {
+  const stream = {
+    started: false,
+    closed: false,
+    start() {
+      if (stream.started) return;
+      stream.started = true;
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+      // Keeps proxies that buffer responses from holding events back.
+      res.setHeader("X-Accel-Buffering", "no");
+      if (typeof res.flushHeaders === "function") res.flushHeaders();
+    },
+    send(event, data) {
+      if (stream.closed) return;
+      stream.start();
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (stream.closed) return;
+      stream.closed = true;
+      res.end();
+    }
+  };
+  return stream;
+}
+
+// Calls onData(data) for each event's data, joined across `data:` lines. Comment lines (keep-alives)
+// are skipped.
+async function readEventStream(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let dataLines = [];
+
+  function takeLine(line) {
+    if (line === "") {
+      if (dataLines.length) onData(dataLines.join("\n"));
+      dataLines = [];
+      return;
+    }
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon < 0 ? line : line.slice(0, colon);
+    const value = colon < 0 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "data") dataLines.push(value);
+  }
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(takeLine);
+  }
+  buffer += decoder.decode();
+  if (buffer) takeLine(buffer);
+  takeLine("");
+}
+
+module.exports = {
+  createEventStream,
+  readEventStream
+};
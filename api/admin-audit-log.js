@@ -0,0 +1,46 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady
+} = require("./_link-store");
+const { parseAuditQuery, listAuditLog } = require("./_admin-audit");
+const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+
+function readSearchParams(req) {
+  try {
+    return new URL(String(req && req.url ? req.url : "/"), "http://localhost").searchParams;
+  } catch {
+    return new URLSearchParams();
+  }
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const auth = await authorizeAdminRequest(req, "admin.read");
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  const parsed = parseAuditQuery(readSearchParams(req));
+  if (!parsed.ok) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const sql = createSqlClient();
+    await ensureStoreReady(sql);
+    return res.status(200).json({ ok: true, ...(await listAuditLog(sql, parsed.query)) });
+  } catch (error) {
+    console.error("admin-audit-log failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Unable to load audit log." });
+  }
+};
@@ -1,6 +1,6 @@
 "use strict";
 
-const { setNoStoreHeaders, getGoogleClientId, getAllowedAdminEmails } = require("./_admin-auth");
+const { setNoStoreHeaders, getGoogleClientId, listEnabledProviders } = require("./_admin-auth");
 
 module.exports = async function handler(req, res) {
   setNoStoreHeaders(res);
@@ -10,12 +10,11 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed." });
   }
 
-  const googleClientId = getGoogleClientId();
+  const providers = listEnabledProviders();
   return res.status(200).json({
     ok: true,
-    googleClientId,
-    enabled: Boolean(googleClientId),
-    allowedAdminCount: getAllowedAdminEmails().length
+    googleClientId: getGoogleClientId(),
+    enabled: providers.length > 0,
+    providers
   });
 };
-
@@ -0,0 +1,100 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady,
+  getMainLinks
+} = require("./_link-store");
+const {
+  listBackups,
+  getBackup,
+  diffLinkSnapshots,
+  restoreBackup
+} = require("./_link-backups");
+const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+function readBackupParam(req) {
+  try {
+    const requestUrl = new URL(String(req && req.url ? req.url : "/"), "http://localhost");
+    return String(requestUrl.searchParams.get("backup") || "").trim();
+  } catch {
+    return "";
+  }
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const isRestore = req.method === "POST";
+  const auth = await authorizeAdminRequest(req, isRestore ? "catalog.maintain" : "admin.read", { recentAuth: isRestore });
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  let sql = null;
+  let audit = null;
+  try {
+    sql = createSqlClient();
+    await ensureStoreReady(sql);
+
+    if (req.method === "GET") {
+      const rawBackup = readBackupParam(req);
+      if (!rawBackup) {
+        return res.status(200).json({ ok: true, backups: await listBackups(sql) });
+      }
+
+      const backupNumber = Number.parseInt(rawBackup, 10);
+      if (!Number.isFinite(backupNumber) || backupNumber < 1) {
+        return res.status(400).json({ error: "Invalid backup number." });
+      }
+      const backup = await getBackup(sql, backupNumber);
+      if (!backup) {
+        return res.status(404).json({ error: "Backup not found." });
+      }
+      const { links, ...summary } = backup;
+      return res.status(200).json({
+        ok: true,
+        backup: summary,
+        diff: diffLinkSnapshots(links, await getMainLinks(sql))
+      });
+    }
+
+    const body = parseBody(req);
+    const action = String(body.action || "").trim();
+    if (action !== "restore") {
+      return res.status(400).json({ error: "Unsupported action. Use \"restore\"." });
+    }
+
+    audit = { actor: auth.user.email, action: "backups.restore", params: { backupNumber: body.backupNumber } };
+    const result = await restoreBackup(sql, body.backupNumber);
+    if (!result.ok) {
+      await recordAdminAction(sql, req, { ...audit, outcome: "failed", result });
+      return res.status(result.reason === "not_found" ? 404 : 400).json({ error: result.error });
+    }
+    await recordAdminAction(sql, req, { ...audit, result });
+    return res.status(200).json({ ...result, backups: await listBackups(sql) });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-backups failure", { error: message });
+    if (audit) await recordAdminAction(sql, req, { ...audit, outcome: "error", result: { error: message } });
+    return res.status(500).json({ error: "Backup request failed." });
+  }
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady,
+  approveCandidates,
+  rejectCandidates,
+  updateCandidate
+} = require("./_link-store");
+const { mergeDuplicateCandidate } = require("./_duplicate-detector");
+const { refreshCandidateScores } = require("./_candidate-score");
+const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const auth = await authorizeAdminRequest(req, "candidates.moderate");
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  const body = parseBody(req);
+  const action = String(body.action || "").trim();
+  const audit = {
+    actor: auth.user.email,
+    action: `candidates.${action}`,
+    params: { ids: body.ids, id: body.id, reason: body.reason, target: body.target, candidate: body.candidate }
+  };
+
+  let sql = null;
+  try {
+    sql = createSqlClient();
+    await ensureStoreReady(sql);
+
+    const reviewer = auth.user.email;
+    let result;
+    if (action === "approve") {
+      result = await approveCandidates(sql, body.ids, reviewer);
+    } else if (action === "reject") {
+      result = await rejectCandidates(sql, body.ids, body.reason, reviewer);
+    } else if (action === "edit") {
+      result = await updateCandidate(sql, body.id, body.candidate, reviewer);
+    } else if (action === "merge-duplicate") {
+      result = await mergeDuplicateCandidate(sql, body.id, body.target, reviewer);
+    } else if (action === "rescore") {
+      result = { ok: true, ...(await refreshCandidateScores(sql)) };
+    } else {
+      return res.status(400).json({
+        error: "Unsupported action. Use \"approve\", \"reject\", \"edit\", \"merge-duplicate\" or \"rescore\"."
+      });
+    }
+
+    if (!result.ok) {
+      await recordAdminAction(sql, req, { ...audit, outcome: "failed", result });
+      return res.status(result.reason === "not_found" ? 404 : 400).json({ error: result.error });
+    }
+    await recordAdminAction(sql, req, { ...audit, result });
+    return res.status(200).json(result);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-candidates failure", { error: message });
+    await recordAdminAction(sql, req, { ...audit, outcome: "error", result: { error: message } });
+    return res.status(500).json({ error: "Candidate update failed." });
+  }
+};
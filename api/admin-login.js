@@ -2,9 +2,8 @@
 
 const {
   setNoStoreHeaders,
-  verifyGoogleIdToken,
-  isAllowedAdminEmail,
-  setSessionCookie
+  verifyLoginCredential,
+  completeAdminLogin
 } = require("./_admin-auth");
 
 function parseBody(req) {
@@ -29,28 +28,24 @@ module.exports = async function handler(req, res) {
 
   try {
     const body = parseBody(req);
+    const provider = String(body.provider || "google").trim();
     const credential = String(body.credential || "").trim();
-    const verified = await verifyGoogleIdToken(credential);
+    const verified = await verifyLoginCredential(provider, credential);
     if (!verified.ok) {
+      if (verified.reason === "unsupported_provider") {
+        return res.status(400).json({ error: "Unsupported sign-in provider." });
+      }
       return res.status(401).json({ error: "Authentication failed." });
     }
 
-    const user = verified.user;
-    if (!user || !isAllowedAdminEmail(user.email)) {
-      return res.status(403).json({ error: "Account is not authorized for admin access." });
-    }
-
-    const cookieSet = setSessionCookie(res, req, user);
-    if (!cookieSet) {
-      return res.status(500).json({ error: "Auth session is not configured." });
+    const login = await completeAdminLogin(res, req, verified.user, provider);
+    if (!login.ok) {
+      return res.status(login.status).json({ error: login.error });
     }
 
     return res.status(200).json({
       ok: true,
-      user: {
-        email: user.email,
-        role: "admin"
-      }
+      user: login.user
     });
   } catch (error) {
     console.error("admin-login failure", {
@@ -59,4 +54,3 @@ module.exports = async function handler(req, res) {
     return res.status(500).json({ error: "Login failed." });
   }
 };
-
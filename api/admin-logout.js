@@ -1,6 +1,23 @@
 "use strict";
 
-const { setNoStoreHeaders, clearSessionCookie } = require("./_admin-auth");
+const {
+  createSqlClient,
+  ensureStoreReady
+} = require("./_link-store");
+const { setNoStoreHeaders, endAdminSession, clearSessionCookie } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
 
 module.exports = async function handler(req, res) {
   setNoStoreHeaders(res);
@@ -10,7 +27,27 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed." });
   }
 
+  // The cookie is cleared even when the session is already gone or the store is down.
   clearSessionCookie(res, req);
-  return res.status(200).json({ ok: true });
-};
 
+  const scope = parseBody(req).scope === "all" ? "all" : "current";
+  try {
+    const outcome = await endAdminSession(req, scope);
+    if (!outcome.user) {
+      return res.status(200).json({ ok: true, revokedCount: 0 });
+    }
+
+    const sql = createSqlClient();
+    await ensureStoreReady(sql);
+    await recordAdminAction(sql, req, { actor: outcome.user.email, action: "logout", params: { scope }, result: outcome.result });
+    if (!outcome.ok) {
+      return res.status(outcome.status).json({ error: outcome.error, code: outcome.code, ...outcome.result });
+    }
+    return res.status(200).json({ ok: true, ...outcome.result });
+  } catch (error) {
+    console.error("admin-logout failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Logout failed." });
+  }
+};
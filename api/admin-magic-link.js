@@ -0,0 +1,43 @@
+"use strict";
+
+const { setNoStoreHeaders, requestMagicLink } = require("./_admin-auth");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  try {
+    const result = await requestMagicLink(req, parseBody(req).email);
+    if (!result.ok) {
+      if (result.reason === "unsupported_provider") {
+        return res.status(404).json({ error: "Email sign-in is not enabled." });
+      }
+      return res.status(400).json({ error: "A valid email is required." });
+    }
+    return res.status(200).json({
+      ok: true,
+      message: "If this address belongs to an admin, a sign-in link is on its way."
+    });
+  } catch (error) {
+    console.error("admin-magic-link failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Unable to send a sign-in link." });
+  }
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+const { setNoStoreHeaders, startOAuthLogin, finishOAuthLogin } = require("./_admin-auth");
+
+function readSearchParams(req) {
+  try {
+    return new URL(String(req && req.url ? req.url : "/"), "http://localhost").searchParams;
+  } catch {
+    return new URLSearchParams();
+  }
+}
+
+function redirect(res, location) {
+  res.setHeader("Location", location);
+  return res.status(302).end();
+}
+
+// GET ?provider=<id> starts the flow; the provider redirects back here with ?code=&state=.
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const params = readSearchParams(req);
+  if (!params.has("state")) {
+    const location = startOAuthLogin(res, req, params.get("provider"));
+    if (!location) {
+      return res.status(404).json({ error: "Sign-in provider is not enabled." });
+    }
+    return redirect(res, location);
+  }
+
+  try {
+    const result = await finishOAuthLogin(res, req, {
+      code: params.get("code") || "",
+      state: params.get("state") || "",
+      error: params.get("error") || ""
+    });
+    if (!result.ok) {
+      return redirect(res, `/admin.html?login_error=${encodeURIComponent(result.reason || "login_failed")}`);
+    }
+    return redirect(res, "/admin.html");
+  } catch (error) {
+    console.error("admin-oauth failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return redirect(res, "/admin.html?login_error=login_failed");
+  }
+};
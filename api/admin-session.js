@@ -1,6 +1,6 @@
 "use strict";
 
-const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { setNoStoreHeaders, authorizeAdminRequest, issueCsrfToken } = require("./_admin-auth");
 
 module.exports = async function handler(req, res) {
   setNoStoreHeaders(res);
@@ -10,14 +10,14 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed." });
   }
 
-  const auth = authorizeAdminRequest(req);
+  const auth = await authorizeAdminRequest(req);
   if (!auth.ok) {
-    return res.status(401).json({ error: "Unauthorized." });
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
   }
 
   return res.status(200).json({
     ok: true,
-    user: auth.user
+    user: auth.user,
+    csrfToken: issueCsrfToken(res, req, auth.user)
   });
 };
-
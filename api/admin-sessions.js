@@ -0,0 +1,79 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady
+} = require("./_link-store");
+const { listActiveSessions, revokeSession, revokeSessionsForEmail } = require("./_admin-sessions");
+const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+async function listSessions(sql, currentSessionId) {
+  const sessions = await listActiveSessions(sql);
+  return sessions.map((session) => ({ ...session, current: session.id === currentSessionId }));
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const auth = await authorizeAdminRequest(req, "admins.manage");
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  let sql = null;
+  let audit = null;
+  try {
+    sql = createSqlClient();
+    await ensureStoreReady(sql);
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, sessions: await listSessions(sql, auth.user.sessionId) });
+    }
+
+    const body = parseBody(req);
+    const action = String(body.action || "").trim();
+    audit = {
+      actor: auth.user.email,
+      action: `sessions.${action}`,
+      params: { id: body.id, email: body.email }
+    };
+    let result;
+    if (action === "revoke") {
+      result = await revokeSession(sql, body.id, `revoked-by:${auth.user.email}`);
+    } else if (action === "revoke-email") {
+      result = await revokeSessionsForEmail(sql, body.email, `revoked-by:${auth.user.email}`);
+    } else {
+      return res.status(400).json({ error: "Unsupported action. Use \"revoke\" or \"revoke-email\"." });
+    }
+
+    if (!result.revokedCount) {
+      await recordAdminAction(sql, req, { ...audit, outcome: "failed", result });
+      return res.status(404).json({ error: "No active session matched." });
+    }
+    await recordAdminAction(sql, req, { ...audit, result });
+    return res.status(200).json({ ok: true, ...result, sessions: await listSessions(sql, auth.user.sessionId) });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-sessions failure", { error: message });
+    if (audit) await recordAdminAction(sql, req, { ...audit, outcome: "error", result: { error: message } });
+    return res.status(500).json({ error: "Session update failed." });
+  }
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady,
+  getTagTaxonomy,
+  loadTagTaxonomy,
+  getTagUsageCounts,
+  saveTag,
+  deleteTag
+} = require("./_link-store");
+const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+async function listTags(sql) {
+  await loadTagTaxonomy(sql, { force: true });
+  const usageCounts = await getTagUsageCounts(sql);
+  return getTagTaxonomy().map((tag) => ({
+    ...tag,
+    usageCount: usageCounts[tag.key] || 0
+  }));
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const auth = await authorizeAdminRequest(req, req.method === "POST" ? "catalog.maintain" : "admin.read");
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  let sql = null;
+  let audit = null;
+  try {
+    sql = createSqlClient();
+    await ensureStoreReady(sql);
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, tags: await listTags(sql) });
+    }
+
+    const body = parseBody(req);
+    const action = String(body.action || "").trim();
+    audit = {
+      actor: auth.user.email,
+      action: `tags.${action}`,
+      params: { key: body.key, tag: body.tag }
+    };
+    let result;
+    if (action === "save") {
+      result = await saveTag(sql, body.tag);
+    } else if (action === "delete") {
+      result = await deleteTag(sql, body.key);
+    } else {
+      return res.status(400).json({ error: "Unsupported action. Use \"save\" or \"delete\"." });
+    }
+
+    if (!result.ok) {
+      await recordAdminAction(sql, req, { ...audit, outcome: "failed", result });
+      return res.status(result.reason === "not_found" ? 404 : 400).json({ error: result.error });
+    }
+    await recordAdminAction(sql, req, { ...audit, result });
+    return res.status(200).json({ ok: true, tags: await listTags(sql) });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-tags failure", { error: message });
+    if (audit) await recordAdminAction(sql, req, { ...audit, outcome: "error", result: { error: message } });
+    return res.status(500).json({ error: "Tag update failed." });
+  }
+};
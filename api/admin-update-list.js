@@ -6,6 +6,7 @@ const {
   mergePendingCandidates
 } = require("./_link-store");
 const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
 
 module.exports = async function handler(req, res) {
   setNoStoreHeaders(res);
@@ -15,27 +16,37 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed." });
   }
 
-  if (!authorizeAdminRequest(req).ok) {
-    return res.status(401).json({ error: "Unauthorized." });
+  const auth = await authorizeAdminRequest(req, "candidates.moderate", { recentAuth: true });
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
   }
 
+  let sql = null;
   try {
-    const sql = createSqlClient();
+    sql = createSqlClient();
     await ensureStoreReady(sql);
-    const result = await mergePendingCandidates(sql);
-
-    return res.status(200).json({
+    const result = await mergePendingCandidates(sql, auth.user.email);
+    const payload = {
       ok: true,
       backupFileName: result.backup.backupFileName,
       backupNumber: result.backup.backupNumber,
       pendingCount: result.pendingCount,
       mergedCount: result.mergedCount,
       skippedExistingCount: result.skippedExistingCount,
-      totalLinks: result.totalLinks
-    });
+      totalLinks: result.totalLinks,
+      catalogVersion: result.catalogVersion
+    };
+    await recordAdminAction(sql, req, { actor: auth.user.email, action: "update-list", result: payload });
+
+    return res.status(200).json(payload);
   } catch (error) {
-    console.error("admin-update-list failure", {
-      error: error instanceof Error ? error.message : String(error)
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-update-list failure", { error: message });
+    await recordAdminAction(sql, req, {
+      actor: auth.user.email,
+      action: "update-list",
+      outcome: "error",
+      result: { error: message }
     });
     return res.status(500).json({ error: "List update failed." });
   }
@@ -7,6 +7,7 @@ const {
   getMainLinks
 } = require("./_link-store");
 const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
 
 module.exports = async function handler(req, res) {
   setNoStoreHeaders(res);
@@ -16,17 +17,18 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed." });
   }
 
-  if (!authorizeAdminRequest(req).ok) {
-    return res.status(401).json({ error: "Unauthorized." });
+  const auth = await authorizeAdminRequest(req, "catalog.maintain", { recentAuth: true });
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
   }
 
+  let sql = null;
   try {
-    const sql = createSqlClient();
+    sql = createSqlClient();
     await ensureStoreReady(sql);
     const result = await refreshMainPricingTiers(sql);
     const links = await getMainLinks(sql);
-
-    return res.status(200).json({
+    const payload = {
       ok: true,
       scannedCount: result.scannedCount,
       updatedCount: result.updatedCount,
@@ -34,10 +36,18 @@ module.exports = async function handler(req, res) {
       missingReferenceCount: result.missingReferenceCount,
       sourceCount: result.sourceCount,
       totalLinks: links.length
-    });
+    };
+    await recordAdminAction(sql, req, { actor: auth.user.email, action: "update-tier", result: payload });
+
+    return res.status(200).json(payload);
   } catch (error) {
-    console.error("admin-update-tier failure", {
-      error: error instanceof Error ? error.message : String(error)
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-update-tier failure", { error: message });
+    await recordAdminAction(sql, req, {
+      actor: auth.user.email,
+      action: "update-tier",
+      outcome: "error",
+      result: { error: message }
     });
     return res.status(500).json({ error: "Tier update failed." });
   }
@@ -0,0 +1,74 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady
+} = require("./_link-store");
+const { ADMIN_ROLES, listAdminUsers, saveAdminUser, removeAdminUser } = require("./_admin-roles");
+const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
+const { recordAdminAction } = require("./_admin-audit");
+
+function parseBody(req) {
+  if (req && typeof req.body === "object" && req.body !== null) return req.body;
+  if (typeof req.body === "string") {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const auth = await authorizeAdminRequest(req, "admins.manage", { recentAuth: req.method === "POST" });
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  let sql = null;
+  let audit = null;
+  try {
+    sql = createSqlClient();
+    await ensureStoreReady(sql);
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, roles: ADMIN_ROLES, users: await listAdminUsers(sql) });
+    }
+
+    const body = parseBody(req);
+    const action = String(body.action || "").trim();
+    audit = {
+      actor: auth.user.email,
+      action: `admins.${action}`,
+      params: { email: body.email, role: body.role }
+    };
+    let result;
+    if (action === "save") {
+      result = await saveAdminUser(sql, body, auth.user.email);
+    } else if (action === "remove") {
+      result = await removeAdminUser(sql, body.email, auth.user.email);
+    } else {
+      return res.status(400).json({ error: "Unsupported action. Use \"save\" or \"remove\"." });
+    }
+
+    if (!result.ok) {
+      await recordAdminAction(sql, req, { ...audit, outcome: "failed", result });
+      return res.status(result.reason === "not_found" ? 404 : 400).json({ error: result.error });
+    }
+    await recordAdminAction(sql, req, { ...audit, result });
+    return res.status(200).json({ ok: true, roles: ADMIN_ROLES, users: await listAdminUsers(sql) });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error("admin-users failure", { error: message });
+    if (audit) await recordAdminAction(sql, req, { ...audit, outcome: "error", result: { error: message } });
+    return res.status(500).json({ error: "Admin update failed." });
+  }
+};
@@ -2,26 +2,18 @@
 
 const {
   createSqlClient,
-  ensureStoreReady,
-  csvToAbilities,
-  csvToTags,
-  normalizePricing
+  ensureStoreReady
 } = require("./_link-store");
+const { parseCandidateQuery, searchCandidates, getCandidateFacets } = require("./_candidate-search");
+const { loadDuplicateIndex, findDuplicates } = require("./_duplicate-detector");
 const { setNoStoreHeaders, authorizeAdminRequest } = require("./_admin-auth");
 
-function parsePaging(req) {
-  let limit = 40;
-  let offset = 0;
-
+function readSearchParams(req) {
   try {
-    const requestUrl = new URL(String(req && req.url ? req.url : "/"), "http://localhost");
-    const limitRaw = Number.parseInt(String(requestUrl.searchParams.get("limit") || "40"), 10);
-    const offsetRaw = Number.parseInt(String(requestUrl.searchParams.get("offset") || "0"), 10);
-    if (Number.isFinite(limitRaw)) limit = Math.min(100, Math.max(1, limitRaw));
-    if (Number.isFinite(offsetRaw)) offset = Math.max(0, offsetRaw);
-  } catch {}
-
-  return { limit, offset };
+    return new URL(String(req && req.url ? req.url : "/"), "http://localhost").searchParams;
+  } catch {
+    return new URLSearchParams();
+  }
 }
 
 module.exports = async function handler(req, res) {
@@ -32,49 +24,32 @@ module.exports = async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed." });
   }
 
-  if (!authorizeAdminRequest(req).ok) {
-    return res.status(401).json({ error: "Unauthorized." });
+  const auth = await authorizeAdminRequest(req, "admin.read");
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error, code: auth.code });
+  }
+
+  const parsed = parseCandidateQuery(readSearchParams(req));
+  if (!parsed.ok) {
+    return res.status(400).json({ error: parsed.error });
   }
 
   try {
     const sql = createSqlClient();
     await ensureStoreReady(sql);
-    const { limit, offset } = parsePaging(req);
-    const countRows = await sql`SELECT COUNT(*)::INT AS count FROM ai_candidate_links`;
-    const total = Number(countRows[0] && countRows[0].count ? countRows[0].count : 0);
-    const rows = await sql`
-      SELECT id, name, url, description, abilities_csv, pricing_tier, tags_csv, status, discovered_count, created_at, updated_at
-      FROM ai_candidate_links
-      ORDER BY created_at DESC, id DESC
-      LIMIT ${limit}
-      OFFSET ${offset}
-    `;
+    const { items, paging } = await searchCandidates(sql, parsed.query);
 
-    const payload = rows.map((row) => ({
-      id: row.id,
-      name: String(row.name || ""),
-      url: String(row.url || ""),
-      description: String(row.description || ""),
-      abilities: csvToAbilities(row.abilities_csv),
-      pricing: normalizePricing(row.pricing_tier),
-      tags: csvToTags(row.tags_csv),
-      status: String(row.status || ""),
-      discoveredCount: Number(row.discovered_count || 0),
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+    if (items.some((item) => item.status === "pending")) {
+      const duplicateIndex = await loadDuplicateIndex(sql);
+      items.forEach((item) => {
+        if (item.status === "pending") item.possibleDuplicates = findDuplicates(item, duplicateIndex);
+      });
+    }
 
-    const nextOffset = offset + payload.length;
-    const hasMore = nextOffset < total;
     return res.status(200).json({
-      items: payload,
-      paging: {
-        limit,
-        offset,
-        nextOffset,
-        total,
-        hasMore
-      }
+      items,
+      paging,
+      facets: await getCandidateFacets(sql)
     });
   } catch (error) {
     console.error("candidate-link-list failure", {
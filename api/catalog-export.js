@@ -0,0 +1,101 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady,
+  getMainLinks,
+  getRecentLinks,
+  getCatalogVersion
+} = require("./_link-store");
+const {
+  EXPORT_FORMATS,
+  renderJsonExport,
+  renderCsvExport,
+  renderAtomFeed,
+  buildExportFileName
+} = require("./_catalog-export");
+const {
+  buildStrongEtag,
+  ifNoneMatchSatisfied,
+  setPublicCacheHeaders,
+  sendNotModified
+} = require("./_http-cache");
+const { setNoStoreHeaders } = require("./_admin-auth");
+const { getPublicBaseUrl } = require("./_identity-providers");
+
+const FEED_ENTRY_LIMIT = 50;
+const DEFAULT_SITE_URL = "https://aicenghub.vercel.app";
+const EDGE_MAX_AGE_SEC = 300;
+const EDGE_STALE_WHILE_REVALIDATE_SEC = 3600;
+
+function readFormat(req) {
+  try {
+    const requestUrl = new URL(String(req && req.url ? req.url : "/"), "http://localhost");
+    return String(requestUrl.searchParams.get("format") || "json").trim().toLowerCase();
+  } catch {
+    return "json";
+  }
+}
+
+// Feed ids and links are cached publicly, so the origin comes from config, never from the Host header.
+function resolveSiteUrl() {
+  return getPublicBaseUrl() || DEFAULT_SITE_URL;
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  if (req.method !== "GET") {
+    setNoStoreHeaders(res);
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const format = readFormat(req);
+  if (!EXPORT_FORMATS[format]) {
+    setNoStoreHeaders(res);
+    return res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.` });
+  }
+
+  try {
+    const sql = createSqlClient();
+    await ensureStoreReady(sql);
+
+    const catalogVersion = await getCatalogVersion(sql);
+    const etag = buildStrongEtag([catalogVersion.version, format]);
+    const cacheHeaders = {
+      etag,
+      lastModified: catalogVersion.lastUpdatedAt,
+      sMaxAge: EDGE_MAX_AGE_SEC,
+      staleWhileRevalidate: EDGE_STALE_WHILE_REVALIDATE_SEC
+    };
+
+    if (ifNoneMatchSatisfied(req, etag)) {
+      setPublicCacheHeaders(res, cacheHeaders);
+      return sendNotModified(res);
+    }
+
+    let body;
+    if (format === "atom") {
+      const links = await getRecentLinks(sql, FEED_ENTRY_LIMIT);
+      body = renderAtomFeed(links, { siteUrl: resolveSiteUrl(), updatedAt: catalogVersion.lastUpdatedAt });
+    } else {
+      const links = await getMainLinks(sql);
+      body = format === "csv" ? renderCsvExport(links) : renderJsonExport(links);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${buildExportFileName(format, catalogVersion.lastUpdatedAt)}"`
+      );
+    }
+
+    setPublicCacheHeaders(res, cacheHeaders);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    return res.status(200).send(body);
+  } catch (error) {
+    setNoStoreHeaders(res);
+    console.error("catalog-export api failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Unable to export catalog." });
+  }
+};
@@ -13,8 +13,16 @@ const {
   insertToolCheck,
   enqueueScrapeJob
 } = require("./_link-store");
+const { getCatalogFacets } = require("./_catalog-search");
 const { safeFetch } = require("./_safe-fetch");
-const { consumeRateLimit } = require("./_rate-limit");
+const { createEventStream, readEventStream } = require("./_sse");
+const { getClientKey } = require("./_client-ip");
+const {
+  consumeChatRateLimit,
+  consumeUrlRateLimit,
+  peekUrlRateLimit,
+  setJulehaRateLimitHeaders
+} = require("./_juleha-limits");
 const { toolsEnrich, toolsSearch } = require("./_tools-client");
 
 const OPENROUTER_API_URL = "https://openrouter.ai/api/v1/chat/completions";
@@ -52,11 +60,6 @@ const MAX_USER_TURNS = 12;
 const REQUEST_TIMEOUT_MS = 30000;
 const POLICY_ROUTE_LABEL = "policy-guardrail";
 
-const CHAT_LIMIT_COUNT = 30;
-const CHAT_LIMIT_WINDOW_MS = 10 * 60 * 1000;
-const URL_LIMIT_COUNT = 10;
-const URL_LIMIT_WINDOW_MS = 10 * 60 * 1000;
-
 const LINK_VERIFY_MAX_LINKS = 6;
 const LINK_VERIFY_TIMEOUT_TOTAL_MS = 7000;
 const LINK_VERIFY_TIMEOUT_HOP_MS = 4000;
@@ -89,6 +92,9 @@ const SERVER_SYSTEM_PROMPT = [
 ].join(" ");
 
 const SERVER_PROMPT_HASH = createHash("sha256").update(SERVER_SYSTEM_PROMPT).digest("hex");
+const SERVER_PROMPT_LOWER = SERVER_SYSTEM_PROMPT.toLowerCase();
+// A streamed reply sharing this many characters in a row with the system prompt counts as a leak.
+const PROMPT_LEAK_MIN_CHARS = 40;
 
 const OUTPUT_BLOCK_PATTERNS = [
   /system\s+prompt/i,
@@ -595,6 +601,67 @@ function containsBlockedOutput(text) {
   return OUTPUT_BLOCK_PATTERNS.some((pattern) => pattern.test(source));
 }
 
+// Length of the longest tail of `lower` (under PROMPT_LEAK_MIN_CHARS) that also appears in the
+// system prompt: text that may be the start of a prompt leak still being written.
+function promptTailLength(lower) {
+  for (let length = Math.min(PROMPT_LEAK_MIN_CHARS - 1, lower.length); length > 0; length -= 1) {
+    if (SERVER_PROMPT_LOWER.includes(lower.slice(-length))) return length;
+  }
+  return 0;
+}
+
+// Holds streamed model text back to the last whitespace, so a secret is redacted and a blocked phrase
+// is caught whole before any of it reaches the client. The redaction patterns never span whitespace,
+// except "Bearer <token>", which is kept together. A tail that could be the start of a system prompt
+// leak is held back too, and PROMPT_LEAK_MIN_CHARS matching characters block the reply, so a
+// word-for-word leak never reaches the client before the refusal.
+function createStreamGuard() {
+  let raw = "";
+  let lower = "";
+  let released = 0;
+  let scanned = 0;
+
+  function leaksPrompt() {
+    for (; scanned + PROMPT_LEAK_MIN_CHARS <= lower.length; scanned += 1) {
+      if (SERVER_PROMPT_LOWER.includes(lower.slice(scanned, scanned + PROMPT_LEAK_MIN_CHARS))) return true;
+    }
+    return false;
+  }
+
+  function isBlocked() {
+    return leaksPrompt() || containsBlockedOutput(raw);
+  }
+
+  function release(final) {
+    let cut = raw.length;
+    if (!final) {
+      const safeEnd = raw.length - promptTailLength(lower);
+      cut = raw.slice(0, safeEnd).search(/\s\S*$/) + 1;
+      const bearer = raw.slice(released, cut).search(/\bBearer\s+$/i);
+      if (bearer >= 0) cut = released + bearer;
+    }
+    if (cut <= released) return "";
+    const text = redactPotentialSecrets(raw.slice(released, cut));
+    released = cut;
+    return text;
+  }
+
+  return {
+    // Returns the text that is now safe to send, or null once the output is blocked.
+    push(delta) {
+      raw += delta;
+      lower = raw.toLowerCase();
+      return isBlocked() ? null : release(false);
+    },
+    finish() {
+      return isBlocked() ? null : release(true);
+    },
+    get text() {
+      return raw;
+    }
+  };
+}
+
 function refusalResponse(text) {
   return {
     assistantText: text,
@@ -608,17 +675,6 @@ function createRequestId(req) {
   return fromHeader || randomUUID();
 }
 
-function getClientIp(req) {
-  const xff = String((req && req.headers && req.headers["x-forwarded-for"]) || "").trim();
-  if (xff) {
-    const first = xff.split(",")[0].trim();
-    if (first) return first;
-  }
-  const realIp = String((req && req.headers && req.headers["x-real-ip"]) || "").trim();
-  if (realIp) return realIp;
-  return "0.0.0.0";
-}
-
 function getSessionFingerprint(req) {
   const cookie = String((req && req.headers && req.headers.cookie) || "").trim();
   const sessionHeader = String((req && req.headers && req.headers["x-session-id"]) || "").trim();
@@ -747,24 +803,6 @@ function createInvocationLimiter(maxConcurrent) {
   return { run };
 }
 
-function consumeChatRateLimit(clientIp) {
-  return consumeRateLimit({
-    key: `chat:${clientIp}`,
-    limit: CHAT_LIMIT_COUNT,
-    windowMs: CHAT_LIMIT_WINDOW_MS,
-    weight: 1
-  });
-}
-
-function consumeUrlRateLimit(clientIp, weight) {
-  return consumeRateLimit({
-    key: `url:${clientIp}`,
-    limit: URL_LIMIT_COUNT,
-    windowMs: URL_LIMIT_WINDOW_MS,
-    weight
-  });
-}
-
 function htmlTitle(html) {
   const source = String(html || "");
   const match = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
@@ -990,10 +1028,19 @@ async function buildCatalogSnippetMessage(sql) {
       .slice(0, 10)
       .map((entry) => `${entry.name} (${entry.pricing})`)
       .join("; ");
+    const facets = await getCatalogFacets(sql);
+    const abilityCounts = Object.entries(facets.abilities)
+      .map(([ability, count]) => `${ability} ${count}`)
+      .join(", ");
+    const pricingCounts = Object.entries(facets.pricing)
+      .map(([tier, count]) => `${tier} ${count}`)
+      .join(", ");
 
     return [
       "Catalog snippets from trusted server data:",
       snippet || "No catalog snippets available.",
+      `Ability counts: ${abilityCounts}`,
+      `Pricing counts: ${pricingCounts}`,
       "Candidate capture policy: only store candidates from safe-verified public URLs, with verification metadata and audit hashes."
     ].join("\n");
   } catch {
@@ -1079,28 +1126,32 @@ async function captureCandidateLinks(input) {
   }
 }
 
+function openRouterRequestInit(route, modelMessages, signal, stream) {
+  const referer = String(process.env.OPENROUTER_HTTP_REFERER || "https://aicenghub.vercel.app").trim();
+  const title = String(process.env.OPENROUTER_APP_TITLE || "AICENGHUB").trim();
+  return {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${route.apiKey}`,
+      "Content-Type": "application/json",
+      "HTTP-Referer": referer,
+      "X-Title": title
+    },
+    body: JSON.stringify({
+      model: route.model,
+      messages: modelMessages,
+      ...(stream ? { stream: true } : {})
+    }),
+    signal
+  };
+}
+
 async function requestWithRoute(route, modelMessages, requestContext) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
 
-  const referer = String(process.env.OPENROUTER_HTTP_REFERER || "https://aicenghub.vercel.app").trim();
-  const title = String(process.env.OPENROUTER_APP_TITLE || "AICENGHUB").trim();
-
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${route.apiKey}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": referer,
-        "X-Title": title
-      },
-      body: JSON.stringify({
-        model: route.model,
-        messages: modelMessages
-      }),
-      signal: controller.signal
-    });
+    const response = await fetch(OPENROUTER_API_URL, openRouterRequestInit(route, modelMessages, controller.signal, false));
 
     const payload = await response.json().catch(() => ({}));
     if (!response.ok) {
@@ -1133,16 +1184,84 @@ async function requestWithRoute(route, modelMessages, requestContext) {
   }
 }
 
+// Like requestWithRoute, but forwards the completion to `eventStream` as `delta` events while it
+// arrives. The event stream only starts with the first released text, so a route that fails before
+// then can still fall through to the next one (or to a JSON error).
+async function streamWithRoute(route, modelMessages, requestContext, eventStream) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const guard = createStreamGuard();
+  let blocked = false;
+
+  function forward(text) {
+    if (text === null) {
+      blocked = true;
+      controller.abort();
+      return;
+    }
+    if (text) eventStream.send("delta", { text });
+  }
+
+  try {
+    const response = await fetch(OPENROUTER_API_URL, openRouterRequestInit(route, modelMessages, controller.signal, true));
+    if (!response.ok || !response.body) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(parseOpenRouterError(response, payload));
+    }
+
+    await readEventStream(response.body, (data) => {
+      if (blocked || data === "[DONE]") return;
+      let chunk = null;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (chunk && chunk.error) {
+        throw new Error(String(chunk.error.message || "stream-error"));
+      }
+      const content = chunk && Array.isArray(chunk.choices) && chunk.choices[0] && chunk.choices[0].delta
+        ? chunk.choices[0].delta.content
+        : "";
+      // Deltas keep their surrounding whitespace; extractAssistantText would trim it away.
+      const delta = typeof content === "string" ? content : extractAssistantText(content);
+      if (delta) forward(guard.push(delta));
+    }).catch((error) => {
+      if (!blocked) throw error;
+    });
+
+    if (!blocked) forward(guard.finish());
+    if (blocked) {
+      return { assistantText: "", routeLabel: route.label, blocked: true };
+    }
+
+    const assistantText = redactPotentialSecrets(guard.text.trim());
+    if (!assistantText) {
+      throw new Error("empty-assistant-response");
+    }
+
+    structuredLog("info", "juleha.route.success", {
+      request_id: requestContext.requestId,
+      route: route.label,
+      stream: true
+    });
+
+    return { assistantText, routeLabel: route.label, blocked: false };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 module.exports = async function handler(req, res) {
   setResponseSecurityHeaders(res);
 
   const requestId = createRequestId(req);
-  const clientIp = getClientIp(req);
+  const clientKey = getClientKey(req);
   const sessionFingerprint = getSessionFingerprint(req);
   const requestContext = {
     requestId,
-    clientIp,
-    ipHash: hashForAudit(clientIp),
+    clientKey,
+    ipHash: hashForAudit(clientKey),
     sessionHash: hashForAudit(sessionFingerprint)
   };
 
@@ -1160,7 +1279,11 @@ module.exports = async function handler(req, res) {
     return res.status(413).json({ error: "Request body too large." });
   }
 
-  const chatRate = consumeChatRateLimit(clientIp);
+  const [chatRate, urlRate] = await Promise.all([
+    consumeChatRateLimit(clientKey),
+    peekUrlRateLimit(clientKey)
+  ]);
+  setJulehaRateLimitHeaders(res, chatRate, urlRate);
   if (!chatRate.allowed) {
     res.setHeader("Retry-After", String(chatRate.retryAfterSec));
     return res.status(429).json({ error: "Rate limit exceeded. Try again later." });
@@ -1221,7 +1344,8 @@ module.exports = async function handler(req, res) {
   const useLegacyVerification = shouldVerifyLinks() && !liveTools.toolsRequested;
   const userUrls = useLegacyVerification ? extractedUserUrls : [];
   if (useLegacyVerification && userUrls.length) {
-    const urlBudget = consumeUrlRateLimit(clientIp, userUrls.length);
+    const urlBudget = await consumeUrlRateLimit(clientKey, userUrls.length);
+    setJulehaRateLimitHeaders(res, chatRate, urlBudget);
     if (!urlBudget.allowed) {
       res.setHeader("Retry-After", String(urlBudget.retryAfterSec));
       return res.status(429).json({ error: "URL verification rate limit exceeded." });
@@ -1259,13 +1383,27 @@ module.exports = async function handler(req, res) {
     ...conversation
   ];
 
+  // With `stream: true` the reply goes out as SSE once model text arrives: `delta` events, then one
+  // `done` event with the same payload the JSON response has, or `error`. Anything decided before
+  // the first token is still a plain JSON response.
+  const eventStream = body.stream === true ? createEventStream(res) : null;
+  function reply(status, payload) {
+    if (eventStream && eventStream.started) {
+      eventStream.send(status === 200 ? "done" : "error", payload);
+      return eventStream.end();
+    }
+    return res.status(status).json(payload);
+  }
+
   const routeErrors = [];
   for (const route of routes) {
     try {
-      const result = await requestWithRoute(route, modelMessages, requestContext);
+      const result = eventStream
+        ? await streamWithRoute(route, modelMessages, requestContext, eventStream)
+        : await requestWithRoute(route, modelMessages, requestContext);
 
-      if (containsBlockedOutput(result.assistantText)) {
-        return res.status(200).json(refusalResponse(
+      if (result.blocked || containsBlockedOutput(result.assistantText)) {
+        return reply(200, refusalResponse(
           "I can't provide system/developer prompt content. I can still help with normal tool recommendations."
         ));
       }
@@ -1274,10 +1412,12 @@ module.exports = async function handler(req, res) {
       if (useLegacyVerification) {
         const assistantUrls = extractUrlsFromText(result.assistantText, LINK_VERIFY_MAX_LINKS);
         if (assistantUrls.length) {
-          const urlBudget = consumeUrlRateLimit(clientIp, assistantUrls.length);
+          const urlBudget = await consumeUrlRateLimit(clientKey, assistantUrls.length);
+          const canSetHeaders = !(eventStream && eventStream.started);
+          if (canSetHeaders) setJulehaRateLimitHeaders(res, chatRate, urlBudget);
           if (!urlBudget.allowed) {
-            res.setHeader("Retry-After", String(urlBudget.retryAfterSec));
-            return res.status(429).json({ error: "URL verification rate limit exceeded." });
+            if (canSetHeaders) res.setHeader("Retry-After", String(urlBudget.retryAfterSec));
+            return reply(429, { error: "URL verification rate limit exceeded." });
           }
           verifiedLinks = await verifyLinks(assistantUrls, limiter).catch(() => []);
         }
@@ -1304,12 +1444,14 @@ module.exports = async function handler(req, res) {
         }
       }
 
-      return res.status(200).json({
+      return reply(200, {
         assistantText,
         routeLabel: result.routeLabel,
         verifiedLinks
       });
     } catch (error) {
+      // Text already streamed from a failed route is discarded before the next route answers.
+      if (eventStream && eventStream.started) eventStream.send("reset", {});
       const safeError = error instanceof Error ? error.message : String(error);
       routeErrors.push({ route: route.label, error: safeError });
       structuredLog("warn", "juleha.route.failure", {
@@ -1325,12 +1467,14 @@ module.exports = async function handler(req, res) {
     route_errors: routeErrors
   });
 
-  return res.status(502).json({ error: "AI service unavailable right now." });
+  return reply(502, { error: "AI service unavailable right now." });
 };
 
 module.exports._internals = {
   sanitizeConversation,
   containsPromptInjection,
   extractUrlsFromText,
-  exceedsBodyLimit
+  exceedsBodyLimit,
+  createStreamGuard,
+  SERVER_SYSTEM_PROMPT
 };
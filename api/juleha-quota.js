@@ -0,0 +1,31 @@
+"use strict";
+
+const { getClientKey } = require("./_client-ip");
+const { getJulehaQuota, setJulehaRateLimitHeaders } = require("./_juleha-limits");
+
+function setNoStoreHeaders(res) {
+  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, private");
+  res.setHeader("Pragma", "no-cache");
+}
+
+// Reports the caller's Juleha chat and URL-check budgets without using any of them.
+module.exports = async function handler(req, res) {
+  setNoStoreHeaders(res);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  try {
+    const quota = await getJulehaQuota(getClientKey(req));
+    setJulehaRateLimitHeaders(res, quota.chat, quota.url);
+    return res.status(200).json({ ok: true, ...quota.summary });
+  } catch (error) {
+    console.error("juleha-quota api failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Unable to load quota." });
+  }
+};
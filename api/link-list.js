@@ -3,19 +3,50 @@
 const {
   createSqlClient,
   ensureStoreReady,
-  getMainLinks
+  getCatalogVersion
 } = require("./_link-store");
+const { parseCatalogQuery, searchCatalog } = require("./_catalog-search");
+const {
+  buildStrongEtag,
+  ifNoneMatchSatisfied,
+  setPublicCacheHeaders,
+  sendNotModified
+} = require("./_http-cache");
+
+const EDGE_MAX_AGE_SEC = 60;
+const EDGE_STALE_WHILE_REVALIDATE_SEC = 600;
 
-function setHeaders(res) {
+function setNoStoreHeaders(res) {
   res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, private");
   res.setHeader("Pragma", "no-cache");
-  res.setHeader("X-Content-Type-Options", "nosniff");
+}
+
+function readSearchParams(req) {
+  try {
+    return new URL(String(req && req.url ? req.url : "/"), "http://localhost").searchParams;
+  } catch {
+    return new URLSearchParams();
+  }
+}
+
+function buildCatalogEtag(catalogVersion, query) {
+  return buildStrongEtag([
+    catalogVersion.version,
+    query.q,
+    query.ability,
+    query.pricing,
+    query.tag,
+    query.sort,
+    query.limit,
+    query.cursor
+  ]);
 }
 
 module.exports = async function handler(req, res) {
-  setHeaders(res);
+  res.setHeader("X-Content-Type-Options", "nosniff");
 
   if (req.method !== "GET") {
+    setNoStoreHeaders(res);
     res.setHeader("Allow", "GET");
     return res.status(405).json({ error: "Method not allowed." });
   }
@@ -23,9 +54,33 @@ module.exports = async function handler(req, res) {
   try {
     const sql = createSqlClient();
     await ensureStoreReady(sql);
-    const links = await getMainLinks(sql);
-    return res.status(200).json(links);
+
+    // Parsed after ensureStoreReady so tag aliases resolve against the loaded taxonomy.
+    const parsed = parseCatalogQuery(readSearchParams(req));
+    if (!parsed.ok) {
+      setNoStoreHeaders(res);
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const catalogVersion = await getCatalogVersion(sql);
+    const etag = buildCatalogEtag(catalogVersion, parsed.query);
+    const cacheHeaders = {
+      etag,
+      lastModified: catalogVersion.lastUpdatedAt,
+      sMaxAge: EDGE_MAX_AGE_SEC,
+      staleWhileRevalidate: EDGE_STALE_WHILE_REVALIDATE_SEC
+    };
+
+    if (ifNoneMatchSatisfied(req, etag)) {
+      setPublicCacheHeaders(res, cacheHeaders);
+      return sendNotModified(res);
+    }
+
+    const result = await searchCatalog(sql, parsed.query);
+    setPublicCacheHeaders(res, cacheHeaders);
+    return res.status(200).json(result);
   } catch (error) {
+    setNoStoreHeaders(res);
     console.error("link-list api failure", {
       error: error instanceof Error ? error.message : String(error)
     });
@@ -0,0 +1,54 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady,
+  getTagTaxonomy
+} = require("./_link-store");
+const {
+  buildStrongEtag,
+  ifNoneMatchSatisfied,
+  setPublicCacheHeaders,
+  sendNotModified
+} = require("./_http-cache");
+
+const EDGE_MAX_AGE_SEC = 300;
+const EDGE_STALE_WHILE_REVALIDATE_SEC = 3600;
+
+function setNoStoreHeaders(res) {
+  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, private");
+  res.setHeader("Pragma", "no-cache");
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  if (req.method !== "GET") {
+    setNoStoreHeaders(res);
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  try {
+    const sql = createSqlClient();
+    await ensureStoreReady(sql);
+    const tags = getTagTaxonomy().map(({ key, labels, aliases, abilities }) => ({ key, labels, aliases, abilities }));
+    const etag = buildStrongEtag(tags);
+
+    setPublicCacheHeaders(res, {
+      etag,
+      sMaxAge: EDGE_MAX_AGE_SEC,
+      staleWhileRevalidate: EDGE_STALE_WHILE_REVALIDATE_SEC
+    });
+    if (ifNoneMatchSatisfied(req, etag)) {
+      return sendNotModified(res);
+    }
+    return res.status(200).json({ tags });
+  } catch (error) {
+    setNoStoreHeaders(res);
+    console.error("tag-taxonomy api failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Unable to load tag taxonomy." });
+  }
+};
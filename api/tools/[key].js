@@ -0,0 +1,53 @@
+"use strict";
+
+const {
+  createSqlClient,
+  ensureStoreReady,
+  getToolDetail
+} = require("../_link-store");
+
+function setHeaders(res) {
+  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, private");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+}
+
+function readToolKey(req) {
+  const fromQuery = req && req.query ? req.query.key : "";
+  if (fromQuery) return String(Array.isArray(fromQuery) ? fromQuery[0] : fromQuery).trim();
+  try {
+    const { pathname } = new URL(String(req && req.url ? req.url : "/"), "http://localhost");
+    return decodeURIComponent(pathname.split("/").filter(Boolean).pop() || "").trim();
+  } catch {
+    return "";
+  }
+}
+
+module.exports = async function handler(req, res) {
+  setHeaders(res);
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed." });
+  }
+
+  const key = readToolKey(req);
+  if (!key || key.length > 200) {
+    return res.status(400).json({ error: "Tool id or slug is required." });
+  }
+
+  try {
+    const sql = createSqlClient();
+    await ensureStoreReady(sql);
+    const tool = await getToolDetail(sql, key);
+    if (!tool) {
+      return res.status(404).json({ error: "Tool not found." });
+    }
+    return res.status(200).json(tool);
+  } catch (error) {
+    console.error("tool-detail api failure", {
+      error: error instanceof Error ? error.message : String(error)
+    });
+    return res.status(500).json({ error: "Unable to load tool details." });
+  }
+};
@@ -0,0 +1,84 @@
+"use strict";
+
+const { createSqlClient } = require("../../api/_link-store");
+const {
+  LATEST_SCHEMA_VERSION,
+  getAppliedMigrations,
+  applyMigrations,
+  rollbackMigrations
+} = require("../../api/_migrator");
+const { MIGRATIONS } = require("../../api/_migrations");
+
+const USAGE = [
+  "Usage: node scripts-and-test/db/migrate.js <command> [--to <version>]",
+  "",
+  "Commands:",
+  "  status          list applied and pending migrations",
+  "  up [--to N]     apply pending migrations (default: latest)",
+  "  down [--to N]   roll back migrations (default: one step)"
+].join("\n");
+
+function parseArgs(argv) {
+  const [command = "status", ...rest] = argv;
+  let targetVersion;
+  for (let index = 0; index < rest.length; index += 1) {
+    if (rest[index] === "--to") {
+      targetVersion = rest[index + 1];
+      index += 1;
+    } else if (rest[index].startsWith("--to=")) {
+      targetVersion = rest[index].slice("--to=".length);
+    } else {
+      throw new Error(`Unknown argument: ${rest[index]}`);
+    }
+  }
+  return { command, targetVersion };
+}
+
+async function printStatus(sql) {
+  const applied = await getAppliedMigrations(sql);
+  const appliedByVersion = new Map(applied.map((entry) => [entry.version, entry]));
+  const currentVersion = applied.length ? applied[applied.length - 1].version : 0;
+
+  console.log(`[migrate] schema_version=${currentVersion} latest=${LATEST_SCHEMA_VERSION}`);
+  for (const migration of MIGRATIONS) {
+    const entry = appliedByVersion.get(migration.version);
+    const label = String(migration.version).padStart(3, "0");
+    const state = entry ? `applied ${new Date(entry.appliedAt).toISOString()}` : "pending";
+    console.log(`  ${label} ${migration.name} ... ${state}`);
+  }
+}
+
+async function main() {
+  const { command, targetVersion } = parseArgs(process.argv.slice(2));
+  if (!["status", "up", "down"].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const sql = createSqlClient();
+
+  if (command === "status") {
+    await printStatus(sql);
+    return;
+  }
+
+  if (command === "up") {
+    const result = await applyMigrations(sql, { targetVersion });
+    for (const entry of result.applied) {
+      console.log(`[migrate] applied ${entry.version} ${entry.name}`);
+    }
+    console.log(`[migrate] schema_version ${result.fromVersion} -> ${result.toVersion}`);
+    return;
+  }
+
+  const result = await rollbackMigrations(sql, { targetVersion });
+  for (const entry of result.rolledBack) {
+    console.log(`[migrate] rolled back ${entry.version} ${entry.name}`);
+  }
+  console.log(`[migrate] schema_version ${result.fromVersion} -> ${result.toVersion}`);
+}
+
+main().catch((error) => {
+  console.error("[migrate] fatal", error instanceof Error ? error.message : String(error));
+  process.exit(1);
+});
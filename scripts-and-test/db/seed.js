@@ -0,0 +1,60 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { createSqlClient, ensureStoreReady } = require("../../api/_link-store");
+const { importSeedLinks } = require("../../api/_catalog-seed");
+
+const DEFAULT_SEED_FILE = path.join(__dirname, "..", "..", "public", "link-list.json");
+
+const USAGE = [
+  "Usage: node scripts-and-test/db/seed.js [--file <path>] [--dry-run]",
+  "",
+  "Options:",
+  "  --file <path>   JSON array in link-list.json format (default: public/link-list.json)",
+  "  --dry-run       validate and diff against the database without writing"
+].join("\n");
+
+function parseArgs(argv) {
+  let file = DEFAULT_SEED_FILE;
+  let dryRun = false;
+  for (let index = 0; index < argv.length; index += 1) {
+    if (argv[index] === "--dry-run") {
+      dryRun = true;
+    } else if (argv[index] === "--file") {
+      file = path.resolve(String(argv[index + 1] || ""));
+      index += 1;
+    } else if (argv[index].startsWith("--file=")) {
+      file = path.resolve(argv[index].slice("--file=".length));
+    } else {
+      throw new Error(`Unknown argument: ${argv[index]}\n${USAGE}`);
+    }
+  }
+  return { file, dryRun };
+}
+
+async function main() {
+  const { file, dryRun } = parseArgs(process.argv.slice(2));
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const sql = createSqlClient();
+  await ensureStoreReady(sql);
+  const result = await importSeedLinks(sql, entries, { dryRun });
+
+  const prefix = dryRun ? "[seed] (dry run)" : "[seed]";
+  for (const url of result.inserted) console.log(`${prefix} insert ${url}`);
+  for (const url of result.updated) console.log(`${prefix} update ${url}`);
+  for (const entry of result.invalid) {
+    console.log(`${prefix} invalid #${entry.index} ${entry.name}: ${entry.reason}`);
+  }
+  console.log(
+    `${prefix} ${path.relative(process.cwd(), file) || file}: ` +
+    `inserted=${result.insertedCount} updated=${result.updatedCount} ` +
+    `unchanged=${result.unchangedCount} invalid=${result.invalidCount}`
+  );
+}
+
+main().catch((error) => {
+  console.error("[seed] fatal", error instanceof Error ? error.message : String(error));
+  process.exit(1);
+});
@@ -2,6 +2,7 @@
 
 const { neon } = require("@neondatabase/serverless");
 const { toolsEnrich } = require("../../api/_tools-client");
+const { refreshCandidateScores } = require("../../api/_candidate-score");
 
 const ALLOWED_ABILITIES = new Set(["text", "image", "video", "audio", "code", "automation", "learning"]);
 
@@ -52,10 +53,6 @@ function normalizeAbilities(rawAbilities) {
   return normalized;
 }
 
-function abilitiesToCsv(rawAbilities) {
-  return normalizeAbilities(rawAbilities).join(",");
-}
-
 function deriveToolName(url, rawTitle) {
   const title = String(rawTitle || "").trim();
   if (title) {
@@ -191,7 +188,7 @@ async function markJobFailed(sql, jobId, maxAttempts, backoffBaseSec, errorMessa
 
 async function applyEnrichment(sql, job, result) {
   const checkedAt = new Date().toISOString();
-  const abilitiesCsv = abilitiesToCsv(result.abilities);
+  const abilities = normalizeAbilities(result.abilities);
   const featuresJson = JSON.stringify(result.features || {});
   const evidenceJson = JSON.stringify({
     method: "vps-worker-tools-enrich",
@@ -200,13 +197,13 @@ async function applyEnrichment(sql, job, result) {
   });
   const evidenceUrlsJson = JSON.stringify(result.sources || []);
 
-  await sql`
+  const candidateRows = await sql`
     UPDATE ai_candidate_links
     SET
       name = CASE WHEN ${result.name} <> '' THEN ${result.name} ELSE name END,
       final_url = CASE WHEN ${result.finalUrl} <> '' THEN ${result.finalUrl} ELSE final_url END,
       description = CASE WHEN ${result.description} <> '' THEN ${result.description} ELSE description END,
-      abilities_csv = CASE WHEN ${abilitiesCsv} <> '' THEN ${abilitiesCsv} ELSE abilities_csv END,
+      abilities = CASE WHEN cardinality(${abilities}::TEXT[]) > 0 THEN ${abilities}::TEXT[] ELSE abilities END,
       features_json = CASE WHEN ${featuresJson} <> '{}' THEN ${featuresJson} ELSE features_json END,
       pricing_text = CASE WHEN ${result.pricingText} <> '' THEN ${result.pricingText} ELSE pricing_text END,
       is_free = ${Boolean(result.isFree)},
@@ -223,7 +220,9 @@ async function applyEnrichment(sql, job, result) {
       last_checked_at = COALESCE(${checkedAt}::timestamptz, NOW()),
       updated_at = NOW()
     WHERE canonical_url = ${job.canonical_url}
+    RETURNING id
   `;
+  const candidateId = candidateRows[0] && candidateRows[0].id ? Number(candidateRows[0].id) : null;
 
   const mainRows = await sql`
     UPDATE ai_main_links
@@ -244,15 +243,18 @@ async function applyEnrichment(sql, job, result) {
   const toolId = mainRows[0] && mainRows[0].id ? Number(mainRows[0].id) : null;
 
   await sql`
-    INSERT INTO tool_checks (tool_id, checked_at, result_json, confidence, sources)
+    INSERT INTO tool_checks (tool_id, candidate_id, checked_at, result_json, confidence, sources)
     VALUES (
       ${toolId},
+      ${candidateId},
       COALESCE(${checkedAt}::timestamptz, NOW()),
       ${evidenceJson},
       ${result.confidence},
       ${evidenceUrlsJson}
     )
   `;
+
+  if (candidateId) await refreshCandidateScores(sql, [candidateId]);
 }
 
 async function runJob(sql, job, config) {
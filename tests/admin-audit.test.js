@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { summarizeForAudit, recordAdminAction, parseAuditQuery, listAuditLog } = require("../api/_admin-audit");
+
+test("summaries keep primitives, trim lists and flatten one level", () => {
+  const summary = summarizeForAudit({
+    ids: ["1", "2", { nested: true }],
+    reason: "x".repeat(400),
+    approvedCount: 2,
+    dryRun: false,
+    missing: null,
+    backup: { backupNumber: 7, backupFileName: "backup-7.json", links: [{ url: "https://a.dev" }] }
+  });
+  assert.deepEqual(Object.keys(summary), ["ids", "reason", "approvedCount", "dryRun", "backup.backupNumber", "backup.backupFileName"]);
+  assert.deepEqual(summary.ids, ["1", "2"]);
+  assert.equal(summary.reason.length, 300);
+  assert.equal(summary.dryRun, false);
+  assert.equal(summary["backup.backupNumber"], 7);
+  assert.deepEqual(summarizeForAudit(null), {});
+});
+
+test("actions are written with actor, outcome and request id", async () => {
+  const calls = [];
+  async function sql(strings, ...values) {
+    calls.push({ text: strings.join("$"), values });
+    return [];
+  }
+  const req = { headers: { "x-vercel-id": "iad1::abc" } };
+
+  assert.equal(await recordAdminAction(sql, req, {
+    actor: " Admin@Example.com ",
+    action: "candidates.approve",
+    params: { ids: ["4"] },
+    result: { ok: true, approvedCount: 1 }
+  }), true);
+  assert.match(calls[0].text, /INSERT INTO admin_audit_log/);
+  assert.deepEqual(calls[0].values, [
+    "admin@example.com",
+    "candidates.approve",
+    "ok",
+    "{\"ids\":[\"4\"]}",
+    "{\"ok\":true,\"approvedCount\":1}",
+    "iad1::abc"
+  ]);
+
+  await recordAdminAction(sql, {}, { actor: "a@b.c", action: "login", outcome: "bogus" });
+  assert.equal(calls[1].values[2], "ok");
+  assert.match(calls[1].values[5], /^[0-9a-f-]{36}$/);
+});
+
+test("audit write failures are swallowed", async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const failing = async () => {
+      throw new Error("relation does not exist");
+    };
+    assert.equal(await recordAdminAction(failing, {}, { actor: "a@b.c", action: "update-list" }), false);
+    assert.equal(await recordAdminAction(null, {}, { action: "update-list" }), false);
+    assert.equal(await recordAdminAction(failing, {}, { action: "" }), false);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("query parsing and keyset listing", async () => {
+  assert.equal(parseAuditQuery(new URLSearchParams("before=abc")).ok, false);
+  assert.deepEqual(parseAuditQuery(new URLSearchParams("")).query, { actor: "", action: "", before: "", limit: 50 });
+  assert.equal(parseAuditQuery(new URLSearchParams("limit=900")).query.limit, 200);
+
+  const calls = [];
+  async function sql(text, values) {
+    calls.push({ text: text.replace(/\s+/g, " ").trim(), values });
+    return [
+      { id: 12, actor_email: "a@b.c", action: "tags.save", outcome: "ok", params_json: "{\"key\":\"free\"}", result_json: "{}", request_id: "r1", created_at: "t" },
+      { id: 9, actor_email: "a@b.c", action: "tags.save", outcome: "failed", params_json: "bad", result_json: "{}", request_id: "r2", created_at: "t" }
+    ];
+  }
+  const parsed = parseAuditQuery(new URLSearchParams("actor=A@B.C&action=tags.save&before=20&limit=1"));
+  const result = await listAuditLog(sql, parsed.query);
+
+  assert.match(calls[0].text, /WHERE actor_email = \$1 AND action = \$2 AND id < \$3::BIGINT ORDER BY id DESC LIMIT \$4/);
+  assert.deepEqual(calls[0].values, ["a@b.c", "tags.save", "20", 2]);
+  assert.deepEqual(result.items.map((item) => item.id), ["12"]);
+  assert.deepEqual(result.items[0].params, { key: "free" });
+  assert.deepEqual(result.paging, { limit: 1, hasMore: true, nextBefore: "12" });
+});
@@ -0,0 +1,120 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.ADMIN_OWNER_EMAILS = "root@example.com";
+delete process.env.ADMIN_RECENT_AUTH_SECONDS;
+
+const { authorizeAdminRequest, setSessionCookie, issueCsrfToken, clearSessionCookie } = require("../api/_admin-auth");
+
+function createFakeStore() {
+  async function sql(strings) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    if (text.includes("FROM admin_sessions WHERE jti")) return [{ active: 1 }];
+    return [];
+  }
+  sql.transaction = async (queries) => Promise.all(queries);
+  return sql;
+}
+
+function createResponse() {
+  const cookies = [];
+  return {
+    cookies,
+    getHeader: () => (cookies.length ? [...cookies] : undefined),
+    setHeader: (name, value) => {
+      cookies.splice(0, cookies.length, ...[].concat(value));
+    }
+  };
+}
+
+function firstPart(cookie) {
+  return cookie.split(";")[0];
+}
+
+async function signIn(sql) {
+  const res = createResponse();
+  await setSessionCookie(res, { headers: {} }, { email: "root@example.com" }, { sql });
+  return firstPart(res.cookies[0]);
+}
+
+async function issueFor(sql, sessionCookie) {
+  const auth = await authorizeAdminRequest({ method: "GET", headers: { cookie: sessionCookie } }, "", { sql });
+  const res = createResponse();
+  const token = issueCsrfToken(res, {}, auth.user);
+  return { token, cookie: firstPart(res.cookies[0]), setCookie: res.cookies[0] };
+}
+
+function post(sessionCookie, csrfCookie, headerToken) {
+  const headers = { cookie: [sessionCookie, csrfCookie].filter(Boolean).join("; ") };
+  if (headerToken) headers["x-csrf-token"] = headerToken;
+  return { method: "POST", headers };
+}
+
+test("the CSRF token is issued as an HttpOnly cookie and must be echoed on POST", async () => {
+  const sql = createFakeStore();
+  const session = await signIn(sql);
+  const csrf = await issueFor(sql, session);
+
+  assert.match(csrf.setCookie, /^aicenghub_admin_csrf=[\w-]+; Max-Age=\d+; Path=\/; HttpOnly; SameSite=Strict$/);
+  assert.equal((await authorizeAdminRequest(post(session, csrf.cookie, csrf.token), "admin.read", { sql })).ok, true);
+
+  const missingHeader = await authorizeAdminRequest(post(session, csrf.cookie, ""), "admin.read", { sql });
+  assert.deepEqual([missingHeader.status, missingHeader.code], [403, "csrf_invalid"]);
+  assert.equal((await authorizeAdminRequest(post(session, "", csrf.token), "admin.read", { sql })).code, "csrf_invalid");
+  assert.equal((await authorizeAdminRequest(post(session, csrf.cookie, `${csrf.token}x`), "admin.read", { sql })).code, "csrf_invalid");
+
+  const getReq = { method: "GET", headers: { cookie: session } };
+  assert.equal((await authorizeAdminRequest(getReq, "admin.read", { sql })).ok, true);
+});
+
+test("a token from another session is rejected even when cookie and header agree", async () => {
+  const sql = createFakeStore();
+  const first = await signIn(sql);
+  const second = await signIn(sql);
+  const other = await issueFor(sql, second);
+
+  const result = await authorizeAdminRequest(post(first, other.cookie, other.token), "", { sql });
+  assert.equal(result.code, "csrf_invalid");
+});
+
+test("failures carry stable codes", async () => {
+  const sql = createFakeStore();
+  const anonymous = await authorizeAdminRequest({ method: "POST", headers: {} }, "", { sql });
+  assert.deepEqual([anonymous.status, anonymous.code], [401, "unauthorized"]);
+
+  const broken = await authorizeAdminRequest({ method: "GET", headers: { cookie: await signIn(sql) } }, "", {
+    sql: async () => {
+      throw new Error("db down");
+    }
+  });
+  assert.deepEqual([broken.status, broken.code], [503, "auth_unavailable"]);
+
+  const res = createResponse();
+  clearSessionCookie(res, {});
+  assert.deepEqual(res.cookies.map((cookie) => cookie.split("=")[0]), ["aicenghub_admin_session", "aicenghub_admin_csrf"]);
+});
+
+test("high-impact actions need a recent sign-in", async (t) => {
+  const sql = createFakeStore();
+  const session = await signIn(sql);
+  const csrf = await issueFor(sql, session);
+  const req = post(session, csrf.cookie, csrf.token);
+
+  assert.equal((await authorizeAdminRequest(req, "catalog.maintain", { sql, recentAuth: true })).ok, true);
+
+  const signedInAt = Date.now();
+  t.mock.method(Date, "now", () => signedInAt + 11 * 60 * 1000);
+  const stale = await authorizeAdminRequest(req, "catalog.maintain", { sql, recentAuth: true });
+  assert.deepEqual([stale.status, stale.code], [403, "reauth_required"]);
+  assert.equal((await authorizeAdminRequest(req, "catalog.maintain", { sql })).ok, true);
+
+  process.env.ADMIN_RECENT_AUTH_SECONDS = "3600";
+  try {
+    assert.equal((await authorizeAdminRequest(req, "catalog.maintain", { sql, recentAuth: true })).ok, true);
+  } finally {
+    delete process.env.ADMIN_RECENT_AUTH_SECONDS;
+  }
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.ADMIN_OWNER_EMAILS = "Root@Example.com";
+
+const { roleHasPermission, permissionsForRole, saveAdminUser, removeAdminUser } = require("../api/_admin-roles");
+const { authorizeAdminRequest, setSessionCookie } = require("../api/_admin-auth");
+
+// Sessions are always active here; revocation is covered in admin-sessions.test.js.
+function roleSql(roles) {
+  const calls = [];
+  async function sql(strings, ...values) {
+    const text = strings.join("$");
+    if (text.includes("admin_sessions")) return text.includes("SELECT 1") ? [{ active: 1 }] : [];
+    calls.push({ text, values });
+    const role = roles[values[0]];
+    return role ? [{ role }] : [];
+  }
+  sql.transaction = async (queries) => Promise.all(queries);
+  return { sql, calls };
+}
+
+async function sessionRequest(email) {
+  let cookie = "";
+  const res = { setHeader: (name, value) => { cookie = String(value).split(";")[0]; } };
+  await setSessionCookie(res, { headers: {} }, { email }, { sql: roleSql({}).sql });
+  return { headers: { cookie } };
+}
+
+test("moderators moderate candidates but cannot maintain the catalog or manage admins", () => {
+  assert.equal(roleHasPermission("moderator", "candidates.moderate"), true);
+  assert.equal(roleHasPermission("moderator", "catalog.maintain"), false);
+  assert.equal(roleHasPermission("moderator", "admins.manage"), false);
+  assert.equal(roleHasPermission("viewer", "admin.read"), true);
+  assert.equal(roleHasPermission("viewer", "candidates.moderate"), false);
+  assert.equal(roleHasPermission("owner", "admins.manage"), true);
+  assert.equal(roleHasPermission("admin", ""), false);
+  assert.deepEqual(permissionsForRole("moderator"), ["admin.read", "candidates.moderate"]);
+});
+
+test("requests are authorized by the role stored for the session email", async () => {
+  const { sql, calls } = roleSql({ "mod@example.com": "moderator" });
+  const req = await sessionRequest("Mod@Example.com");
+
+  const allowed = await authorizeAdminRequest(req, "candidates.moderate", { sql });
+  assert.equal(allowed.ok, true);
+  assert.equal(allowed.user.role, "moderator");
+  assert.deepEqual(calls[0].values, ["mod@example.com"]);
+
+  const forbidden = await authorizeAdminRequest(req, "catalog.maintain", { sql });
+  assert.deepEqual([forbidden.ok, forbidden.status], [false, 403]);
+
+  const removed = await authorizeAdminRequest(await sessionRequest("gone@example.com"), "", { sql });
+  assert.deepEqual([removed.ok, removed.status], [false, 401]);
+
+  const anonymous = await authorizeAdminRequest({ headers: {} }, "admin.read", { sql });
+  assert.deepEqual([anonymous.ok, anonymous.status], [false, 401]);
+});
+
+test("bootstrap owners need no admin_users row and lookup failures answer 503", async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const { sql, calls } = roleSql({});
+    const owner = await authorizeAdminRequest(await sessionRequest("root@example.com"), "admins.manage", { sql });
+    assert.equal(owner.ok, true);
+    assert.equal(owner.user.role, "owner");
+    assert.equal(calls.length, 0);
+
+    const failing = async () => {
+      throw new Error("connection refused");
+    };
+    const unavailable = await authorizeAdminRequest(await sessionRequest("mod@example.com"), "", { sql: failing });
+    assert.deepEqual([unavailable.ok, unavailable.status], [false, 503]);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test("role changes are validated and keep an owner", async () => {
+  const noop = async () => [];
+  assert.match((await saveAdminUser(noop, { email: "me@example.com", role: "viewer" }, "ME@example.com")).error, /own role/);
+  assert.match((await saveAdminUser(noop, { email: "root@example.com", role: "viewer" }, "me@example.com")).error, /ADMIN_OWNER_EMAILS/);
+  assert.match((await saveAdminUser(noop, { email: "x@example.com", role: "admin" }, "me@example.com")).error, /Role must be/);
+  assert.match((await saveAdminUser(noop, { email: "not-an-email", role: "viewer" }, "me@example.com")).error, /valid email/);
+
+  const calls = [];
+  async function sql(strings, ...values) {
+    calls.push({ text: strings.join("$"), values });
+    return [];
+  }
+  process.env.ADMIN_OWNER_EMAILS = "";
+  try {
+    assert.match((await saveAdminUser(sql, { email: "x@example.com", role: "viewer" }, "me@example.com")).error, /owner must remain/);
+    assert.match(calls[0].text, /ON CONFLICT \(email\) DO UPDATE/);
+    assert.deepEqual(calls[0].values, ["x@example.com", "viewer", "me@example.com", "me@example.com", false]);
+
+    assert.equal((await removeAdminUser(sql, "x@example.com", "me@example.com")).reason, "not_found");
+  } finally {
+    process.env.ADMIN_OWNER_EMAILS = "Root@Example.com";
+  }
+});
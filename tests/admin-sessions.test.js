@@ -0,0 +1,144 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.ADMIN_OWNER_EMAILS = "root@example.com";
+
+const { authorizeAdminRequest, endAdminSession, issueCsrfToken, setSessionCookie } = require("../api/_admin-auth");
+const { removeAdminUser } = require("../api/_admin-roles");
+
+function createFakeStore(roles) {
+  const sessions = new Map();
+  async function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    if (text.startsWith("DELETE FROM admin_sessions")) return [];
+    if (text.startsWith("INSERT INTO admin_sessions")) {
+      sessions.set(values[0], { email: values[1], userAgentHash: values[2], revokedReason: "" });
+      return [];
+    }
+    if (text.includes("FROM admin_sessions WHERE jti")) {
+      const session = sessions.get(values[0]);
+      return session && session.email === values[1] && !session.revokedReason ? [{ active: 1 }] : [];
+    }
+    if (text.startsWith("UPDATE admin_sessions")) {
+      const byEmail = text.includes("WHERE email");
+      const revoked = [...sessions.entries()].filter(([jti, session]) => (
+        !session.revokedReason && (byEmail ? session.email === values[1] : jti === values[1])
+      ));
+      revoked.forEach(([, session]) => {
+        session.revokedReason = values[0];
+      });
+      return revoked.map(([jti]) => ({ jti }));
+    }
+    if (text.includes("FROM admin_users")) {
+      return roles[values[0]] ? [{ role: roles[values[0]] }] : [];
+    }
+    if (text.startsWith("DELETE FROM admin_users")) {
+      const existed = Boolean(roles[values[0]]);
+      delete roles[values[0]];
+      return existed ? [{ email: values[0] }] : [];
+    }
+    return [];
+  }
+  sql.transaction = async (queries) => Promise.all(queries);
+  return { sql, sessions };
+}
+
+async function signIn(sql, email, userAgent = "Test Browser") {
+  let cookie = "";
+  const res = { setHeader: (name, value) => { cookie = String(value).split(";")[0]; } };
+  await setSessionCookie(res, { headers: { "user-agent": userAgent } }, { email }, { sql });
+  return { headers: { cookie } };
+}
+
+function tokenPayload(req) {
+  const token = decodeURIComponent(req.headers.cookie.split("=")[1]);
+  return JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+}
+
+test("sign-in records a session keyed by jti with a hashed user agent", async () => {
+  const { sql, sessions } = createFakeStore({ "mod@example.com": "moderator" });
+  const req = await signIn(sql, "mod@example.com");
+  const payload = tokenPayload(req);
+
+  assert.match(payload.jti, /^[0-9a-f-]{36}$/);
+  assert.equal(sessions.get(payload.jti).email, "mod@example.com");
+  assert.match(sessions.get(payload.jti).userAgentHash, /^[0-9a-f]{16}$/);
+  assert.notEqual(sessions.get(payload.jti).userAgentHash, "Test Browser");
+
+  const auth = await authorizeAdminRequest(req, "", { sql });
+  assert.equal(auth.ok, true);
+  assert.equal(auth.user.sessionId, payload.jti);
+});
+
+test("a revoked or unknown session is rejected even with a valid signature", async () => {
+  const { sql, sessions } = createFakeStore({ "mod@example.com": "moderator" });
+  const first = await signIn(sql, "mod@example.com");
+  const second = await signIn(sql, "mod@example.com", "Other Browser");
+
+  sessions.get(tokenPayload(first).jti).revokedReason = "logout";
+  assert.equal((await authorizeAdminRequest(first, "", { sql })).status, 401);
+  assert.equal((await authorizeAdminRequest(second, "", { sql })).ok, true);
+
+  const other = createFakeStore({ "mod@example.com": "moderator" });
+  assert.equal((await authorizeAdminRequest(second, "", { sql: other.sql })).status, 401);
+});
+
+test("losing admin access revokes every session of that email", async () => {
+  const roles = { "mod@example.com": "moderator", "viewer@example.com": "viewer" };
+  const { sql, sessions } = createFakeStore(roles);
+  await signIn(sql, "mod@example.com");
+  await signIn(sql, "mod@example.com", "Phone");
+  const viewer = await signIn(sql, "viewer@example.com");
+
+  const removed = await removeAdminUser(sql, "mod@example.com", "root@example.com");
+  assert.deepEqual(removed, { ok: true, email: "mod@example.com", revokedCount: 2 });
+  assert.equal((await authorizeAdminRequest(viewer, "", { sql })).ok, true);
+
+  const dropped = await signIn(sql, "viewer@example.com");
+  delete roles["viewer@example.com"];
+  assert.equal((await authorizeAdminRequest(dropped, "", { sql })).status, 401);
+  const reasons = [...sessions.values()].filter((session) => session.email === "viewer@example.com").map((session) => session.revokedReason);
+  assert.deepEqual(reasons, ["access-removed", "access-removed"]);
+});
+
+test("signing out revokes the current session even without a CSRF token", async () => {
+  const { sql, sessions } = createFakeStore({ "mod@example.com": "moderator" });
+  const current = await signIn(sql, "mod@example.com");
+  const other = await signIn(sql, "mod@example.com", "Phone");
+  const req = { method: "POST", headers: current.headers };
+
+  const outcome = await endAdminSession(req, "current", { sql });
+  assert.equal(outcome.code, "csrf_invalid");
+  assert.deepEqual(outcome.result, { revokedCount: 1 });
+  assert.equal(sessions.get(tokenPayload(current).jti).revokedReason, "logout");
+  assert.equal((await authorizeAdminRequest(current, "", { sql })).status, 401);
+  assert.equal((await authorizeAdminRequest(other, "", { sql })).ok, true);
+
+  const again = await endAdminSession(req, "current", { sql });
+  assert.equal(again.status, 401);
+  assert.deepEqual(again.result, { revokedCount: 0 });
+});
+
+test("signing out everywhere needs the CSRF token and otherwise ends only the current session", async () => {
+  const { sql, sessions } = createFakeStore({ "mod@example.com": "moderator" });
+  const current = await signIn(sql, "mod@example.com");
+  const phone = await signIn(sql, "mod@example.com", "Phone");
+  const laptop = await signIn(sql, "mod@example.com", "Laptop");
+
+  const forged = await endAdminSession({ method: "POST", headers: current.headers }, "all", { sql });
+  assert.equal(forged.ok, false);
+  assert.equal(forged.status, 403);
+  assert.deepEqual(forged.result, { revokedCount: 1 });
+  assert.equal(sessions.get(tokenPayload(phone).jti).revokedReason, "");
+
+  const auth = await authorizeAdminRequest(phone, "", { sql });
+  const token = issueCsrfToken({ setHeader() {} }, {}, auth.user);
+  const headers = { cookie: `${phone.headers.cookie}; aicenghub_admin_csrf=${token}`, "x-csrf-token": token };
+  const everywhere = await endAdminSession({ method: "POST", headers }, "all", { sql });
+  assert.equal(everywhere.ok, true);
+  assert.deepEqual(everywhere.result, { revokedCount: 2 });
+  assert.equal(sessions.get(tokenPayload(laptop).jti).revokedReason, "logout-everywhere");
+});
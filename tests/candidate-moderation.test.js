@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  validateCandidateEdit,
+  approveCandidates,
+  rejectCandidates,
+  updateCandidate
+} = require("../api/_link-store");
+
+function createFakeSql(handlers = {}) {
+  const calls = [];
+  function record(text, values) {
+    const normalized = text.replace(/\s+/g, " ").trim();
+    calls.push({ text: normalized, values });
+    for (const [prefix, result] of Object.entries(handlers)) {
+      if (normalized.includes(prefix)) return result;
+    }
+    return [];
+  }
+  async function sql(stringsOrText, ...values) {
+    if (typeof stringsOrText === "string") return record(stringsOrText, values[0] || []);
+    return record(stringsOrText.join("$"), values);
+  }
+  return { sql, calls };
+}
+
+test("candidate edits are validated and normalized", () => {
+  assert.equal(validateCandidateEdit({ name: "", pricing: "free" }).ok, false);
+  assert.equal(validateCandidateEdit({ name: "Tool", pricing: "gratis" }).ok, false);
+
+  const result = validateCandidateEdit({ name: " Tool ", pricing: "PAID", abilities: ["Image", "nope"], tags: ["wm"] });
+  assert.deepEqual(result.candidate, {
+    name: "Tool",
+    description: "",
+    abilities: ["image"],
+    pricing: "paid",
+    tags: ["watermarked"]
+  });
+});
+
+test("reject needs a reason and only touches pending rows", async () => {
+  const { sql, calls } = createFakeSql({ "UPDATE ai_candidate_links": [{ id: "4" }, { id: "9" }] });
+
+  assert.equal((await rejectCandidates(sql, ["4"], "  ", "admin@example.com")).ok, false);
+  assert.equal((await rejectCandidates(sql, ["x"], "spam")).ok, false);
+  assert.equal(calls.length, 0);
+
+  const result = await rejectCandidates(sql, ["4", "9", "4", "bogus"], "spam", "admin@example.com");
+  assert.deepEqual(result, { ok: true, rejectedCount: 2 });
+  assert.match(calls[0].text, /WHERE id = ANY\(\$::BIGINT\[\]\) AND status = 'pending'/);
+  assert.deepEqual(calls[0].values, ["spam", "admin@example.com", ["4", "9"]]);
+});
+
+test("approve reports not_found without taking a backup when nothing is pending", async () => {
+  const { sql, calls } = createFakeSql();
+  const result = await approveCandidates(sql, ["12"], "admin@example.com");
+
+  assert.equal(result.reason, "not_found");
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].values, [["12"]]);
+});
+
+test("edits of non-pending candidates are not_found", async () => {
+  const { sql } = createFakeSql();
+  const result = await updateCandidate(sql, "3", { name: "Tool", pricing: "free" });
+  assert.equal(result.reason, "not_found");
+});
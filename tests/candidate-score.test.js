@@ -0,0 +1,113 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { candidateSignalsFromRow, scoreCandidate, refreshCandidateScores } = require("../api/_candidate-score");
+
+const NOW = Date.parse("2026-03-01T00:00:00Z");
+
+function signals(overrides = {}) {
+  return {
+    discoveredCount: 1,
+    distinctSubmitters: 1,
+    httpStatus: 0,
+    verifiedAt: null,
+    evidenceSourceCount: 0,
+    abilityCount: 0,
+    description: "",
+    pendingEnrichment: false,
+    confidence: null,
+    ...overrides
+  };
+}
+
+test("a bare first sighting scores zero with no reasons", () => {
+  assert.deepEqual(scoreCandidate(signals(), NOW), { score: 0, reasons: [] });
+});
+
+test("signals add up and every point is explained", () => {
+  const result = scoreCandidate(signals({
+    discoveredCount: 4,
+    distinctSubmitters: 3,
+    httpStatus: 200,
+    verifiedAt: "2026-02-25T00:00:00Z",
+    evidenceSourceCount: 2,
+    abilityCount: 2,
+    description: "Generates product photos from a prompt.",
+    confidence: 0.8
+  }), NOW);
+
+  assert.equal(result.score, 12 + 10 + 15 + 10 + 10 + 8 + 5 + 12);
+  assert.equal(result.reasons.reduce((sum, reason) => sum + reason.points, 0), result.score);
+  assert.deepEqual(result.reasons[0], { signal: "http-status", points: 15, detail: "HTTP 200" });
+  assert.ok(result.reasons.some((reason) => reason.detail === "verified 4d ago"));
+});
+
+test("caps, penalties and the 0-100 clamp", () => {
+  const capped = scoreCandidate(signals({ discoveredCount: 50, distinctSubmitters: 40 }), NOW);
+  assert.equal(capped.score, 35);
+
+  const broken = scoreCandidate(signals({ httpStatus: 404, pendingEnrichment: true, abilityCount: 1 }), NOW);
+  assert.equal(broken.score, 0);
+  assert.deepEqual(broken.reasons.map((reason) => reason.signal), ["http-status", "pending-enrichment", "abilities"]);
+
+  const stale = scoreCandidate(signals({ verifiedAt: "2025-01-01T00:00:00Z" }), NOW);
+  assert.equal(stale.score, 4);
+  assert.match(stale.reasons[0].detail, /stale/);
+});
+
+test("placeholder descriptions earn nothing", () => {
+  const result = scoreCandidate(signals({ description: "Pending enrichment while live tools were unavailable." }), NOW);
+  assert.equal(result.score, 0);
+});
+
+test("signals are read from candidate rows", () => {
+  const row = {
+    discovered_count: 3,
+    submitter_ip_hashes: ["a", "b"],
+    http_status: 301,
+    verified_at: null,
+    evidence_json: JSON.stringify({ checkedSources: [{ ok: true }, { ok: false }, { ok: true }] }),
+    abilities: ["image"],
+    description: "x",
+    pending_enrichment: true,
+    latest_confidence: "0.7500"
+  };
+  assert.deepEqual(candidateSignalsFromRow(row), {
+    discoveredCount: 3,
+    distinctSubmitters: 2,
+    httpStatus: 301,
+    verifiedAt: null,
+    evidenceSourceCount: 2,
+    abilityCount: 1,
+    description: "x",
+    pendingEnrichment: true,
+    confidence: 0.75
+  });
+  assert.equal(candidateSignalsFromRow({ evidence_json: "{\"sources\":[\"a\"]}" }).evidenceSourceCount, 1);
+  assert.equal(candidateSignalsFromRow({ evidence_json: "not json" }).evidenceSourceCount, 0);
+});
+
+test("refresh writes every score in one update", async () => {
+  const calls = [];
+  async function sql(stringsOrText, ...values) {
+    if (typeof stringsOrText === "string") {
+      calls.push({ text: stringsOrText, values: values[0] });
+      return [{ id: 7, discovered_count: 2, http_status: 200, abilities: [] }];
+    }
+    calls.push({ text: stringsOrText.join("$"), values });
+    return [];
+  }
+
+  assert.deepEqual(await refreshCandidateScores(sql, ["x"]), { updatedCount: 0 });
+  assert.equal(calls.length, 0);
+
+  assert.deepEqual(await refreshCandidateScores(sql, ["7", "7"]), { updatedCount: 1 });
+  assert.match(calls[0].text, /candidate\.id = ANY\(\$1::BIGINT\[\]\)/);
+  assert.deepEqual(calls[0].values, [["7"]]);
+  assert.deepEqual(calls[1].values.slice(0, 2), [["7"], [19]]);
+
+  await refreshCandidateScores(sql);
+  assert.match(calls[2].text, /candidate\.status = 'pending'/);
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCandidateQuery, searchCandidates, _internals } = require("../api/_candidate-search");
+
+function parse(queryString) {
+  return parseCandidateQuery(new URLSearchParams(queryString));
+}
+
+test("defaults to all statuses, newest first", () => {
+  const parsed = parse("");
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.query, {
+    q: "",
+    status: "",
+    discoveredBy: "",
+    captureReason: "",
+    pendingEnrichment: null,
+    httpStatus: "",
+    sort: "newest",
+    limit: 40,
+    cursor: null
+  });
+  assert.equal(parse("status=all").query.status, "");
+  assert.equal(parse("limit=500").query.limit, 100);
+});
+
+test("validates filter values", () => {
+  assert.equal(parse("status=archived").ok, false);
+  assert.equal(parse("http_status=6xx").ok, false);
+  assert.equal(parse("pending_enrichment=maybe").ok, false);
+  assert.equal(parse("sort=name").ok, false);
+  assert.equal(parse("sort=quality_score").query.sort, "quality_score");
+  assert.equal(parse("pending_enrichment=1").query.pendingEnrichment, true);
+  assert.equal(parse("pending_enrichment=false").query.pendingEnrichment, false);
+});
+
+test("cursors are bound to their sort", () => {
+  const cursor = _internals.encodeCursor("discovered_count", [5, "12"]);
+  assert.deepEqual(parse(`sort=discovered_count&cursor=${cursor}`).query.cursor, [5, "12"]);
+  assert.equal(parse(`sort=last_seen_at&cursor=${cursor}`).ok, false);
+  assert.equal(parse("cursor=garbage").ok, false);
+});
+
+test("filters become parameterized clauses", () => {
+  const parsed = parse("q=50%25_off&status=pending&discovered_by=Juleha&capture_reason=verified-link&http_status=4xx&pending_enrichment=0");
+  const params = _internals.createParamList();
+  const clauses = _internals.buildFilterClauses(parsed.query, params);
+  assert.deepEqual(clauses, [
+    "status = $1",
+    "lower(discovered_by) = $2",
+    "lower(capture_reason) = $3",
+    "pending_enrichment = $4",
+    "http_status BETWEEN 400 AND 499",
+    "(lower(name) LIKE $5 OR lower(url) LIKE $5)"
+  ]);
+  assert.deepEqual(params.values, ["pending", "juleha", "verified-link", false, "%50\\%\\_off%"]);
+});
+
+test("search pages with a keyset cursor after the last row", async () => {
+  const calls = [];
+  const rows = [
+    { id: 9, name: "A", url: "https://a.dev", status: "pending", discovered_count: 7, created_key: "x" },
+    { id: 4, name: "B", url: "https://b.dev", status: "pending", discovered_count: 7, created_key: "y" },
+    { id: 2, name: "C", url: "https://c.dev", status: "pending", discovered_count: 3, created_key: "z" }
+  ];
+  async function sql(text, values) {
+    calls.push({ text: text.replace(/\s+/g, " ").trim(), values });
+    return text.includes("COUNT(*)") ? [{ count: 3 }] : rows;
+  }
+
+  const cursor = _internals.encodeCursor("discovered_count", [9, "20"]);
+  const parsed = parse(`sort=discovered_count&status=pending&limit=2&cursor=${cursor}`);
+  const result = await searchCandidates(sql, parsed.query);
+
+  assert.match(calls[0].text, /WHERE status = \$1 AND \(discovered_count, id\) < \(\$2::INT, \$3::BIGINT\)/);
+  assert.match(calls[0].text, /ORDER BY discovered_count DESC, id DESC LIMIT \$4/);
+  assert.deepEqual(calls[0].values, ["pending", 9, "20", 3]);
+  assert.doesNotMatch(calls[1].text, /discovered_count, id/);
+
+  assert.deepEqual(result.items.map((item) => item.id), ["9", "4"]);
+  assert.equal(result.paging.hasMore, true);
+  assert.equal(result.paging.total, 3);
+  assert.deepEqual(_internals.decodeCursor(result.paging.nextCursor, "discovered_count"), [7, "4"]);
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  renderJsonExport,
+  renderCsvExport,
+  renderAtomFeed,
+  buildExportFileName
+} = require("../api/_catalog-export");
+
+const LINKS = [
+  {
+    slug: "chatgpt",
+    name: "ChatGPT",
+    url: "https://chatgpt.com",
+    description: "Chat, write \"anything\", code",
+    abilities: ["text", "code"],
+    pricing: "free",
+    tags: ["free-tier"],
+    features: { models: 3 },
+    pricingText: "",
+    lastCheckedAt: null,
+    createdAt: "2026-02-01T10:00:00.000Z"
+  },
+  {
+    slug: "formula",
+    name: "=HYPERLINK(\"x\")",
+    url: "https://example.com/?a=1&b=<2>",
+    description: "Line one\nline two",
+    abilities: ["automation"],
+    pricing: "paid",
+    tags: [],
+    pricingText: "@ $20",
+    lastCheckedAt: "2026-03-04T05:06:07.000Z",
+    createdAt: "2026-01-01T00:00:00.000Z"
+  }
+];
+
+test("JSON export keeps only the link-list.json fields", () => {
+  const parsed = JSON.parse(renderJsonExport(LINKS));
+  assert.deepEqual(Object.keys(parsed[0]), ["name", "url", "description", "abilities", "pricing", "tags"]);
+  assert.deepEqual(parsed[0].abilities, ["text", "code"]);
+});
+
+test("CSV export quotes cells and neutralizes spreadsheet formulas", () => {
+  const csv = renderCsvExport(LINKS);
+  assert.equal(csv.charCodeAt(0), 0xfeff);
+  const lines = csv.replace(/^\uFEFF/, "").split("\r\n");
+
+  assert.equal(lines[0], "name,url,description,abilities,pricing,tags,pricing_text,last_checked_at");
+  assert.equal(lines[1], "ChatGPT,https://chatgpt.com,\"Chat, write \"\"anything\"\", code\",text;code,free,free-tier,,");
+  assert.match(lines[2], /^"'=HYPERLINK\(""x""\)",/);
+  assert.match(csv, /"Line one\nline two"/);
+  assert.match(csv, /,'@ \$20,2026-03-04T05:06:07.000Z\r\n$/);
+});
+
+test("Atom feed escapes markup and links entries to tool pages", () => {
+  const feed = renderAtomFeed(LINKS, { siteUrl: "https://hub.example/", updatedAt: "2026-02-01T10:00:00.000Z" });
+
+  assert.match(feed, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+  assert.match(feed, /<updated>2026-02-01T10:00:00.000Z<\/updated>/);
+  assert.match(feed, /<id>https:\/\/hub.example\/tool\/chatgpt<\/id>/);
+  assert.match(feed, /href="https:\/\/example.com\/\?a=1&amp;b=&lt;2&gt;"/);
+  assert.match(feed, /<title>=HYPERLINK\(&quot;x&quot;\)<\/title>/);
+  assert.match(feed, /<category term="automation"\/>/);
+  assert.equal((feed.match(/<entry>/g) || []).length, 2);
+});
+
+test("export file names carry the catalog date", () => {
+  assert.equal(buildExportFileName("csv", "2026-05-06T23:00:00.000Z"), "aicenghub-catalog-2026-05-06.csv");
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCatalogQuery, getCatalogFacets, _internals } = require("../api/_catalog-search");
+
+function parse(queryString) {
+  return parseCatalogQuery(new URLSearchParams(queryString));
+}
+
+test("defaults to pricing sort without a query and relevance with one", () => {
+  const empty = parse("");
+  assert.equal(empty.ok, true);
+  assert.equal(empty.query.sort, "pricing");
+  assert.equal(empty.query.limit, 48);
+
+  const searched = parse("q=Foto%20%20Gratis");
+  assert.equal(searched.query.q, "foto gratis");
+  assert.deepEqual(searched.query.tokens, ["foto", "gratis"]);
+  assert.equal(searched.query.sort, "relevance");
+});
+
+test("resolves filter aliases and clamps limit", () => {
+  const parsed = parse("ability=gambar&pricing=gratis&tag=wm&limit=999");
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.query.ability, "image");
+  assert.equal(parsed.query.pricing, "free");
+  assert.equal(parsed.query.tag, "watermarked");
+  assert.equal(parsed.query.limit, 200);
+  assert.equal(parse("ability=all").query.ability, "");
+});
+
+test("rejects unknown sorts and cursors from another sort", () => {
+  assert.equal(parse("sort=random").ok, false);
+
+  const cursor = _internals.encodeCursor("name", ["chatgpt", "12"]);
+  assert.deepEqual(parse(`sort=name&cursor=${cursor}`).query.cursor, ["chatgpt", "12"]);
+  assert.equal(parse(`sort=newest&cursor=${cursor}`).ok, false);
+  assert.equal(parse("cursor=not-a-cursor").ok, false);
+});
+
+test("search tokens OR together with their alias matches and escape LIKE wildcards", () => {
+  const { query } = parse("q=gratis%20100%25&ability=video");
+  const params = _internals.createParamList();
+  const clauses = _internals.buildFilterClauses(query, params);
+
+  assert.equal(clauses.length, 2);
+  assert.match(clauses[0], /^abilities @> ARRAY\[\$1\]::TEXT\[\]$/);
+  assert.match(clauses[1], / OR pricing_tier = \$\d+/);
+  assert.ok(params.values.includes("free"));
+  assert.ok(params.values.includes("%100\\%%"));
+});
+
+test("facet counts come from one aggregate query and zero-fill missing buckets", async () => {
+  const queries = [];
+  async function sql(strings) {
+    queries.push(strings.join("$"));
+    return [
+      { facet: "ability", value: "image", link_count: 12 },
+      { facet: "ability", value: "retired", link_count: 3 },
+      { facet: "pricing", value: "free", link_count: "30" }
+    ];
+  }
+
+  const facets = await getCatalogFacets(sql);
+  assert.equal(queries.length, 1);
+  assert.match(queries[0], /unnest\(abilities\)/);
+  assert.equal(facets.abilities.image, 12);
+  assert.equal(facets.abilities.text, 0);
+  assert.equal("retired" in facets.abilities, false);
+  assert.deepEqual(facets.pricing, { free: 30, trial: 0, paid: 0 });
+});
@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { prepareSeedEntries, importSeedLinks } = require("../api/_catalog-seed");
+
+const SEED = [
+  { name: "Sora", url: "https://openai.com/sora/", description: " Video ", abilities: ["video", "AUDIO"], pricing: "berbayar", tags: ["wm"] },
+  { name: "Sora 2", url: "https://openai.com/sora", abilities: ["video"], pricing: "paid" },
+  { name: "", url: "https://nameless.example" },
+  { name: "Local", url: "ftp://files.example", abilities: ["text"] },
+  { name: "Vague", url: "https://vague.example", abilities: ["everything"] },
+  { name: "Writer", url: "https://writer.example/#top", abilities: ["text"], pricing: "free", tags: [] }
+];
+
+function createFakeSql(existingRows) {
+  const writes = [];
+  async function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    if (text.startsWith("SELECT url, name")) return existingRows;
+    if (text.startsWith("SELECT slug")) return [];
+    writes.push({ text, values });
+    return [];
+  }
+  return { sql, writes };
+}
+
+test("normalizes entries and reports invalid rows, including repeated URLs", () => {
+  const { entries, invalid } = prepareSeedEntries(SEED);
+
+  assert.deepEqual(entries.map((entry) => entry.url), ["https://openai.com/sora", "https://writer.example"]);
+  assert.deepEqual(entries[0].abilities, ["video", "audio"]);
+  assert.equal(entries[0].pricing, "paid");
+  assert.deepEqual(entries[0].tags, ["watermarked"]);
+  assert.equal(entries[0].description, "Video");
+
+  assert.deepEqual(invalid.map((entry) => entry.index), [1, 2, 3, 4]);
+  assert.match(invalid[0].reason, /duplicate url, already defined by entry 0/);
+  assert.equal(prepareSeedEntries({}).invalid.length, 1);
+});
+
+test("classifies rows against the database and writes nothing on a dry run", async () => {
+  const { sql, writes } = createFakeSql([
+    { url: "https://openai.com/sora", name: "Sora", description: "Video", abilities: ["video", "audio"], pricing_tier: "paid", tags: ["watermarked"] }
+  ]);
+
+  const result = await importSeedLinks(sql, SEED, { dryRun: true });
+  assert.equal(result.dryRun, true);
+  assert.equal(result.insertedCount, 1);
+  assert.equal(result.updatedCount, 0);
+  assert.equal(result.unchangedCount, 1);
+  assert.equal(result.invalidCount, 4);
+  assert.equal(writes.length, 0);
+});
+
+test("inserts new rows with source seed and updates changed ones", async () => {
+  const { sql, writes } = createFakeSql([
+    { url: "https://openai.com/sora", name: "Sora", description: "Old", abilities: ["video"], pricing_tier: "paid", tags: [] }
+  ]);
+
+  const result = await importSeedLinks(sql, SEED);
+  assert.deepEqual(result.updated, ["https://openai.com/sora"]);
+  assert.deepEqual(result.inserted, ["https://writer.example"]);
+  assert.equal(writes.length, 2);
+  assert.match(writes[0].text, /^UPDATE ai_main_links .*source = 'seed'/);
+  assert.match(writes[1].text, /^INSERT INTO ai_main_links .*'seed'/);
+  assert.equal(writes[1].values[1], "writer");
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeIp, getClientIp, getClientKey, clientKeyForIp } = require("../api/_client-ip");
+
+function createReq(headers, remoteAddress) {
+  return { headers, socket: remoteAddress ? { remoteAddress } : undefined };
+}
+
+function withEnv(t, name, value) {
+  const previous = process.env[name];
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+  t.after(() => {
+    if (previous === undefined) delete process.env[name];
+    else process.env[name] = previous;
+  });
+}
+
+test("a direct client can't choose its address through X-Forwarded-For", (t) => {
+  withEnv(t, "VERCEL", undefined);
+  withEnv(t, "TRUSTED_PROXIES", undefined);
+  const req = createReq({ "x-forwarded-for": "1.1.1.1", "x-real-ip": "2.2.2.2" }, "198.51.100.4");
+  assert.equal(getClientIp(req), "198.51.100.4");
+});
+
+test("the right-most untrusted hop wins behind trusted proxies", (t) => {
+  withEnv(t, "VERCEL", undefined);
+  withEnv(t, "TRUSTED_PROXIES", "10.0.0.0/8, 192.0.2.10");
+  const req = createReq({ "x-forwarded-for": "1.1.1.1, 203.0.113.7, 192.0.2.10" }, "10.0.0.5");
+  assert.equal(getClientIp(req), "203.0.113.7");
+});
+
+test("a hop outside TRUSTED_PROXIES stops the walk", (t) => {
+  withEnv(t, "VERCEL", undefined);
+  withEnv(t, "TRUSTED_PROXIES", "10.0.0.0/8");
+  const req = createReq({ "x-forwarded-for": "203.0.113.7, 192.0.2.10" }, "10.0.0.5");
+  assert.equal(getClientIp(req), "192.0.2.10");
+});
+
+test("off Vercel the edge headers are ignored and x-real-ip needs a trusted peer", (t) => {
+  withEnv(t, "VERCEL", undefined);
+  withEnv(t, "TRUSTED_PROXIES", undefined);
+  const spoofed = createReq({
+    "x-forwarded-for": "203.0.113.7",
+    "x-vercel-forwarded-for": "6.6.6.6",
+    "x-real-ip": "203.0.113.7"
+  }, "10.0.0.5");
+  assert.equal(getClientIp(spoofed), "203.0.113.7");
+  assert.equal(getClientIp(createReq({ "x-vercel-forwarded-for": "6.6.6.6" }, "10.0.0.5")), "10.0.0.5");
+  assert.equal(getClientIp(createReq({ "x-real-ip": "203.0.113.8" }, "10.0.0.5")), "203.0.113.8");
+  assert.equal(getClientIp(createReq({ "x-real-ip": "203.0.113.8" }, "198.51.100.4")), "198.51.100.4");
+});
+
+test("on Vercel the edge headers stand in for the socket peer", (t) => {
+  withEnv(t, "VERCEL", "1");
+  withEnv(t, "TRUSTED_PROXIES", undefined);
+  const spoofed = createReq({
+    "x-forwarded-for": "1.1.1.1",
+    "x-vercel-forwarded-for": "203.0.113.9",
+    "x-real-ip": "203.0.113.9"
+  }, "10.0.0.5");
+  assert.equal(getClientIp(spoofed), "203.0.113.9");
+  assert.equal(getClientIp(createReq({ "x-real-ip": "203.0.113.10" })), "203.0.113.10");
+});
+
+test("a proxy in front of Vercel is skipped when it is trusted", (t) => {
+  withEnv(t, "VERCEL", "1");
+  const req = createReq({ "x-forwarded-for": "203.0.113.20, 198.51.100.1", "x-vercel-forwarded-for": "198.51.100.1" });
+  assert.equal(getClientIp(req, { trustedProxies: "198.51.100.0/24" }), "203.0.113.20");
+  assert.equal(getClientIp(req, { trustedProxies: "10.0.0.0/8" }), "198.51.100.1");
+});
+
+test("unknown or malformed addresses fall back to 0.0.0.0", (t) => {
+  withEnv(t, "VERCEL", undefined);
+  assert.equal(getClientIp(createReq({ "x-forwarded-for": "unknown, not-an-ip" })), "0.0.0.0");
+  assert.equal(getClientIp(createReq({})), "0.0.0.0");
+});
+
+test("normalizeIp strips ports, brackets, zones and IPv4 mapping", () => {
+  assert.equal(normalizeIp("203.0.113.5:443"), "203.0.113.5");
+  assert.equal(normalizeIp("[2001:DB8::1]:8443"), "2001:db8::1");
+  assert.equal(normalizeIp("fe80::1%eth0"), "fe80::1");
+  assert.equal(normalizeIp("::ffff:203.0.113.5"), "203.0.113.5");
+  assert.equal(normalizeIp("example.com"), "");
+});
+
+test("IPv6 clients share one key per /64", (t) => {
+  withEnv(t, "VERCEL", "1");
+  assert.equal(clientKeyForIp("2001:db8:abcd:12:1:2:3:4"), "2001:db8:abcd:12::/64");
+  assert.equal(clientKeyForIp("2001:db8::1"), "2001:db8:0:0::/64");
+  assert.equal(clientKeyForIp("64:ff9b::203.0.113.5"), "64:ff9b:0:0::/64");
+  assert.equal(clientKeyForIp("203.0.113.5"), "203.0.113.5");
+  assert.equal(
+    getClientKey(createReq({ "x-vercel-forwarded-for": "2001:db8:abcd:12:ffff::1" })),
+    getClientKey(createReq({ "x-vercel-forwarded-for": "2001:db8:abcd:12::9" }))
+  );
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  stripTrackingParams,
+  registrableDomain,
+  domainKey,
+  nameSimilarity,
+  createDuplicateIndex,
+  findDuplicates,
+  mergeDuplicateCandidate
+} = require("../api/_duplicate-detector");
+
+function createFakeSql(handlers = {}) {
+  const calls = [];
+  const transactions = [];
+  function record(text, values) {
+    const normalized = text.replace(/\s+/g, " ").trim();
+    calls.push({ text: normalized, values });
+    for (const [prefix, result] of Object.entries(handlers)) {
+      if (normalized.includes(prefix)) return result;
+    }
+    return [];
+  }
+  async function sql(stringsOrText, ...values) {
+    if (typeof stringsOrText === "string") return record(stringsOrText, values[0] || []);
+    return record(stringsOrText.join("$"), values);
+  }
+  sql.transaction = async (queries) => {
+    transactions.push(queries.length);
+    return Promise.all(queries);
+  };
+  return { sql, calls, transactions };
+}
+
+test("tracking parameters are stripped and the rest of the query kept", () => {
+  assert.equal(
+    stripTrackingParams("https://tool.ai/pricing?utm_source=x&plan=pro&ref=producthunt&fbclid=abc"),
+    "https://tool.ai/pricing?plan=pro"
+  );
+  assert.equal(stripTrackingParams("https://tool.ai/?gclid=1"), "https://tool.ai");
+  assert.equal(stripTrackingParams("not a url"), "");
+});
+
+test("registrable domains handle multi-label suffixes and hosting platforms", () => {
+  assert.equal(registrableDomain("app.tool.ai"), "tool.ai");
+  assert.equal(registrableDomain("www.tool.co.id"), "tool.co.id");
+  assert.equal(registrableDomain("demo.vercel.app"), "demo.vercel.app");
+  assert.equal(domainKey("https://www.tool.ai/login"), "tool.ai");
+});
+
+test("shared hosts are keyed by the path that identifies the tool", () => {
+  assert.equal(domainKey("https://github.com/OpenTalker/SadTalker/tree/main"), "github.com/opentalker/sadtalker");
+  assert.notEqual(domainKey("https://github.com/a/one"), domainKey("https://github.com/b/two"));
+  assert.equal(domainKey("https://github.com/"), "");
+  assert.equal(domainKey("https://play.google.com/store/apps/details?id=com.Tool.App"), "play.google.com?id=com.tool.app");
+});
+
+test("name similarity ignores case, punctuation and filler words", () => {
+  assert.equal(nameSimilarity("Zapier AI", "zapier"), 1);
+  assert.equal(nameSimilarity("Leonardo.Ai", "Leonardo"), 1);
+  assert.ok(nameSimilarity("Midjourney", "MidJournee") >= 0.85);
+  assert.ok(nameSimilarity("Runway", "Pika") < 0.5);
+  assert.equal(nameSimilarity("", "Tool"), 0);
+});
+
+test("duplicates are found against main links and other candidates", () => {
+  const index = createDuplicateIndex([
+    { kind: "main", id: 1, name: "Tool Studio", url: "https://tool.ai/" },
+    { kind: "main", id: 2, name: "Other", url: "https://other.dev/" },
+    { kind: "candidate", id: 7, name: "Tool Studio", url: "https://app.tool.ai/?utm_source=x" },
+    { kind: "candidate", id: 8, name: "Shortlink", url: "https://go.link/abc", finalUrl: "https://redirected.dev/" }
+  ]);
+
+  const matches = findDuplicates({ id: 7, name: "Tool Studio", url: "https://app.tool.ai/?utm_source=x" }, index);
+  assert.deepEqual(matches, [
+    { kind: "main", id: "1", name: "Tool Studio", url: "https://tool.ai/", reasons: ["same-domain", "similar-name"] }
+  ]);
+
+  const exact = findDuplicates({ id: 9, name: "Tool", url: "https://app.tool.ai/?ref=hn" }, index);
+  assert.equal(exact[0].kind, "candidate");
+  assert.equal(exact[0].id, "7");
+  assert.deepEqual(exact[0].reasons, ["same-url", "same-domain"]);
+
+  const redirected = findDuplicates({ id: 10, name: "Redirected", url: "https://redirected.dev/" }, index);
+  assert.equal(redirected[0].id, "8");
+  assert.deepEqual(redirected[0].reasons, ["same-final-url", "same-domain"]);
+
+  assert.deepEqual(findDuplicates({ id: 11, name: "Unrelated", url: "https://unrelated.io/" }, index), []);
+});
+
+test("merging into a candidate adds discovery counts and rejects the source", async () => {
+  const { sql, calls } = createFakeSql({
+    "SELECT id FROM ai_candidate_links WHERE id = $ AND status = 'pending'": [{ id: "5" }],
+    "SELECT id, name FROM ai_candidate_links": [{ id: "6", name: "Tool Studio" }],
+    "WITH source AS": [{ merged_count: 3 }]
+  });
+
+  assert.equal((await mergeDuplicateCandidate(sql, "5", { kind: "candidate", id: "5" })).ok, false);
+  assert.equal((await mergeDuplicateCandidate(sql, "5", { kind: "elsewhere", id: "6" })).ok, false);
+  assert.equal(calls.length, 0);
+
+  const result = await mergeDuplicateCandidate(sql, "5", { kind: "candidate", id: "6" }, "admin@example.com");
+  assert.deepEqual(result, { ok: true, target: { kind: "candidate", id: "6" }, mergedDiscoveredCount: 3 });
+  const merge = calls.find((call) => call.text.startsWith("WITH source AS"));
+  assert.match(merge.text, /SET status = 'rejected'/);
+  assert.match(merge.text, /WHERE id = \$ AND status = 'pending' AND EXISTS/);
+  assert.match(merge.text, /discovered_count = target\.discovered_count \+ source\.discovered_count/);
+  assert.match(merge.text, /WHERE target\.id = \$ AND target\.status = 'pending'/);
+  assert.match(merge.values[0], /Duplicate of candidate "Tool Studio" \(#6\)/);
+});
+
+test("merging into a main link rejects the candidate as already listed", async () => {
+  const { sql, calls } = createFakeSql({
+    "SELECT id FROM ai_candidate_links WHERE id = $ AND status = 'pending'": [{ id: "5" }],
+    "FROM ai_main_links": [{ id: "1", name: "Tool Studio" }],
+    "UPDATE ai_candidate_links": [{ id: "5" }]
+  });
+  const result = await mergeDuplicateCandidate(sql, "5", { kind: "main", id: "1" }, "admin@example.com");
+  assert.deepEqual(result, { ok: true, target: { kind: "main", id: "1" }, mergedDiscoveredCount: 0 });
+  const update = calls.find((call) => call.text.startsWith("UPDATE ai_candidate_links"));
+  assert.match(update.text, /SET status = 'rejected', rejection_reason = \$/);
+  assert.match(update.text, /WHERE id = \$ AND status = 'pending'/);
+  assert.match(update.values[0], /Duplicate of listed tool "Tool Studio" \(#1\)/);
+});
+
+test("a candidate merged by someone else in the meantime is not merged twice", async () => {
+  const { sql } = createFakeSql({
+    "SELECT id FROM ai_candidate_links WHERE id = $ AND status = 'pending'": [{ id: "5" }],
+    "SELECT id, name FROM ai_candidate_links": [{ id: "6", name: "Tool Studio" }],
+    "FROM ai_main_links": [{ id: "1", name: "Tool Studio" }]
+  });
+  for (const target of [{ kind: "main", id: "1" }, { kind: "candidate", id: "6" }]) {
+    const result = await mergeDuplicateCandidate(sql, "5", target, "admin@example.com");
+    assert.deepEqual(result, { ok: false, reason: "not_found", error: "Pending candidate not found." });
+  }
+});
+
+test("merging reports not_found for missing rows", async () => {
+  const { sql } = createFakeSql();
+  const result = await mergeDuplicateCandidate(sql, "5", { kind: "main", id: "1" });
+  assert.equal(result.reason, "not_found");
+});
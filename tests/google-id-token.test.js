@@ -0,0 +1,134 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { generateKeyPairSync, sign } = require("node:crypto");
+
+process.env.GOOGLE_OAUTH_CLIENT_ID = "client-123.apps.googleusercontent.com";
+
+const { createJwksKeySource, verifyGoogleIdTokenWithKeys } = require("../api/_google-id-token");
+const { verifyGoogleIdToken } = require("../api/_admin-auth");
+
+const AUDIENCE = process.env.GOOGLE_OAUTH_CLIENT_ID;
+const NOW = Date.parse("2026-04-01T12:00:00Z");
+const NOW_SECONDS = Math.floor(NOW / 1000);
+
+// A local stand-in for Google's issuer: it signs tokens and serves its public keys as JWKS.
+function createFakeIssuer() {
+  const keys = new Map();
+  const issuer = {
+    fetchCount: 0,
+    published: [],
+    addKey(kid) {
+      const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+      keys.set(kid, privateKey);
+      issuer.published.push({ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" });
+    },
+    async fetchJwks() {
+      issuer.fetchCount += 1;
+      return { jwks: { keys: [...issuer.published] }, maxAgeSeconds: 3600 };
+    },
+    signToken(kid, overrides = {}, header = {}) {
+      const payload = {
+        iss: "https://accounts.google.com",
+        aud: AUDIENCE,
+        sub: "1001",
+        email: "Admin@Example.com",
+        email_verified: true,
+        iat: NOW_SECONDS - 10,
+        exp: NOW_SECONDS + 3600,
+        ...overrides
+      };
+      const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+      const signingInput = `${encode({ alg: "RS256", kid, typ: "JWT", ...header })}.${encode(payload)}`;
+      const signature = sign("RSA-SHA256", Buffer.from(signingInput), keys.get(kid)).toString("base64url");
+      return `${signingInput}.${signature}`;
+    }
+  };
+  return issuer;
+}
+
+function clock(start) {
+  const state = { time: start };
+  return { now: () => state.time, advance: (ms) => { state.time += ms; } };
+}
+
+const issuer = createFakeIssuer();
+issuer.addKey("key-a");
+
+function verifyWith(token, keySource) {
+  return verifyGoogleIdTokenWithKeys(token, { audience: AUDIENCE, keySource, now: () => NOW });
+}
+
+test("a token signed by a published key verifies", async () => {
+  const keySource = createJwksKeySource({ fetchJwks: issuer.fetchJwks, now: () => NOW });
+  const result = await verifyWith(issuer.signToken("key-a"), keySource);
+  assert.equal(result.ok, true);
+  assert.equal(result.payload.email, "admin@example.com");
+  assert.equal(result.payload.sub, "1001");
+});
+
+test("claims and signatures are checked", async () => {
+  const keySource = createJwksKeySource({ fetchJwks: issuer.fetchJwks, now: () => NOW });
+  const reasonFor = async (token) => (await verifyWith(token, keySource)).reason;
+
+  assert.equal(await reasonFor(issuer.signToken("key-a", { aud: "someone-else" })), "aud_mismatch");
+  assert.equal(await reasonFor(issuer.signToken("key-a", { iss: "https://evil.example" })), "issuer_invalid");
+  assert.equal(await reasonFor(issuer.signToken("key-a", { exp: NOW_SECONDS - 120 })), "token_expired");
+  assert.equal(await reasonFor(issuer.signToken("key-a", { iat: NOW_SECONDS + 600 })), "token_not_yet_valid");
+  assert.equal(await reasonFor(issuer.signToken("key-a", { email_verified: false })), "email_not_verified");
+  assert.equal(await reasonFor(issuer.signToken("key-a", {}, { alg: "HS256" })), "invalid_google_token");
+  assert.equal(await reasonFor("not-a-jwt"), "invalid_google_token");
+
+  const [header, payload, signature] = issuer.signToken("key-a").split(".");
+  const forgedPayload = Buffer.from(JSON.stringify({
+    ...JSON.parse(Buffer.from(payload, "base64url").toString("utf8")),
+    email: "attacker@example.com"
+  })).toString("base64url");
+  assert.equal(await reasonFor(`${header}.${forgedPayload}.${signature}`), "signature_invalid");
+
+  assert.equal((await verifyWith(issuer.signToken("key-a", { aud: ["x", AUDIENCE], email_verified: "true" }), keySource)).ok, true);
+});
+
+test("keys are cached for max-age and refetched when a new kid appears", async () => {
+  const rotating = createFakeIssuer();
+  rotating.addKey("old");
+  const time = clock(NOW);
+  const keySource = createJwksKeySource({ fetchJwks: rotating.fetchJwks, now: time.now });
+  const verifyAt = (token) => verifyGoogleIdTokenWithKeys(token, { audience: AUDIENCE, keySource, now: () => NOW });
+
+  assert.equal((await verifyAt(rotating.signToken("old"))).ok, true);
+  assert.equal((await verifyAt(rotating.signToken("old"))).ok, true);
+  assert.equal(rotating.fetchCount, 1);
+
+  rotating.addKey("new");
+  assert.equal((await verifyAt(rotating.signToken("new"))).reason, "unknown_signing_key");
+  assert.equal(rotating.fetchCount, 1);
+
+  time.advance(61_000);
+  assert.equal((await verifyAt(rotating.signToken("new"))).ok, true);
+  assert.equal(rotating.fetchCount, 2);
+
+  time.advance(3600_000);
+  assert.equal((await verifyAt(rotating.signToken("old"))).ok, true);
+  assert.equal(rotating.fetchCount, 3);
+});
+
+test("JWKS failures surface as a distinct reason", async () => {
+  const keySource = createJwksKeySource({
+    fetchJwks: async () => {
+      throw new Error("network down");
+    }
+  });
+  assert.equal((await verifyWith(issuer.signToken("key-a"), keySource)).reason, "google_keys_unavailable");
+});
+
+test("verifyGoogleIdToken uses the injected key source", async () => {
+  const keySource = createJwksKeySource({ fetchJwks: issuer.fetchJwks, now: () => NOW });
+  const result = await verifyGoogleIdToken(issuer.signToken("key-a", { name: "Admin" }), { keySource, now: () => NOW });
+  assert.deepEqual(result, {
+    ok: true,
+    user: { sub: "1001", email: "admin@example.com", name: "Admin", picture: "" }
+  });
+  assert.equal((await verifyGoogleIdToken("", { keySource })).reason, "missing_token");
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildStrongEtag,
+  ifNoneMatchSatisfied,
+  setPublicCacheHeaders
+} = require("../api/_http-cache");
+const { getCatalogVersion } = require("../api/_link-store");
+
+function createRes() {
+  return {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[String(name).toLowerCase()] = value;
+    }
+  };
+}
+
+test("strong etags are quoted and change with their inputs", () => {
+  const etag = buildStrongEtag(["1700000000000-66", "video"]);
+  assert.match(etag, /^"[A-Za-z0-9_-]{32}"$/);
+  assert.equal(etag, buildStrongEtag(["1700000000000-66", "video"]));
+  assert.notEqual(etag, buildStrongEtag(["1700000000001-66", "video"]));
+});
+
+test("If-None-Match matches lists, weak validators and wildcard", () => {
+  const etag = buildStrongEtag(["v1"]);
+  const req = (value) => ({ headers: { "if-none-match": value } });
+
+  assert.equal(ifNoneMatchSatisfied(req(etag), etag), true);
+  assert.equal(ifNoneMatchSatisfied(req(`"other", W/${etag}`), etag), true);
+  assert.equal(ifNoneMatchSatisfied(req("*"), etag), true);
+  assert.equal(ifNoneMatchSatisfied(req("\"other\""), etag), false);
+  assert.equal(ifNoneMatchSatisfied({ headers: {} }, etag), false);
+});
+
+test("public cache headers let the edge cache and browsers revalidate", () => {
+  const res = createRes();
+  const lastModified = new Date("2026-01-02T03:04:05Z");
+  setPublicCacheHeaders(res, { etag: "\"abc\"", lastModified, sMaxAge: 60, staleWhileRevalidate: 600 });
+
+  assert.equal(res.headers["cache-control"], "public, max-age=0, must-revalidate, s-maxage=60, stale-while-revalidate=600");
+  assert.equal(res.headers.etag, "\"abc\"");
+  assert.equal(res.headers["last-modified"], "Fri, 02 Jan 2026 03:04:05 GMT");
+});
+
+test("catalog version moves with MAX(updated_at), row count and tag edits", async () => {
+  const rowsFor = (row) => async () => [row];
+  const base = await getCatalogVersion(rowsFor({ link_count: 66, last_updated_at: "2026-01-02T03:04:05Z" }));
+  const merged = await getCatalogVersion(rowsFor({ link_count: 67, last_updated_at: "2026-01-02T03:05:00Z" }));
+  const deleted = await getCatalogVersion(rowsFor({ link_count: 65, last_updated_at: "2026-01-02T03:04:05Z" }));
+  const retagged = await getCatalogVersion(rowsFor({ link_count: 66, last_updated_at: "2026-01-02T03:04:05Z", tag_count: 33, tags_updated_at: "2026-01-02T03:06:00Z" }));
+  const empty = await getCatalogVersion(rowsFor({ link_count: 0, last_updated_at: null }));
+
+  assert.equal(base.lastUpdatedAt.toISOString(), "2026-01-02T03:04:05.000Z");
+  assert.notEqual(base.version, merged.version);
+  assert.notEqual(base.version, deleted.version);
+  assert.notEqual(base.version, retagged.version);
+  assert.equal(retagged.lastUpdatedAt.toISOString(), "2026-01-02T03:06:00.000Z");
+  assert.equal(empty.version, "0-0-0-0");
+  assert.equal(empty.lastUpdatedAt, null);
+});
@@ -0,0 +1,213 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.ADMIN_SESSION_SECRET = "test-session-secret";
+process.env.ADMIN_OWNER_EMAILS = "root@example.com";
+process.env.ADMIN_PUBLIC_BASE_URL = "https://hub.example/";
+process.env.GOOGLE_OAUTH_CLIENT_ID = "client-123.apps.googleusercontent.com";
+process.env.GITHUB_OAUTH_CLIENT_ID = "gh-client";
+process.env.GITHUB_OAUTH_CLIENT_SECRET = "gh-secret";
+process.env.RESEND_API_KEY = "re_test";
+process.env.ADMIN_MAGIC_LINK_FROM = "AICENGHUB <admin@hub.example>";
+delete process.env.GOOGLE_OAUTH_CLIENT_SECRET;
+
+const {
+  listEnabledProviders,
+  verifyLoginCredential,
+  startOAuthLogin,
+  finishOAuthLogin,
+  requestMagicLink,
+  authorizeAdminRequest
+} = require("../api/_admin-auth");
+
+function createFakeStore() {
+  const sessions = new Map();
+  const magicLinks = new Map();
+  const audit = [];
+  async function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    if (text.startsWith("INSERT INTO admin_sessions")) {
+      sessions.set(values[0], { email: values[1] });
+      return [];
+    }
+    if (text.startsWith("INSERT INTO admin_audit_log")) {
+      audit.push({ actor: values[0], action: values[1], outcome: values[2] });
+      return [];
+    }
+    if (text.startsWith("INSERT INTO admin_magic_links")) {
+      magicLinks.set(values[0], { email: values[1], used: false });
+      return [{ jti: values[0] }];
+    }
+    if (text.startsWith("UPDATE admin_magic_links")) {
+      const link = magicLinks.get(values[0]);
+      if (!link || link.used || link.email !== values[1]) return [];
+      link.used = true;
+      return [{ jti: values[0] }];
+    }
+    return [];
+  }
+  sql.transaction = async (queries) => Promise.all(queries);
+  return { sql, sessions, magicLinks, audit };
+}
+
+function createResponse() {
+  const headers = {};
+  return {
+    cookies: () => [].concat(headers["set-cookie"] || []),
+    getHeader: (name) => headers[name.toLowerCase()],
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    }
+  };
+}
+
+function cookieHeader(res) {
+  return res.cookies().map((cookie) => cookie.split(";")[0]).join("; ");
+}
+
+function fakeGitHub(options = {}) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+    if (url === "https://github.com/login/oauth/access_token") return json({ access_token: "gho_test" });
+    if (url === "https://api.github.com/user") return json({ id: 42, login: "root", name: "Root", avatar_url: "" });
+    if (url === "https://api.github.com/user/emails") {
+      return json(options.emails || [
+        { email: "someone@elsewhere.example", primary: false, verified: true },
+        { email: "Root@Example.com", primary: true, verified: true }
+      ]);
+    }
+    return json({}, 404);
+  };
+  return { fetchImpl, calls };
+}
+
+function beginGitHubLogin() {
+  const res = createResponse();
+  const location = startOAuthLogin(res, { headers: {} }, "github");
+  const url = new URL(location);
+  return { url, req: { headers: { cookie: cookieHeader(res) } } };
+}
+
+test("enabled providers are advertised with their sign-in flow", () => {
+  assert.deepEqual(listEnabledProviders(), [
+    { id: "google", label: "Google", flow: "credential" },
+    { id: "github", label: "GitHub", flow: "redirect" },
+    { id: "magic-link", label: "Email link", flow: "email" }
+  ]);
+
+  process.env.GOOGLE_OAUTH_CLIENT_SECRET = "google-secret";
+  delete process.env.GITHUB_OAUTH_CLIENT_SECRET;
+  try {
+    assert.deepEqual(listEnabledProviders().map((provider) => `${provider.id}:${provider.flow}`), [
+      "google:redirect",
+      "magic-link:email"
+    ]);
+  } finally {
+    delete process.env.GOOGLE_OAUTH_CLIENT_SECRET;
+    process.env.GITHUB_OAUTH_CLIENT_SECRET = "gh-secret";
+  }
+});
+
+test("GitHub sign-in round-trips state and signs in the primary verified email", async () => {
+  const { url, req } = beginGitHubLogin();
+  assert.equal(url.origin + url.pathname, "https://github.com/login/oauth/authorize");
+  assert.equal(url.searchParams.get("redirect_uri"), "https://hub.example/api/admin-oauth");
+  assert.match(req.headers.cookie, /^aicenghub_admin_oauth=/);
+
+  const store = createFakeStore();
+  const github = fakeGitHub();
+  const res = createResponse();
+  const result = await finishOAuthLogin(res, req, { code: "abc", state: url.searchParams.get("state") }, {
+    sql: store.sql,
+    fetchImpl: github.fetchImpl
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.user.email, "root@example.com");
+  assert.equal(result.user.role, "owner");
+  assert.match(res.cookies()[0], /^aicenghub_admin_oauth=; Max-Age=0/);
+  assert.match(res.cookies()[1], /^aicenghub_admin_session=/);
+  assert.equal(store.sessions.size, 1);
+  assert.deepEqual(store.audit, [{ actor: "root@example.com", action: "login", outcome: "ok" }]);
+
+  const sessionReq = { headers: { cookie: res.cookies()[1].split(";")[0] } };
+  assert.equal((await authorizeAdminRequest(sessionReq, "admins.manage", { sql: async () => [{ active: 1 }] })).ok, true);
+});
+
+test("GitHub sign-in rejects a forged state, unverified emails and non-admins", async () => {
+  const store = createFakeStore();
+
+  const forged = beginGitHubLogin();
+  const mismatch = await finishOAuthLogin(createResponse(), forged.req, { code: "abc", state: "guessed" }, {
+    sql: store.sql,
+    fetchImpl: fakeGitHub().fetchImpl
+  });
+  assert.equal(mismatch.reason, "state_mismatch");
+
+  const noCookie = await finishOAuthLogin(createResponse(), { headers: {} }, { code: "abc", state: "" }, { sql: store.sql });
+  assert.equal(noCookie.reason, "state_mismatch");
+
+  const unverified = beginGitHubLogin();
+  const unverifiedResult = await finishOAuthLogin(createResponse(), unverified.req, {
+    code: "abc",
+    state: unverified.url.searchParams.get("state")
+  }, {
+    sql: store.sql,
+    fetchImpl: fakeGitHub({ emails: [{ email: "root@example.com", primary: true, verified: false }] }).fetchImpl
+  });
+  assert.equal(unverifiedResult.reason, "email_not_verified");
+
+  const outsider = beginGitHubLogin();
+  const outsiderResult = await finishOAuthLogin(createResponse(), outsider.req, {
+    code: "abc",
+    state: outsider.url.searchParams.get("state")
+  }, {
+    sql: store.sql,
+    fetchImpl: fakeGitHub({ emails: [{ email: "stranger@example.com", primary: true, verified: true }] }).fetchImpl
+  });
+  assert.equal(outsiderResult.reason, "not_authorized");
+  assert.equal(store.sessions.size, 0);
+  assert.deepEqual(store.audit, [{ actor: "stranger@example.com", action: "login", outcome: "denied" }]);
+});
+
+test("a magic link is emailed only to admins and works once", async () => {
+  const store = createFakeStore();
+  const sent = [];
+  const fetchImpl = async (url, init) => {
+    sent.push({ url, body: JSON.parse(init.body) });
+    return { ok: true, status: 200, json: async () => ({ id: "email-1" }) };
+  };
+
+  assert.deepEqual(await requestMagicLink({ headers: {} }, "stranger@example.com", { sql: store.sql, fetchImpl }), {
+    ok: true,
+    sent: false
+  });
+  assert.equal(sent.length, 0);
+  assert.equal((await requestMagicLink({ headers: {} }, "not-an-email", { sql: store.sql, fetchImpl })).reason, "invalid_email");
+
+  assert.deepEqual(await requestMagicLink({ headers: {} }, " Root@Example.com ", { sql: store.sql, fetchImpl }), {
+    ok: true,
+    sent: true
+  });
+  assert.equal(sent[0].url, "https://api.resend.com/emails");
+  assert.deepEqual(sent[0].body.to, ["root@example.com"]);
+  const link = /https:\/\/hub\.example\/admin\.html\?magic=(\S+)/.exec(sent[0].body.text);
+  assert.ok(link);
+  const token = decodeURIComponent(link[1]);
+
+  const cookieReq = { headers: { cookie: `aicenghub_admin_session=${encodeURIComponent(token)}` } };
+  assert.equal((await authorizeAdminRequest(cookieReq, "", { sql: async () => [{ active: 1 }] })).status, 401);
+
+  const first = await verifyLoginCredential("magic-link", token, { sql: store.sql });
+  assert.deepEqual(first, {
+    ok: true,
+    user: { sub: "email:root@example.com", email: "root@example.com", name: "", picture: "" }
+  });
+  assert.equal((await verifyLoginCredential("magic-link", token, { sql: store.sql })).reason, "magic_link_used_or_expired");
+  assert.equal((await verifyLoginCredential("magic-link", `${token}x`, { sql: store.sql })).reason, "invalid_magic_link");
+  assert.equal((await verifyLoginCredential("github", "code", { sql: store.sql })).reason, "unsupported_provider");
+});
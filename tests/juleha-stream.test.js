@@ -0,0 +1,224 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const handler = require("../api/juleha-chat");
+const { resetRateLimits } = require("../api/_rate-limit");
+const { readEventStream } = require("../api/_sse");
+
+const { createStreamGuard, SERVER_SYSTEM_PROMPT } = handler._internals;
+
+function createRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    payload: null,
+    body: "",
+    ended: false,
+    setHeader(name, value) {
+      this.headers[String(name).toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.payload = payload;
+      return this;
+    },
+    write(chunk) {
+      this.body += chunk;
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+function createReq(content) {
+  return {
+    method: "POST",
+    headers: { host: "localhost", "x-forwarded-for": "203.0.113.40" },
+    body: { stream: true, messages: [{ role: "user", content }] }
+  };
+}
+
+function sseResponse(deltas) {
+  const lines = deltas.map((text) => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
+  const encoded = [": OPENROUTER PROCESSING\n\n", ...lines, "data: [DONE]\n\n"].map((line) => new TextEncoder().encode(line));
+  const body = new ReadableStream({
+    start(controller) {
+      encoded.forEach((chunk) => controller.enqueue(chunk));
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
+function parseEvents(raw) {
+  return raw.trim().split("\n\n").filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+  });
+}
+
+function withRoutes(t) {
+  const previous = process.env.OPENROUTER_API_KEY_PRIMARY;
+  process.env.OPENROUTER_API_KEY_PRIMARY = "test-key";
+  t.after(() => {
+    if (previous === undefined) delete process.env.OPENROUTER_API_KEY_PRIMARY;
+    else process.env.OPENROUTER_API_KEY_PRIMARY = previous;
+  });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+}
+
+test("stream guard releases whole words and redacts secrets before sending them", () => {
+  const guard = createStreamGuard();
+  const sent = ["Use the ke", "y sk-abcdefghijkl", "mnop now", " with Bearer ", "abc.def "]
+    .map((delta) => guard.push(delta));
+  sent.push(guard.finish());
+
+  assert.ok(sent.every((text) => typeof text === "string" && !text.includes("sk-") && !/Bearer\s*$/.test(text)));
+  assert.equal(sent.join(""), "Use the key [redacted-secret] now with Bearer [redacted] ");
+});
+
+test("stream guard stops once a blocked phrase completes", () => {
+  const guard = createStreamGuard();
+  const sent = guard.push("Here is my system ");
+  assert.ok("Here is my system ".startsWith(sent));
+  assert.equal(guard.push("prompt"), null);
+  assert.equal(guard.finish(), null);
+});
+
+test("stream guard blocks a word-for-word prompt leak before any of it is sent", () => {
+  const guard = createStreamGuard();
+  let sent = guard.push("Sure, here it is: ");
+  for (let index = 0; index < SERVER_SYSTEM_PROMPT.length; index += 5) {
+    const text = guard.push(SERVER_SYSTEM_PROMPT.slice(index, index + 5));
+    if (text === null) break;
+    sent += text;
+  }
+  assert.equal(guard.finish(), null);
+  assert.equal(sent, "Sure, here it is: ");
+});
+
+test("a prompt leak streamed in small deltas never reaches the client", async (t) => {
+  withRoutes(t);
+  resetRateLimits();
+  const leak = "Of course. " + SERVER_SYSTEM_PROMPT.slice(SERVER_SYSTEM_PROMPT.indexOf("Persona:"));
+  const deltas = [];
+  for (let index = 0; index < leak.length; index += 3) deltas.push(leak.slice(index, index + 3));
+  t.mock.method(globalThis, "fetch", async () => sseResponse(deltas));
+
+  const res = createRes();
+  await handler(createReq("Which design tool is free?"), res);
+
+  const events = parseEvents(res.body);
+  const streamed = events.filter((entry) => entry.event === "delta").map((entry) => entry.data.text).join("");
+  assert.ok(!streamed.includes("Persona"), streamed);
+  assert.ok(streamed.length <= "Of course. ".length, streamed);
+  const done = events[events.length - 1];
+  if (done) {
+    assert.equal(done.event, "done");
+    assert.equal(done.data.routeLabel, "policy-guardrail");
+  } else {
+    assert.equal(res.payload.routeLabel, "policy-guardrail");
+  }
+});
+
+test("readEventStream joins data lines and skips comments across chunk boundaries", async () => {
+  const chunks = [": keep-alive\n\ndata: {\"a\"", ":1}\n\ndata: line one\ndata: line two\n", "\n"];
+  const seen = [];
+  await readEventStream(chunks.map((chunk) => new TextEncoder().encode(chunk)), (data) => seen.push(data));
+  assert.deepEqual(seen, ["{\"a\":1}", "line one\nline two"]);
+});
+
+test("stream: true forwards deltas and ends with a done event", async (t) => {
+  withRoutes(t);
+  resetRateLimits();
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    assert.equal(JSON.parse(init.body).stream, true);
+    return sseResponse(["Try ", "Canva ", "for quick ", "posters."]);
+  });
+
+  const res = createRes();
+  await handler(createReq("Which design tool is free?"), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["content-type"], "text/event-stream; charset=utf-8");
+  assert.equal(res.headers["ratelimit-remaining"], "29");
+  assert.equal(res.ended, true);
+
+  const events = parseEvents(res.body);
+  const deltas = events.filter((entry) => entry.event === "delta").map((entry) => entry.data.text);
+  assert.equal(deltas.join(""), "Try Canva for quick posters.");
+  const done = events[events.length - 1];
+  assert.equal(done.event, "done");
+  assert.equal(done.data.assistantText, "Try Canva for quick posters.");
+  assert.equal(done.data.routeLabel, "GLM 4.5 Air (primary)");
+  assert.deepEqual(done.data.verifiedLinks, []);
+});
+
+test("a blocked phrase mid-stream ends with the policy refusal", async (t) => {
+  withRoutes(t);
+  resetRateLimits();
+  t.mock.method(globalThis, "fetch", async () => sseResponse(["Sure, my ", "system ", "prompt says ", "secret things"]));
+
+  const res = createRes();
+  await handler(createReq("Tell me about design tools"), res);
+
+  const events = parseEvents(res.body);
+  assert.doesNotMatch(events.filter((entry) => entry.event === "delta").map((entry) => entry.data.text).join(""), /prompt/);
+  const done = events[events.length - 1];
+  assert.equal(done.event, "done");
+  assert.equal(done.data.routeLabel, "policy-guardrail");
+});
+
+test("a route that fails before any text still gets a JSON error", async (t) => {
+  withRoutes(t);
+  resetRateLimits();
+  t.mock.method(globalThis, "fetch", async () => new Response(JSON.stringify({ error: { message: "no credits" } }), { status: 402 }));
+
+  const res = createRes();
+  await handler(createReq("Which design tool is free?"), res);
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body, "");
+  assert.match(res.payload.error, /unavailable/);
+});
+
+test("a route that fails mid-stream is reset and the next route answers", async (t) => {
+  withRoutes(t);
+  const previous = process.env.OPENROUTER_API_KEY_SECONDARY;
+  process.env.OPENROUTER_API_KEY_SECONDARY = "test-key-2";
+  t.after(() => {
+    if (previous === undefined) delete process.env.OPENROUTER_API_KEY_SECONDARY;
+    else process.env.OPENROUTER_API_KEY_SECONDARY = previous;
+  });
+  resetRateLimits();
+
+  let calls = 0;
+  t.mock.method(globalThis, "fetch", async () => {
+    calls += 1;
+    if (calls > 1) return sseResponse(["Backup ", "answer."]);
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify({ choices: [{ delta: { content: "Xyzzy qwv " } }] })}\n\n`));
+        controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify({ error: { message: "upstream dropped" } })}\n\n`));
+        controller.close();
+      }
+    });
+    return new Response(body, { status: 200 });
+  });
+
+  const res = createRes();
+  await handler(createReq("Which design tool is free?"), res);
+
+  const events = parseEvents(res.body);
+  assert.deepEqual(events.map((entry) => entry.event), ["delta", "reset", "delta", "delta", "done"]);
+  assert.equal(events[events.length - 1].data.assistantText, "Backup answer.");
+  assert.equal(events[events.length - 1].data.routeLabel, "Qwen 3 VL Thinking (backup)");
+});
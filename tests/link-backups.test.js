@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { reserveBackupNumber, rowToLink } = require("../api/_link-store");
+const { diffLinkSnapshots, restoreBackup } = require("../api/_link-backups");
+
+const BACKUP_LINKS = [
+  { name: "Alpha", url: "https://alpha.example", description: "A", abilities: ["text"], pricing_tier: "free", tags: [] },
+  { name: "Beta", url: "https://beta.example/", description: "B", abilities: ["image"], pricing_tier: "paid", tags: [] },
+  { name: "Gamma", url: "https://gamma.example", description: "G", abilities: ["video"], pricing_tier: "trial", tags: [], last_checked_at: "2026-01-01T00:00:00.000Z" }
+].map(rowToLink);
+
+const LIVE_ROWS = [
+  { url: "https://alpha.example", slug: "alpha", name: "Alpha", description: "A", abilities: ["text", "code"], pricing_tier: "free", tags: [] },
+  { url: "https://gamma.example", slug: "gamma", name: "Gamma", description: "G", abilities: ["video"], pricing_tier: "trial", tags: [], last_checked_at: "2026-02-01T00:00:00.000Z" },
+  { url: "https://delta.example", slug: "beta", name: "Delta", description: "D", abilities: ["audio"], pricing_tier: "free", tags: [] }
+];
+
+function createFakeSql(latestBackupNumber = 30) {
+  const transactions = [];
+  async function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    if (text.startsWith("SELECT") && text.includes("FROM ai_link_backups WHERE backup_number")) {
+      return [{ backup_number: 4, created_at: "2026-03-01T00:00:00.000Z", snapshot_json: JSON.stringify(BACKUP_LINKS), size_bytes: 10, link_count: 3 }];
+    }
+    if (text.includes("FROM ai_link_backups ORDER BY created_at DESC")) return [{ backup_number: latestBackupNumber }];
+    if (text.startsWith("SELECT url, slug")) return LIVE_ROWS;
+    if (text.includes("FROM ai_main_links ORDER BY LOWER(name)")) return LIVE_ROWS;
+    if (text.includes("COUNT(*)::INT AS link_count")) return [{ link_count: 3, tag_count: 0 }];
+    return { text, values };
+  }
+  sql.transaction = async (queries) => {
+    transactions.push(await Promise.all(queries));
+    return [];
+  };
+  return { sql, transactions };
+}
+
+test("diff reports added, removed and changed tools keyed by normalized URL", () => {
+  const liveLinks = [
+    { ...BACKUP_LINKS[0], abilities: ["text", "code"] },
+    { ...BACKUP_LINKS[2], lastCheckedAt: "2026-02-01T00:00:00.000Z" },
+    { name: "Delta", url: "https://delta.example", abilities: ["audio"], pricing: "free", tags: [] }
+  ];
+
+  const diff = diffLinkSnapshots(BACKUP_LINKS, liveLinks);
+  assert.deepEqual(diff.added, [{ url: "https://delta.example", name: "Delta" }]);
+  assert.deepEqual(diff.removed, [{ url: "https://beta.example", name: "Beta" }]);
+  assert.deepEqual(diff.changed, [
+    { url: "https://alpha.example", name: "Alpha", fields: [{ field: "abilities", backup: ["text"], live: ["text", "code"] }] }
+  ]);
+  assert.equal(diff.unchangedCount, 1);
+});
+
+test("backup slots rotate after the most recent one", async () => {
+  const { sql } = createFakeSql();
+  assert.equal(await reserveBackupNumber(sql), 1);
+});
+
+test("restore backs up the live list and replaces it in one transaction", async () => {
+  const { sql, transactions } = createFakeSql();
+  const result = await restoreBackup(sql, "4");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.safetyBackup.backupNumber, 1);
+  assert.deepEqual([result.addedCount, result.removedCount, result.changedCount], [1, 1, 1]);
+
+  assert.equal(transactions.length, 1);
+  const [queries] = transactions;
+  assert.match(queries[0].text, /^DELETE FROM ai_link_backups/);
+  assert.match(queries[1].text, /^INSERT INTO ai_link_backups/);
+  assert.equal(JSON.parse(queries[1].values[1]).length, 3);
+  assert.match(queries[2].text, /^DELETE FROM ai_main_links WHERE NOT/);
+  assert.deepEqual(queries[2].values[0], ["https://alpha.example", "https://beta.example", "https://gamma.example"]);
+
+  const upserts = queries.slice(3);
+  assert.equal(upserts.length, 3);
+  // Delta is deleted earlier in the same transaction, so Beta can take back the "beta" slug.
+  assert.deepEqual(upserts.map((query) => query.values[1]), ["alpha", "beta", "gamma"]);
+});
+
+test("restoring the oldest slot keeps it and puts the safety backup in the next one", async () => {
+  const { sql, transactions } = createFakeSql(30);
+  assert.equal(await reserveBackupNumber(sql, { skip: 1 }), 2);
+
+  const result = await restoreBackup(sql, "1");
+  assert.equal(result.ok, true);
+  assert.equal(result.safetyBackup.backupNumber, 2);
+  const [queries] = transactions;
+  assert.deepEqual(queries[0].values, [2]);
+  assert.equal(queries[1].values[0], 2);
+  assert.ok(queries.every((query) => !(/ai_link_backups/.test(query.text) && query.values[0] === 1)));
+});
+
+test("restore rejects unknown input before touching the database", async () => {
+  const { sql, transactions } = createFakeSql();
+  assert.equal((await restoreBackup(sql, "nope")).ok, false);
+  assert.equal(transactions.length, 0);
+});
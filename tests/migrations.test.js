@@ -0,0 +1,126 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MIGRATIONS, LATEST_SCHEMA_VERSION } = require("../api/_migrations");
+const {
+  applyMigrations,
+  rollbackMigrations,
+  assertSchemaCurrent,
+  resetSchemaVersionCache
+} = require("../api/_migrator");
+const { slugify } = require("../api/_link-store");
+
+function createFakeSql() {
+  const state = {
+    hasMigrationsTable: false,
+    versions: new Map(),
+    transactions: []
+  };
+
+  function run(query) {
+    const { text, values } = query;
+    if (text.startsWith("CREATE TABLE IF NOT EXISTS schema_migrations")) {
+      state.hasMigrationsTable = true;
+      return [];
+    }
+    if (text.startsWith("SELECT COALESCE(MAX(version), 0)")) {
+      if (!state.hasMigrationsTable) {
+        const error = new Error("relation \"schema_migrations\" does not exist");
+        error.code = "42P01";
+        throw error;
+      }
+      return [{ version: Math.max(0, ...state.versions.keys()) }];
+    }
+    if (text.startsWith("SELECT version, name, applied_at")) {
+      return [...state.versions.entries()].map(([version, name]) => ({ version, name, applied_at: new Date() }));
+    }
+    if (text.startsWith("INSERT INTO schema_migrations")) {
+      state.versions.set(values[0], values[1]);
+      return [];
+    }
+    if (text.startsWith("DELETE FROM schema_migrations")) {
+      state.versions.delete(values[0]);
+      return [];
+    }
+    return [];
+  }
+
+  function sql(strings, ...values) {
+    const query = { text: strings.join("$").replace(/\s+/g, " ").trim(), values };
+    query.then = (resolve, reject) => Promise.resolve().then(() => run(query)).then(resolve, reject);
+    return query;
+  }
+
+  sql.transaction = async (queries) => {
+    state.transactions.push(queries.map((query) => query.text));
+    return queries.map((query) => run(query));
+  };
+
+  return { sql, state };
+}
+
+test("migration registry is numbered contiguously from 1", () => {
+  assert.equal(LATEST_SCHEMA_VERSION, MIGRATIONS.length);
+  MIGRATIONS.forEach((migration, index) => {
+    assert.equal(migration.version, index + 1);
+    assert.equal(typeof migration.name, "string");
+  });
+});
+
+test("request path rejects an unmigrated database", async () => {
+  resetSchemaVersionCache();
+  const { sql } = createFakeSql();
+  await assert.rejects(() => assertSchemaCurrent(sql), /schema is at version 0/);
+});
+
+test("applyMigrations records each version inside its own transaction", async () => {
+  resetSchemaVersionCache();
+  const { sql, state } = createFakeSql();
+
+  const result = await applyMigrations(sql);
+  assert.equal(result.fromVersion, 0);
+  assert.equal(result.toVersion, LATEST_SCHEMA_VERSION);
+  assert.equal(state.transactions.length, MIGRATIONS.length);
+  for (const statements of state.transactions) {
+    assert.match(statements[statements.length - 1], /^INSERT INTO schema_migrations/);
+  }
+
+  assert.equal(await assertSchemaCurrent(sql), LATEST_SCHEMA_VERSION);
+
+  const again = await applyMigrations(sql);
+  assert.equal(again.applied.length, 0);
+});
+
+test("rollbackMigrations runs down() and forgets the version", async () => {
+  resetSchemaVersionCache();
+  const { sql, state } = createFakeSql();
+  await applyMigrations(sql);
+
+  const result = await rollbackMigrations(sql, { targetVersion: 0 });
+  assert.equal(result.toVersion, 0);
+  assert.equal(result.rolledBack.length, MIGRATIONS.length);
+  assert.equal(state.versions.size, 0);
+  await assert.rejects(() => assertSchemaCurrent(sql), /Run "npm run db:migrate"/);
+});
+
+test("the slug backfill uses slugify and suffixes repeats after every base is claimed", async () => {
+  const rows = [
+    { id: "1", name: "ChatGPT" },
+    { id: "2", name: "ChatGPT" },
+    { id: "3", name: "ChatGPT 2" },
+    { id: "4", name: "Café AI" }
+  ];
+  const queries = [];
+  function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    queries.push({ text, values });
+    return text.startsWith("SELECT id, name FROM ai_main_links") ? Promise.resolve(rows) : { text, values };
+  }
+
+  const statements = await MIGRATIONS[2].up(sql);
+  const backfill = statements.find((statement) => statement.text.startsWith("UPDATE ai_main_links"));
+  assert.deepEqual(backfill.values, [["1", "3", "4", "2"], ["chatgpt", "chatgpt-2", "cafe-ai", "chatgpt-3"]]);
+  assert.equal(backfill.values[1][2], slugify("Café AI"));
+});
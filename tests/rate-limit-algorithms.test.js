@@ -0,0 +1,146 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createMemoryRateLimitStore,
+  setRateLimitStore,
+  consumeRateLimit,
+  resetRateLimits
+} = require("../api/_rate-limit");
+
+const LIMIT = 10;
+const WINDOW_MS = 60_000;
+// On a window boundary, where the sliding window counter starts its windows.
+const START = 1_800_000_000_000 - (1_800_000_000_000 % WINDOW_MS);
+
+function useClock(t) {
+  const clock = { time: START };
+  t.mock.method(Date, "now", () => clock.time);
+  resetRateLimits();
+  setRateLimitStore(createMemoryRateLimitStore());
+  return clock;
+}
+
+function consume(algorithm, extra = {}) {
+  return consumeRateLimit({ key: "chat:203.0.113.10", limit: LIMIT, windowMs: WINDOW_MS, algorithm, ...extra });
+}
+
+async function burst(algorithm, count, extra) {
+  const results = [];
+  for (let index = 0; index < count; index += 1) results.push(await consume(algorithm, extra));
+  return results;
+}
+
+const allowedCount = (results) => results.filter((result) => result.allowed).length;
+
+test.afterEach(() => resetRateLimits());
+
+test("fixed window lets a burst through on each side of the boundary", async (t) => {
+  const clock = useClock(t);
+  await consume("fixed-window");
+  clock.time = START + WINDOW_MS - 1000;
+  assert.equal(allowedCount(await burst("fixed-window", LIMIT)), LIMIT - 1);
+  clock.time = START + WINDOW_MS + 1000;
+  assert.equal(allowedCount(await burst("fixed-window", LIMIT)), LIMIT);
+});
+
+test("sliding log allows at most the limit in any window-long span", async (t) => {
+  const clock = useClock(t);
+  clock.time = START + WINDOW_MS - 1000;
+  const first = await burst("sliding-log", LIMIT + 1);
+  assert.equal(allowedCount(first), LIMIT);
+  assert.equal(first[LIMIT - 1].remaining, 0);
+  assert.equal(first[LIMIT].retryAfterSec, 60);
+  assert.equal(first[LIMIT].resetAt, clock.time + WINDOW_MS);
+
+  clock.time = START + WINDOW_MS + 1000;
+  assert.equal(allowedCount(await burst("sliding-log", LIMIT)), 0);
+
+  clock.time = START + 2 * WINDOW_MS - 1000;
+  const later = await burst("sliding-log", LIMIT + 1);
+  assert.equal(allowedCount(later), LIMIT);
+});
+
+test("sliding log frees quota hit by hit", async (t) => {
+  const clock = useClock(t);
+  for (let index = 0; index < LIMIT; index += 1) {
+    clock.time = START + index * 1000;
+    await consume("sliding-log");
+  }
+  const denied = await consume("sliding-log");
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfterSec, 51);
+
+  clock.time = START + WINDOW_MS;
+  assert.equal((await consume("sliding-log")).allowed, true);
+  assert.equal((await consume("sliding-log")).allowed, false);
+});
+
+test("sliding window counter weighs the previous window across the boundary", async (t) => {
+  const clock = useClock(t);
+  clock.time = START + WINDOW_MS - 1000;
+  assert.equal(allowedCount(await burst("sliding-window", LIMIT)), LIMIT);
+
+  // 1s into the next window the previous 10 hits still count as 10 * 59/60.
+  clock.time = START + WINDOW_MS + 1000;
+  const across = await burst("sliding-window", LIMIT);
+  assert.equal(allowedCount(across), 0);
+  assert.equal(across[0].remaining, 0);
+  assert.equal(across[0].retryAfterSec, 5);
+  assert.equal(across[0].resetAt, START + 2 * WINDOW_MS);
+
+  // Halfway through, half of the previous window has slid out.
+  clock.time = START + WINDOW_MS + WINDOW_MS / 2;
+  assert.equal(allowedCount(await burst("sliding-window", LIMIT)), LIMIT / 2);
+});
+
+test("token bucket allows one full burst, then only the refill rate", async (t) => {
+  const clock = useClock(t);
+  clock.time = START + WINDOW_MS - 1000;
+  const first = await burst("token-bucket", LIMIT + 1);
+  assert.equal(allowedCount(first), LIMIT);
+  assert.equal(first[LIMIT].retryAfterSec, 6);
+  assert.equal(first[LIMIT].resetAt, clock.time + WINDOW_MS);
+
+  // Default refill is the limit spread over the window: one token every 6 seconds.
+  clock.time += 2000;
+  assert.equal(allowedCount(await burst("token-bucket", LIMIT)), 0);
+  clock.time += 4000;
+  assert.equal(allowedCount(await burst("token-bucket", LIMIT)), 1);
+
+  clock.time += 10_000;
+  assert.equal(allowedCount(await burst("token-bucket", LIMIT, { refillPerSec: 0.5 })), 5);
+});
+
+test("weighted steps only count when they fit, for every algorithm", async (t) => {
+  for (const algorithm of ["fixed-window", "sliding-log", "sliding-window", "token-bucket"]) {
+    useClock(t);
+    assert.equal((await consume(algorithm, { weight: 7 })).remaining, 3, algorithm);
+    const denied = await consume(algorithm, { weight: 4 });
+    assert.deepEqual([denied.allowed, denied.remaining], [false, 3], algorithm);
+    assert.ok(denied.retryAfterSec >= 1, algorithm);
+    assert.equal((await consume(algorithm, { weight: 3 })).remaining, 0, algorithm);
+    t.mock.restoreAll();
+  }
+});
+
+test("the algorithm defaults to RATE_LIMIT_ALGORITHM, then the fixed window", async (t) => {
+  const clock = useClock(t);
+  await consume(undefined);
+  clock.time = START + WINDOW_MS - 1000;
+  await burst(undefined, LIMIT);
+  clock.time = START + WINDOW_MS + 1000;
+  assert.equal(allowedCount(await burst(undefined, LIMIT)), LIMIT);
+
+  process.env.RATE_LIMIT_ALGORITHM = "sliding-window";
+  try {
+    clock.time = START + 3 * WINDOW_MS - 1000;
+    await burst(undefined, LIMIT);
+    clock.time = START + 3 * WINDOW_MS + 1000;
+    assert.equal((await consume(undefined)).allowed, false);
+  } finally {
+    delete process.env.RATE_LIMIT_ALGORITHM;
+  }
+});
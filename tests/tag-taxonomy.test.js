@@ -0,0 +1,84 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  loadTagTaxonomy,
+  resetTagTaxonomyCache,
+  normalizeTags,
+  resolveTagKey,
+  validateTagInput,
+  saveTag
+} = require("../api/_link-store");
+
+const TAG_ROWS = [
+  { key: "open-source", label_en: "Open Source", label_id: "Sumber Terbuka", aliases: ["oss", "opensource"], abilities: [], sort_order: 10 },
+  { key: "ide", label_en: "IDE", label_id: "IDE", aliases: ["code-editor"], abilities: ["code", "bogus"], sort_order: 20 }
+];
+
+function createFakeSql(rows) {
+  const writes = [];
+  async function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    if (text.startsWith("SELECT key, label_en")) return rows;
+    writes.push({ text, values });
+    return [];
+  }
+  return { sql, writes };
+}
+
+test("before the table is read, only the legacy watermarked tag is recognised", () => {
+  resetTagTaxonomyCache();
+  assert.deepEqual(normalizeTags(["wm", "api", "Watermarked"]), ["watermarked"]);
+});
+
+test("loaded taxonomy drives tag normalization and alias resolution", async () => {
+  resetTagTaxonomyCache();
+  const { sql } = createFakeSql(TAG_ROWS);
+  const tags = await loadTagTaxonomy(sql);
+
+  assert.deepEqual(tags[1], {
+    key: "ide",
+    labels: { en: "IDE", id: "IDE" },
+    aliases: ["code-editor"],
+    abilities: ["code"],
+    sortOrder: 20
+  });
+  assert.deepEqual(normalizeTags(["OSS", "code editor", "ide", "watermarked"]), ["open-source", "ide"]);
+  assert.equal(resolveTagKey("opensource"), "open-source");
+  resetTagTaxonomyCache();
+});
+
+test("validateTagInput normalizes keys and aliases and rejects bad input", () => {
+  const valid = validateTagInput({
+    key: "Voice Clone",
+    labels: { en: " Voice Clone ", id: "Kloning Suara" },
+    aliases: "voice cloning, Voice-Clone, kloning-suara",
+    abilities: ["audio", "nope"],
+    sortOrder: "15"
+  });
+  assert.equal(valid.ok, true);
+  assert.deepEqual(valid.tag, {
+    key: "voice-clone",
+    labels: { en: "Voice Clone", id: "Kloning Suara" },
+    aliases: ["voice-cloning", "kloning-suara"],
+    abilities: ["audio"],
+    sortOrder: 15
+  });
+
+  assert.equal(validateTagInput({ key: "--", labels: { en: "x", id: "x" } }).ok, false);
+  assert.equal(validateTagInput({ key: "ok", labels: { en: "x" } }).ok, false);
+  assert.equal(validateTagInput({ key: "ok", labels: { en: "x", id: "x" }, aliases: ["bad_alias"] }).ok, false);
+});
+
+test("saveTag refuses aliases that already belong to another tag", async () => {
+  resetTagTaxonomyCache();
+  const { sql, writes } = createFakeSql(TAG_ROWS);
+  const result = await saveTag(sql, { key: "foss", labels: { en: "FOSS", id: "FOSS" }, aliases: ["oss"] });
+
+  assert.equal(result.ok, false);
+  assert.match(result.error, /already used by tag "open-source"/);
+  assert.equal(writes.length, 0);
+  resetTagTaxonomyCache();
+});
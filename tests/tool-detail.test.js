@@ -0,0 +1,115 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getToolDetail, slugify, generateUniqueSlug } = require("../api/_link-store");
+
+function createFakeSql({ links, checks }) {
+  const queries = [];
+  async function sql(strings, ...values) {
+    const text = strings.join("$").replace(/\s+/g, " ").trim();
+    queries.push(text);
+    if (text.includes("FROM ai_main_links")) {
+      if (text.startsWith("SELECT slug")) {
+        return links.filter((link) => link.slug === values[0] || link.slug.startsWith(values[1].replace(/%$/, "")));
+      }
+      return links.filter((link) => link.slug === values[0] || String(link.id) === String(values[1]));
+    }
+    if (text.includes("FROM tool_checks")) {
+      return checks.filter((check) => String(check.tool_id) === String(values[0]));
+    }
+    return [];
+  }
+  return { sql, queries };
+}
+
+const LINK = {
+  id: "7",
+  slug: "example",
+  name: "Example",
+  url: "https://example.com",
+  description: "Example tool",
+  abilities: ["text", "code"],
+  pricing_tier: "free",
+  tags: [],
+  features_json: "{}",
+  last_checked_at: "2026-01-01T00:00:00.000Z"
+};
+
+test("returns the list payload with recent checks and a verification summary", async () => {
+  const { sql } = createFakeSql({
+    links: [LINK],
+    checks: [
+      {
+        tool_id: "7",
+        checked_at: "2026-01-03T00:00:00.000Z",
+        result_json: JSON.stringify({ httpStatus: 200, source: "tools-live", raw: "<html>" }),
+        confidence: "0.8200",
+        sources: JSON.stringify(["https://example.com/pricing", { url: "https://docs.example.com/" }, "javascript:alert(1)"])
+      },
+      {
+        tool_id: "7",
+        checked_at: "2026-01-01T00:00:00.000Z",
+        result_json: "{}",
+        confidence: null,
+        sources: "[]"
+      }
+    ]
+  });
+
+  const detail = await getToolDetail(sql, "7");
+  assert.equal(detail.id, "7");
+  assert.equal(detail.slug, "example");
+  assert.equal(detail.name, "Example");
+  assert.deepEqual(detail.abilities, ["text", "code"]);
+  assert.equal(detail.checks.length, 2);
+  assert.equal(detail.checks[0].raw, undefined);
+  assert.deepEqual(detail.verification, {
+    status: "verified",
+    checkedAt: "2026-01-03T00:00:00.000Z",
+    confidence: 0.82,
+    httpStatus: 200,
+    sources: ["https://example.com/pricing", "https://docs.example.com"]
+  });
+  assert.equal(detail.checks[1].confidence, null);
+});
+
+test("flags a failing latest check and tools that were never checked", async () => {
+  const failing = createFakeSql({
+    links: [LINK],
+    checks: [{ tool_id: "7", checked_at: "2026-01-03T00:00:00.000Z", result_json: "{\"httpStatus\":503}", confidence: "0.1", sources: "[]" }]
+  });
+  assert.equal((await getToolDetail(failing.sql, "7")).verification.status, "failed");
+
+  const unchecked = createFakeSql({ links: [LINK], checks: [] });
+  assert.equal((await getToolDetail(unchecked.sql, "7")).verification.status, "unverified");
+});
+
+test("resolves tools by slug as well as numeric id", async () => {
+  const { sql } = createFakeSql({ links: [LINK], checks: [] });
+  assert.equal((await getToolDetail(sql, "Example")).id, "7");
+  assert.equal((await getToolDetail(sql, "7")).slug, "example");
+});
+
+test("returns null for unknown or malformed keys without hitting tool_checks", async () => {
+  const { sql, queries } = createFakeSql({ links: [LINK], checks: [] });
+  assert.equal(await getToolDetail(sql, "8"), null);
+  assert.equal(await getToolDetail(sql, "../admin"), null);
+  assert.equal(await getToolDetail(sql, "1; DROP TABLE"), null);
+  assert.equal(queries.filter((text) => text.includes("tool_checks")).length, 0);
+});
+
+test("slugify produces URL-safe slugs and generateUniqueSlug suffixes collisions", async () => {
+  assert.equal(slugify("Café Über AI!"), "cafe-uber-ai");
+  assert.equal(slugify("  Bolt.new  "), "bolt-new");
+  assert.equal(slugify("!!!"), "tool");
+  assert.ok(slugify("x".repeat(200)).length <= 80);
+
+  const { sql } = createFakeSql({
+    links: [{ ...LINK, slug: "chatgpt" }, { ...LINK, id: "8", slug: "chatgpt-2" }],
+    checks: []
+  });
+  assert.equal(await generateUniqueSlug(sql, "ChatGPT"), "chatgpt-3");
+  assert.equal(await generateUniqueSlug(sql, "Claude"), "claude");
+});